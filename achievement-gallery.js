@@ -0,0 +1,191 @@
+/**
+ * Achievement Gallery for Soap Bubbles
+ * Shows every badge with its progress, and a short toast when new ones unlock
+ */
+
+class AchievementGallery {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.isOpen = false;
+
+        // Toasts waiting to be shown, one at a time
+        this.toastQueue = [];
+        this.toastTimer = null;
+
+        // UI elements
+        this.toggleButton = document.getElementById('achievementsToggle');
+        this.panel = document.getElementById('achievementsPanel');
+        this.list = document.getElementById('achievementList');
+        this.count = document.getElementById('achievementCount');
+        this.closeButton = document.getElementById('achievementsCloseButton');
+        this.toast = document.getElementById('achievementToast');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.toggle();
+            });
+        }
+
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => {
+                this.close();
+            });
+        }
+    }
+
+    /**
+     * Open or close the gallery
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the gallery with the latest progress
+     */
+    open() {
+        if (!this.panel) return;
+
+        this.isOpen = true;
+        this.refresh();
+        this.panel.style.display = 'flex';
+        this.panel.classList.remove('hidden');
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', 'true');
+        }
+
+        if (this.closeButton) {
+            this.closeButton.focus();
+        }
+    }
+
+    /**
+     * Hide the gallery
+     */
+    close() {
+        if (!this.panel) return;
+
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        this.panel.style.display = 'none';
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', 'false');
+        }
+    }
+
+    /**
+     * Rebuild the badge list
+     */
+    refresh() {
+        if (!this.list) return;
+
+        const gallery = this.tracker.getGallery();
+        const unlockedCount = gallery.filter(achievement => achievement.unlocked).length;
+
+        if (this.count) {
+            this.count.textContent = `${unlockedCount} of ${gallery.length} unlocked`;
+        }
+
+        this.list.innerHTML = '';
+        gallery.forEach(achievement => {
+            const item = document.createElement('li');
+            item.className = achievement.unlocked ? 'achievement unlocked' : 'achievement locked';
+
+            const icon = document.createElement('span');
+            icon.className = 'achievement-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = achievement.icon;
+
+            const details = document.createElement('div');
+            details.className = 'achievement-details';
+
+            const name = document.createElement('strong');
+            name.textContent = achievement.name;
+
+            const description = document.createElement('span');
+            description.textContent = achievement.description;
+
+            details.append(name, description);
+
+            if (achievement.rewards.length > 0) {
+                const reward = document.createElement('span');
+                reward.className = 'achievement-reward';
+                reward.textContent = `${achievement.unlocked ? 'Unlocked' : 'Unlocks'}: ${achievement.rewards.join(', ')}`;
+                details.appendChild(reward);
+            }
+
+            // Date for earned badges, a progress bar for the rest
+            const status = document.createElement('span');
+            status.className = 'achievement-status';
+            if (achievement.unlocked) {
+                status.textContent = new Date(achievement.unlockedAt).toLocaleDateString();
+            } else {
+                const bar = document.createElement('span');
+                bar.className = 'achievement-progress';
+                bar.style.setProperty('--progress', `${Math.round(achievement.progress * 100)}%`);
+                status.textContent = `${achievement.value}/${achievement.target}`;
+                status.appendChild(bar);
+            }
+
+            item.append(icon, details, status);
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Announce newly unlocked achievements
+     */
+    notify(achievements) {
+        this.toastQueue.push(...achievements);
+
+        if (!this.toastTimer) {
+            this.showNextToast();
+        }
+
+        if (this.isOpen) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Show the next queued toast, or hide the toast when none are left
+     */
+    showNextToast() {
+        if (!this.toast) return;
+
+        const achievement = this.toastQueue.shift();
+        if (!achievement) {
+            this.toast.classList.add('hidden');
+            this.toastTimer = null;
+            return;
+        }
+
+        const rewards = AchievementTracker.describeReward(achievement);
+        document.getElementById('achievementToastIcon').textContent = achievement.icon;
+        document.getElementById('achievementToastName').textContent = achievement.name;
+        document.getElementById('achievementToastReward').textContent = rewards.length > 0
+            ? `New: ${rewards.join(', ')}`
+            : achievement.description;
+
+        this.toast.classList.remove('hidden');
+        this.toastTimer = setTimeout(() => {
+            this.showNextToast();
+        }, AchievementGallery.TOAST_DURATION);
+    }
+}
+
+// How long each unlock toast stays up (ms)
+AchievementGallery.TOAST_DURATION = 3500;
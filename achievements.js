@@ -0,0 +1,481 @@
+/**
+ * Achievements for Soap Bubbles
+ * Game events update lifetime stats, and declarative rules unlock a badge once a stat reaches its target
+ * Some badges add extra bubble themes or backgrounds to the game; everything is stored on this device
+ *
+ * Achievement fields:
+ *   id, name, description, icon
+ *   stat    - lifetime stat the rule watches (see STATS; 'pops.<type id>' counts one bubble type)
+ *   target  - unlocked once the stat reaches this
+ *   reward  - optional { themes: { id: theme }, backgrounds: { id: background } } added when unlocked
+ */
+
+class AchievementTracker {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'bubblebreak-achievements';
+        this.backend = options.backend || (typeof SettingsStore !== 'undefined' ? SettingsStore.getSharedBackend() : null);
+        this.now = options.now || (() => Date.now());
+        this.definitions = options.definitions || AchievementTracker.DEFINITIONS;
+
+        this.stats = {}; // stat -> number (or list of values for 'unique' stats)
+        this.unlocked = {}; // achievement id -> unlock timestamp
+
+        this.dirty = false; // Stats changed since the last save
+        this.saveTimer = null;
+    }
+
+    /**
+     * How a stat combines new values: 'sum' adds, 'max' keeps the best, 'unique' counts distinct values
+     */
+    static getStatKind(stat) {
+        return AchievementTracker.STATS[stat] || 'sum';
+    }
+
+    /**
+     * Restore stats and unlocked badges from storage
+     * Rules added since the last visit are checked against the stats already collected
+     */
+    load() {
+        try {
+            const raw = this.backend ? this.backend.read(this.storageKey) : null;
+            if (raw) {
+                const payload = JSON.parse(raw);
+
+                if (payload.version === AchievementTracker.FORMAT_VERSION) {
+                    this.stats = payload.stats && typeof payload.stats === 'object' ? payload.stats : {};
+                    this.unlocked = payload.unlocked && typeof payload.unlocked === 'object' ? payload.unlocked : {};
+                } else {
+                    console.warn(`Achievements saved in an unknown format (${payload.version}), starting fresh`);
+                }
+            }
+        } catch (error) {
+            console.warn('Achievements could not be read, starting fresh:', error);
+        }
+
+        if (this.evaluate().length > 0) {
+            this.save();
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Write stats and unlocked badges to storage
+     */
+    save() {
+        this.dirty = false;
+        if (this.saveTimer !== null) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (!this.backend) return;
+
+        const payload = JSON.stringify({
+            version: AchievementTracker.FORMAT_VERSION,
+            stats: this.stats,
+            unlocked: this.unlocked
+        });
+
+        try {
+            this.backend.write(this.storageKey, payload);
+        } catch (error) {
+            console.warn('Failed to save achievements:', error);
+        }
+    }
+
+    /**
+     * Update stats from a game event, e.g. { pops: 1, 'pops.golden': 1 }
+     * Returns the achievements this unlocked (usually none)
+     */
+    record(updates) {
+        const changed = [];
+
+        Object.keys(updates).forEach(stat => {
+            if (this.updateStat(stat, updates[stat])) {
+                changed.push(stat);
+            }
+        });
+
+        if (changed.length === 0) return [];
+
+        // Unlocks are saved straight away; other stat changes are batched, as pops can come several a frame
+        const unlocked = this.evaluate(changed);
+        if (unlocked.length > 0) {
+            this.save();
+        } else {
+            this.scheduleSave();
+        }
+        return unlocked;
+    }
+
+    /**
+     * Save changed stats in a little while, once for everything recorded until then
+     */
+    scheduleSave() {
+        this.dirty = true;
+        if (this.saveTimer !== null || typeof setTimeout === 'undefined') return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, AchievementTracker.SAVE_DELAY);
+    }
+
+    /**
+     * Save now if any stats changed since the last save (the page is being hidden or closed)
+     */
+    flush() {
+        if (this.dirty) {
+            this.save();
+        }
+    }
+
+    /**
+     * Combine a value into a stat; returns whether the stat changed
+     */
+    updateStat(stat, value) {
+        const kind = AchievementTracker.getStatKind(stat);
+        const current = this.stats[stat];
+
+        if (kind === 'unique') {
+            const values = Array.isArray(current) ? current : [];
+            if (values.includes(value)) return false;
+
+            this.stats[stat] = values.concat(value);
+            return true;
+        }
+
+        const amount = Number(value);
+        if (!isFinite(amount)) return false;
+
+        const previous = typeof current === 'number' ? current : 0;
+        const next = kind === 'max' ? Math.max(previous, amount) : previous + amount;
+        if (next === previous) return false;
+
+        this.stats[stat] = next;
+        return true;
+    }
+
+    /**
+     * Current value of a stat (distinct values counted for 'unique' stats)
+     */
+    getStatValue(stat) {
+        const value = this.stats[stat];
+        if (Array.isArray(value)) return value.length;
+        return typeof value === 'number' ? value : 0;
+    }
+
+    /**
+     * Unlock every achievement whose stat has reached its target (only rules on the given stats, if any)
+     */
+    evaluate(stats = null) {
+        const unlocked = [];
+
+        this.definitions.forEach(definition => {
+            if (this.unlocked[definition.id]) return;
+            if (stats && !stats.includes(definition.stat)) return;
+
+            if (this.getStatValue(definition.stat) >= definition.target) {
+                this.unlocked[definition.id] = this.now();
+                unlocked.push(definition);
+                console.log(`Achievement unlocked: ${definition.name}`);
+            }
+        });
+
+        return unlocked;
+    }
+
+    /**
+     * Whether an achievement has been unlocked
+     */
+    isUnlocked(id) {
+        return !!this.unlocked[id];
+    }
+
+    /**
+     * Themes and backgrounds earned so far
+     */
+    getRewards() {
+        const rewards = { themes: {}, backgrounds: {} };
+
+        this.definitions.forEach(definition => {
+            if (!definition.reward || !this.isUnlocked(definition.id)) return;
+
+            Object.assign(rewards.themes, definition.reward.themes);
+            Object.assign(rewards.backgrounds, definition.reward.backgrounds);
+        });
+
+        return rewards;
+    }
+
+    /**
+     * Names of what an achievement unlocks, e.g. ['Sunset theme']
+     */
+    static describeReward(definition) {
+        if (!definition.reward) return [];
+
+        const themes = Object.values(definition.reward.themes || {}).map(theme => `${theme.name} theme`);
+        const backgrounds = Object.values(definition.reward.backgrounds || {}).map(background => `${background.name} background`);
+        return themes.concat(backgrounds);
+    }
+
+    /**
+     * Every achievement with its progress, in definition order (for the gallery)
+     */
+    getGallery() {
+        return this.definitions.map(definition => {
+            const value = this.getStatValue(definition.stat);
+            return {
+                id: definition.id,
+                name: definition.name,
+                description: definition.description,
+                icon: definition.icon,
+                unlocked: this.isUnlocked(definition.id),
+                unlockedAt: this.unlocked[definition.id] || null,
+                value: Math.min(value, definition.target),
+                target: definition.target,
+                progress: Math.min(1, value / definition.target),
+                rewards: AchievementTracker.describeReward(definition)
+            };
+        });
+    }
+
+    /**
+     * Forget all stats and badges
+     */
+    clear() {
+        this.stats = {};
+        this.unlocked = {};
+        this.save();
+    }
+
+    /**
+     * Get achievement status for the UI and debugging
+     */
+    getStatus() {
+        return {
+            unlocked: Object.keys(this.unlocked).length,
+            total: this.definitions.length,
+            stats: JSON.parse(JSON.stringify(this.stats))
+        };
+    }
+}
+
+AchievementTracker.FORMAT_VERSION = 1;
+
+// ms changed stats wait before they are saved
+AchievementTracker.SAVE_DELAY = 5000;
+
+// How each stat combines values (stats not listed here add up)
+AchievementTracker.STATS = {
+    pops: 'sum', // Bubbles popped
+    playMinutes: 'sum', // Whole minutes played
+    challenges: 'sum', // Challenge rounds finished
+    longestChain: 'max', // Longest chain reaction
+    bestCombo: 'max', // Longest run of quick pops in a challenge round
+    sessionMinutes: 'max', // Longest single session in whole minutes
+    themes: 'unique' // Bubble themes tried
+};
+
+// Reward themes use the same fields as BubbleGame.themes, backgrounds the same as BubbleGame.backgrounds
+AchievementTracker.DEFINITIONS = [
+    {
+        id: 'first-pop',
+        name: 'First Pop',
+        description: 'Pop your first bubble',
+        icon: '🫧',
+        stat: 'pops',
+        target: 1
+    },
+    {
+        id: 'pops-100',
+        name: 'Bubble Wrap',
+        description: 'Pop 100 bubbles',
+        icon: '💧',
+        stat: 'pops',
+        target: 100
+    },
+    {
+        id: 'pops-1000',
+        name: 'Pop Star',
+        description: 'Pop 1,000 bubbles',
+        icon: '⭐',
+        stat: 'pops',
+        target: 1000,
+        reward: {
+            themes: {
+                sunset: {
+                    name: 'Sunset',
+                    colors: {
+                        hueBase: 20,
+                        saturation: 85,
+                        lightness: 70,
+                        opacity: 0.35
+                    },
+                    highlight: 'rgba(255, 240, 200, 0.6)',
+                    outline: true,
+                    shimmer: true
+                }
+            }
+        }
+    },
+    {
+        id: 'pops-10000',
+        name: 'Foam Party',
+        description: 'Pop 10,000 bubbles',
+        icon: '🎉',
+        stat: 'pops',
+        target: 10000,
+        reward: {
+            themes: {
+                neon: {
+                    name: 'Neon',
+                    colors: {
+                        hueBase: 310,
+                        saturation: 100,
+                        lightness: 60,
+                        opacity: 0.45
+                    },
+                    highlight: 'rgba(255, 255, 255, 0.5)',
+                    outline: true,
+                    sparkle: true
+                }
+            }
+        }
+    },
+    {
+        id: 'golden-1',
+        name: 'Struck Gold',
+        description: 'Pop a golden bubble',
+        icon: '🪙',
+        stat: 'pops.golden',
+        target: 1
+    },
+    {
+        id: 'golden-25',
+        name: 'Gold Rush',
+        description: 'Pop 25 golden bubbles',
+        icon: '👑',
+        stat: 'pops.golden',
+        target: 25,
+        reward: {
+            themes: {
+                gilded: {
+                    name: 'Gilded',
+                    colors: {
+                        hueBase: 45,
+                        saturation: 90,
+                        lightness: 65,
+                        opacity: 0.4
+                    },
+                    highlight: 'rgba(255, 250, 220, 0.8)',
+                    outline: true,
+                    sparkle: true
+                }
+            }
+        }
+    },
+    {
+        id: 'tough-50',
+        name: 'Thick Skin',
+        description: 'Pop 50 tough bubbles',
+        icon: '🛡️',
+        stat: 'pops.tough',
+        target: 50
+    },
+    {
+        id: 'cluster-50',
+        name: 'Splitting Up',
+        description: 'Pop 50 cluster bubbles',
+        icon: '🍇',
+        stat: 'pops.cluster',
+        target: 50
+    },
+    {
+        id: 'combo-3',
+        name: 'Chain Reaction',
+        description: 'Set off a x3 chain reaction',
+        icon: '🔗',
+        stat: 'longestChain',
+        target: 3
+    },
+    {
+        id: 'combo-8',
+        name: 'Domino Effect',
+        description: 'Set off a x8 chain reaction',
+        icon: '⚡',
+        stat: 'longestChain',
+        target: 8,
+        reward: {
+            backgrounds: {
+                twilight: {
+                    name: 'Twilight',
+                    type: 'css',
+                    css: 'linear-gradient(160deg, #2c3e70 0%, #8e5b9a 55%, #f4a07a 100%)',
+                    dark: true
+                }
+            }
+        }
+    },
+    {
+        id: 'challenge-1',
+        name: 'Against the Clock',
+        description: 'Finish a challenge round',
+        icon: '⏱️',
+        stat: 'challenges',
+        target: 1
+    },
+    {
+        id: 'challenge-combo-10',
+        name: 'Quick Hands',
+        description: 'Reach a x10 combo in a challenge round',
+        icon: '🙌',
+        stat: 'bestCombo',
+        target: 10
+    },
+    {
+        id: 'session-5',
+        name: 'Five Calm Minutes',
+        description: 'Play for 5 minutes in one session',
+        icon: '🌿',
+        stat: 'sessionMinutes',
+        target: 5
+    },
+    {
+        id: 'session-20',
+        name: 'Deep Break',
+        description: 'Play for 20 minutes in one session',
+        icon: '🧘',
+        stat: 'sessionMinutes',
+        target: 20,
+        reward: {
+            backgrounds: {
+                dawn: {
+                    name: 'Dawn',
+                    type: 'css',
+                    css: 'linear-gradient(135deg, #ffecd2 0%, #fcb69f 100%)'
+                }
+            }
+        }
+    },
+    {
+        id: 'play-60',
+        name: 'Hour of Bubbles',
+        description: 'Play for 60 minutes in total',
+        icon: '⌛',
+        stat: 'playMinutes',
+        target: 60
+    },
+    {
+        id: 'themes-4',
+        name: 'Collector',
+        description: 'Try 4 bubble themes',
+        icon: '🎨',
+        stat: 'themes',
+        target: 4
+    }
+];
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AchievementTracker };
+}
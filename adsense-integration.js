@@ -123,12 +123,21 @@ class AdSenseManager {
      */
     async waitForGameLoad() {
         return new Promise((resolve) => {
+            const onGameLoaded = () => {
+                this.isGameLoaded = true;
+                resolve();
+            };
+
             const checkGameLoad = () => {
-                // Check if bubble game is loaded and running
-                if (window.bubbleGame && window.bubbleGame.isRunning) {
-                    this.isGameLoaded = true;
-                    resolve();
+                const game = window.bubbleGame;
+
+                if (game && game.isRunning) {
+                    onGameLoaded();
+                } else if (game && typeof game.once === 'function') {
+                    // Wait for the player to start instead of polling
+                    game.once('start', onGameLoaded);
                 } else {
+                    // The game object isn't created yet
                     setTimeout(checkGameLoad, 100);
                 }
             };
@@ -295,38 +304,8 @@ class AdSenseManager {
      * Handle successful ad load
      */
     onAdLoaded() {
-        // Show ad container
+        // Show ad container (the game's quality governor copes with any slowdown on its own)
         this.adContainer.style.display = 'block';
-
-        // Ensure ad doesn't interfere with game performance
-        this.optimizeForPerformance();
-    }
-
-    /**
-     * Optimize performance when ads are displayed
-     */
-    optimizeForPerformance() {
-        // Reduce game quality slightly if needed to maintain 60fps
-        if (window.bubbleGame && window.bubbleGame.performanceMonitor) {
-            const fps = window.bubbleGame.performanceMonitor.getCurrentFPS();
-
-            if (fps < 50) {
-                console.log('Reducing game quality due to ad performance impact');
-
-                // Enable performance mode in various systems
-                if (window.bubbleGame.physicsEngine) {
-                    window.bubbleGame.physicsEngine.enableSimplePhysics(true);
-                }
-
-                if (window.bubbleGame.particleSystem) {
-                    window.bubbleGame.particleSystem.enablePerformanceMode(true);
-                }
-
-                if (window.bubbleGame.audioManager) {
-                    window.bubbleGame.audioManager.enablePerformanceMode(true);
-                }
-            }
-        }
     }
 
     /**
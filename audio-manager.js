@@ -220,8 +220,9 @@ class AudioManager {
 
     /**
      * Play bubble pop sound with variations based on bubble size and theme
+     * pitch scales the size-based pitch (below 1 is deeper, e.g. for merged bubbles)
      */
-    playPopSound(bubbleSize, theme = 'classic') {
+    playPopSound(bubbleSize, theme = 'classic', pitch = 1) {
         // Minimal debug logging (uncomment for debugging)
         // console.log('playPopSound called:', { bubbleSize, theme, isBufferLoaded: this.isBufferLoaded });
 
@@ -235,26 +236,26 @@ class AudioManager {
 
         // Limit simultaneous sounds for performance
         if (this.activeSounds.length >= this.maxSimultaneousSounds) {
-            this.soundQueue.push({ bubbleSize, theme, timestamp: Date.now() });
+            this.soundQueue.push({ bubbleSize, theme, pitch, timestamp: Date.now() });
             this.processQueuedSounds();
             return;
         }
 
         // Use loaded audio file if available, otherwise fall back to procedural generation
         if (this.isBufferLoaded && this.bubblePopBuffers[theme]) {
-            this.playAudioFile(bubbleSize, theme);
+            this.playAudioFile(bubbleSize, theme, pitch);
         } else if (this.isBufferLoaded && this.bubblePopBuffers.classic) {
             // Fallback to classic theme if requested theme is not available
-            this.playAudioFile(bubbleSize, 'classic');
+            this.playAudioFile(bubbleSize, 'classic', pitch);
         } else {
-            this.createPopSound(bubbleSize);
+            this.createPopSound(bubbleSize, pitch);
         }
     }
 
     /**
      * Play the loaded audio file with variations based on bubble size and theme
      */
-    playAudioFile(bubbleSize, theme = 'classic') {
+    playAudioFile(bubbleSize, theme = 'classic', pitch = 1) {
         try {
             const soundId = Date.now() + Math.random();
 
@@ -271,7 +272,7 @@ class AudioManager {
             const sizeRatio = Math.max(0.3, Math.min(3.0, bubbleSize / 150)); // Normalize size for new larger range
 
             // Vary playback rate for pitch variation (larger bubbles = lower pitch)
-            const playbackRate = 0.8 + (1 - sizeRatio * 0.3); // Range: 0.8 to 1.4
+            const playbackRate = (0.8 + (1 - sizeRatio * 0.3)) * pitch; // Range: 0.8 to 1.4 at normal pitch
             source.playbackRate.setValueAtTime(playbackRate, this.audioContext.currentTime);
 
             // Vary volume based on size (larger bubbles = slightly louder)
@@ -315,14 +316,14 @@ class AudioManager {
         } catch (error) {
             console.error('Error playing audio file:', error);
             // Fall back to procedural sound
-            this.createPopSound(bubbleSize);
+            this.createPopSound(bubbleSize, pitch);
         }
     }
 
     /**
      * Create and play a procedural pop sound
      */
-    createPopSound(bubbleSize) {
+    createPopSound(bubbleSize, pitch = 1) {
         try {
             const soundId = Date.now() + Math.random();
 
@@ -330,7 +331,7 @@ class AudioManager {
             const sizeRatio = Math.max(0.3, Math.min(3.0, bubbleSize / 150)); // Normalize size (150px = 1.0)
 
             // Frequency varies with size - larger bubbles = lower pitch
-            const frequency = this.baseFrequency + (this.frequencyRange * (1 - sizeRatio * 0.5));
+            const frequency = (this.baseFrequency + (this.frequencyRange * (1 - sizeRatio * 0.5))) * pitch;
 
             // Duration varies with size
             const duration = 0.08 + (sizeRatio * 0.04); // 80-120ms
@@ -457,9 +458,9 @@ class AudioManager {
 
             // Use theme-aware playback
             if (this.isBufferLoaded && this.bubblePopBuffers[nextSound.theme || 'classic']) {
-                this.playAudioFile(nextSound.bubbleSize, nextSound.theme || 'classic');
+                this.playAudioFile(nextSound.bubbleSize, nextSound.theme || 'classic', nextSound.pitch);
             } else {
-                this.createPopSound(nextSound.bubbleSize);
+                this.createPopSound(nextSound.bubbleSize, nextSound.pitch);
             }
         }
     }
@@ -639,6 +640,64 @@ class AudioManager {
         }
     }
 
+    /**
+     * Set the maximum number of simultaneous pop sounds
+     */
+    setMaxVoices(count) {
+        this.maxSimultaneousSounds = Math.max(1, Math.round(count));
+
+        // Drop anything queued beyond the new limit
+        if (this.soundQueue.length > this.maxSimultaneousSounds) {
+            this.soundQueue = this.soundQueue.slice(-this.maxSimultaneousSounds);
+        }
+    }
+
+    /**
+     * Play a soft chime marking a breathing phase change
+     * Rises for breathing in, falls for breathing out, stays level for holds
+     */
+    playBreathCue(phaseKind) {
+        if (!this.isEnabled || this.isMuted || !this.audioContext || !this.isInitialized) {
+            return;
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            return;
+        }
+
+        try {
+            const pitches = {
+                inhale: [392, 523],
+                exhale: [523, 392],
+                holdFull: [440, 440],
+                holdEmpty: [349, 349]
+            };
+            const [startFrequency, endFrequency] = pitches[phaseKind] || pitches.holdFull;
+            const duration = 1.2;
+
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+
+            oscillator.connect(gainNode);
+            gainNode.connect(this.audioContext.destination);
+
+            const now = this.audioContext.currentTime;
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(startFrequency, now);
+            oscillator.frequency.linearRampToValueAtTime(endFrequency, now + duration * 0.6);
+
+            // Slow attack and long tail so it doesn't startle
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.gain.linearRampToValueAtTime(this.volume * 0.4, now + 0.15);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+            oscillator.start(now);
+            oscillator.stop(now + duration);
+        } catch (error) {
+            console.error('Error playing breath cue:', error);
+        }
+    }
+
     /**
      * Create ambient background sound (for future enhancement)
      */
@@ -0,0 +1,210 @@
+/**
+ * Break Scheduler for Soap Bubbles
+ * Pomodoro-style study/break schedule: a bubble break, then a focus block, then the next break
+ * Blocks end at absolute timestamps, so a paused or hidden tab doesn't make the timer drift,
+ * and the schedule is saved so it carries on after a reload
+ */
+
+class BreakScheduler {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'bubblebreak-schedule';
+        this.backend = options.backend || (typeof SettingsStore !== 'undefined' ? SettingsStore.getSharedBackend() : null);
+        this.now = options.now || (() => Date.now());
+
+        this.enabled = false;
+        this.focusMinutes = BreakScheduler.DEFAULTS.focusMinutes;
+        this.breakMinutes = BreakScheduler.DEFAULTS.breakMinutes;
+        this.phase = 'idle'; // 'idle' (a break is ready), 'break' or 'focus'
+        this.startedAt = 0; // Timestamps (ms) of the current block
+        this.endsAt = 0;
+    }
+
+    /**
+     * Restore the saved schedule
+     */
+    load() {
+        try {
+            const raw = this.backend ? this.backend.read(this.storageKey) : null;
+            if (!raw) return this.getStatus();
+
+            const payload = JSON.parse(raw);
+            if (payload.version !== BreakScheduler.FORMAT_VERSION) {
+                console.warn(`Break schedule saved in an unknown format (${payload.version}), starting fresh`);
+                return this.getStatus();
+            }
+
+            this.enabled = !!payload.enabled;
+            this.focusMinutes = BreakScheduler.clampMinutes(payload.focusMinutes, 'focus', this.focusMinutes);
+            this.breakMinutes = BreakScheduler.clampMinutes(payload.breakMinutes, 'break', this.breakMinutes);
+
+            if (['break', 'focus'].includes(payload.phase) &&
+                typeof payload.startedAt === 'number' && typeof payload.endsAt === 'number') {
+                this.phase = payload.phase;
+                this.startedAt = payload.startedAt;
+                this.endsAt = payload.endsAt;
+            }
+        } catch (error) {
+            console.warn('Break schedule could not be read, starting fresh:', error);
+        }
+
+        return this.getStatus();
+    }
+
+    /**
+     * Write the schedule to storage
+     */
+    save() {
+        if (!this.backend) return;
+
+        const payload = JSON.stringify({
+            version: BreakScheduler.FORMAT_VERSION,
+            enabled: this.enabled,
+            focusMinutes: this.focusMinutes,
+            breakMinutes: this.breakMinutes,
+            phase: this.phase,
+            startedAt: this.startedAt,
+            endsAt: this.endsAt
+        });
+
+        try {
+            this.backend.write(this.storageKey, payload);
+        } catch (error) {
+            console.warn('Failed to save break schedule:', error);
+        }
+    }
+
+    /**
+     * Turn the schedule on or off (either way the next start is a fresh break)
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.phase = 'idle';
+        this.startedAt = 0;
+        this.endsAt = 0;
+        this.save();
+
+        console.log(`Break timer: ${this.enabled ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Set block lengths in minutes (used from the next block on)
+     */
+    setDurations(focusMinutes, breakMinutes) {
+        this.focusMinutes = BreakScheduler.clampMinutes(focusMinutes, 'focus', this.focusMinutes);
+        this.breakMinutes = BreakScheduler.clampMinutes(breakMinutes, 'break', this.breakMinutes);
+        this.save();
+    }
+
+    /**
+     * Whole minutes within the limits for a block kind ('focus' or 'break')
+     */
+    static clampMinutes(value, kind, fallback) {
+        const [min, max] = BreakScheduler.LIMITS[kind];
+        const minutes = parseInt(value, 10);
+        return isNaN(minutes) ? fallback : Math.max(min, Math.min(max, minutes));
+    }
+
+    /**
+     * Ask to play: true during a break (starting one if it's due), false during a focus block
+     */
+    requestBreak() {
+        if (!this.enabled) return true;
+
+        this.tick();
+
+        if (this.phase === 'break') return true;
+        if (this.phase === 'focus') return false;
+
+        const now = this.now();
+        this.phase = 'break';
+        this.startedAt = now;
+        this.endsAt = now + this.breakMinutes * 60000;
+        this.save();
+
+        console.log(`Break started: ${this.breakMinutes} minutes`);
+        return true;
+    }
+
+    /**
+     * Move on to the next block once the current one is over
+     * Returns 'breakEnded' or 'focusEnded' when that happens, otherwise null
+     */
+    tick() {
+        if (!this.enabled || this.phase === 'idle') return null;
+
+        const now = this.now();
+        if (now < this.endsAt) return null;
+
+        if (this.phase === 'break') {
+            // Focus time counts from when the break ended, even if the tab was hidden then
+            this.phase = 'focus';
+            this.startedAt = this.endsAt;
+            this.endsAt = this.startedAt + this.focusMinutes * 60000;
+            this.save();
+
+            console.log('Break over, focus block started');
+            return 'breakEnded';
+        }
+
+        this.phase = 'idle';
+        this.startedAt = 0;
+        this.endsAt = 0;
+        this.save();
+
+        console.log('Focus block over, time for a break');
+        return 'focusEnded';
+    }
+
+    /**
+     * Whether bubbles may be played right now
+     */
+    isPlayAllowed() {
+        return !this.enabled || this.phase !== 'focus' || this.now() >= this.endsAt;
+    }
+
+    /**
+     * ms left in the current block
+     */
+    getRemaining() {
+        return this.phase === 'idle' ? 0 : Math.max(0, this.endsAt - this.now());
+    }
+
+    /**
+     * 0-1 share of the current block still to go
+     */
+    getRemainingFraction() {
+        const total = this.endsAt - this.startedAt;
+        return total > 0 ? this.getRemaining() / total : 0;
+    }
+
+    /**
+     * Get schedule status for the UI and debugging
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            phase: this.phase,
+            focusMinutes: this.focusMinutes,
+            breakMinutes: this.breakMinutes,
+            remaining: this.getRemaining()
+        };
+    }
+}
+
+BreakScheduler.FORMAT_VERSION = 1;
+
+BreakScheduler.DEFAULTS = {
+    focusMinutes: 25,
+    breakMinutes: 5
+};
+
+// Allowed block lengths in minutes [min, max]
+BreakScheduler.LIMITS = {
+    focus: [1, 120],
+    break: [1, 60]
+};
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BreakScheduler };
+}
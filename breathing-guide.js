@@ -0,0 +1,265 @@
+/**
+ * Breathing Guide for Soap Bubbles
+ * Paces a breathing pattern (box, 4-7-8, coherent) and shapes the game around it:
+ * bubbles spawn in waves on the in-breath, rise slower on holds, and an on-canvas
+ * circle grows and shrinks with the breath
+ * Time advances with simulation steps, so the guide pauses with the game
+ */
+
+class BreathingGuide {
+    constructor() {
+        this.pattern = null; // Active pattern, null when off
+        this.phaseIndex = 0;
+        this.phaseElapsed = 0; // ms into the current phase
+        this.elapsed = 0; // ms since the session started
+        this.cycles = 0; // Completed breaths
+        this.speedScale = 1.0; // Smoothed rise speed multiplier
+    }
+
+    /**
+     * Start a session with a pattern from BreathingGuide.PATTERNS
+     */
+    start(patternId) {
+        const pattern = BreathingGuide.PATTERNS[patternId];
+        if (!pattern) {
+            console.warn(`Unknown breathing pattern: ${patternId}`);
+            return false;
+        }
+
+        this.pattern = pattern;
+        this.phaseIndex = 0;
+        this.phaseElapsed = 0;
+        this.elapsed = 0;
+        this.cycles = 0;
+        this.speedScale = 1.0;
+
+        console.log(`Breathing session started: ${pattern.name}`);
+        return true;
+    }
+
+    /**
+     * End the session and return its report
+     */
+    stop() {
+        if (!this.pattern) return null;
+
+        const report = this.getReport();
+        this.pattern = null;
+        this.speedScale = 1.0;
+
+        console.log(`Breathing session finished: ${report.cycles} cycles in ${Math.round(report.duration / 1000)}s`);
+        return report;
+    }
+
+    /**
+     * Whether a session is running
+     */
+    isActive() {
+        return this.pattern !== null;
+    }
+
+    /**
+     * Advance the guide; returns the new phase when one begins this step, otherwise null
+     */
+    update(deltaTime) {
+        if (!this.pattern) return null;
+
+        this.elapsed += deltaTime;
+        this.phaseElapsed += deltaTime;
+
+        let changed = null;
+        let phase = this.getPhase();
+
+        while (this.phaseElapsed >= phase.seconds * 1000) {
+            this.phaseElapsed -= phase.seconds * 1000;
+            this.phaseIndex++;
+
+            if (this.phaseIndex >= this.pattern.phases.length) {
+                this.phaseIndex = 0;
+                this.cycles++;
+            }
+
+            phase = this.getPhase();
+            changed = phase;
+        }
+
+        // Ease the rise speed towards the phase's target so bubbles don't jerk
+        const target = BreathingGuide.PHASE_KINDS[phase.kind].riseSpeed;
+        this.speedScale += (target - this.speedScale) * Math.min(1, deltaTime / 600);
+
+        return changed;
+    }
+
+    /**
+     * Current phase ({ kind, seconds })
+     */
+    getPhase() {
+        return this.pattern ? this.pattern.phases[this.phaseIndex] : null;
+    }
+
+    /**
+     * 0-1 progress through the current phase
+     */
+    getPhaseProgress() {
+        const phase = this.getPhase();
+        return phase ? Math.min(1, this.phaseElapsed / (phase.seconds * 1000)) : 0;
+    }
+
+    /**
+     * How full the lungs are (0 empty - 1 full), eased so the guide moves like a breath
+     */
+    getBreathLevel() {
+        const phase = this.getPhase();
+        if (!phase) return 0;
+
+        const eased = 0.5 - Math.cos(this.getPhaseProgress() * Math.PI) / 2;
+
+        switch (phase.kind) {
+            case 'inhale':
+                return eased;
+            case 'exhale':
+                return 1 - eased;
+            case 'holdFull':
+                return 1;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Spawn rate for the current phase (0 = no spawning, 1 = normal)
+     */
+    getSpawnRate() {
+        const phase = this.getPhase();
+        return phase ? BreathingGuide.PHASE_KINDS[phase.kind].spawnRate : 1;
+    }
+
+    /**
+     * Multiplier on bubble rise speed
+     */
+    getSpeedScale() {
+        return this.pattern ? this.speedScale : 1;
+    }
+
+    /**
+     * Session length and completed cycles
+     */
+    getReport() {
+        return {
+            pattern: this.pattern ? this.pattern.id : null,
+            name: this.pattern ? this.pattern.name : '',
+            duration: this.elapsed,
+            cycles: this.cycles
+        };
+    }
+
+    /**
+     * Get guide status for debugging and the headless API
+     */
+    getStatus() {
+        const phase = this.getPhase();
+
+        return {
+            active: this.isActive(),
+            phase: phase ? phase.kind : null,
+            phaseProgress: this.getPhaseProgress(),
+            breathLevel: this.getBreathLevel(),
+            ...this.getReport()
+        };
+    }
+
+    /**
+     * Draw the expanding/contracting guide in the middle of the playfield
+     */
+    render(ctx, width, height) {
+        const phase = this.getPhase();
+        if (!phase) return;
+
+        const kind = BreathingGuide.PHASE_KINDS[phase.kind];
+        const level = this.getBreathLevel();
+        const minRadius = Math.min(width, height) * 0.1;
+        const maxRadius = Math.min(width, height) * 0.25;
+        const radius = minRadius + (maxRadius - minRadius) * level;
+        const x = width / 2;
+        const y = height / 2;
+
+        ctx.save();
+
+        // Soft glowing disc
+        const glow = ctx.createRadialGradient(x, y, radius * 0.2, x, y, radius);
+        glow.addColorStop(0, 'rgba(255, 255, 255, 0.05)');
+        glow.addColorStop(1, 'rgba(255, 255, 255, 0.25)');
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Progress through the phase around the edge
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(x, y, radius + 8, -Math.PI / 2, -Math.PI / 2 + this.getPhaseProgress() * Math.PI * 2);
+        ctx.stroke();
+
+        // Phase name and seconds left
+        const secondsLeft = Math.ceil(phase.seconds - this.phaseElapsed / 1000);
+        ctx.fillStyle = 'rgba(44, 62, 80, 0.8)';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '500 22px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.fillText(kind.label, x, y - 12);
+        ctx.font = '16px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.fillText(`${Math.max(1, secondsLeft)}`, x, y + 16);
+
+        ctx.restore();
+    }
+}
+
+// How each kind of phase looks and shapes the game
+BreathingGuide.PHASE_KINDS = {
+    inhale: { label: 'Breathe in', spawnRate: 1.5, riseSpeed: 1.2 },
+    holdFull: { label: 'Hold', spawnRate: 0, riseSpeed: 0.4 },
+    exhale: { label: 'Breathe out', spawnRate: 0.3, riseSpeed: 0.8 },
+    holdEmpty: { label: 'Hold', spawnRate: 0, riseSpeed: 0.4 }
+};
+
+// Breathing patterns (phase lengths in seconds)
+BreathingGuide.PATTERNS = {
+    box: {
+        id: 'box',
+        name: 'Box breathing 4-4-4-4',
+        phases: [
+            { kind: 'inhale', seconds: 4 },
+            { kind: 'holdFull', seconds: 4 },
+            { kind: 'exhale', seconds: 4 },
+            { kind: 'holdEmpty', seconds: 4 }
+        ]
+    },
+    '478': {
+        id: '478',
+        name: '4-7-8 breathing',
+        phases: [
+            { kind: 'inhale', seconds: 4 },
+            { kind: 'holdFull', seconds: 7 },
+            { kind: 'exhale', seconds: 8 }
+        ]
+    },
+    coherent: {
+        // 5.5 breaths per minute, equal in and out
+        id: 'coherent',
+        name: 'Coherent breathing 5.5 bpm',
+        phases: [
+            { kind: 'inhale', seconds: 60 / 5.5 / 2 },
+            { kind: 'exhale', seconds: 60 / 5.5 / 2 }
+        ]
+    }
+};
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BreathingGuide };
+}
@@ -0,0 +1,289 @@
+/**
+ * Bubble Embed for Soap Bubbles
+ * Mounts the game into any element and keeps it sized to that element, for sites that embed bubbles
+ * embed.html uses it to fill an iframe and take commands from the host page over postMessage
+ *
+ * Usage (same page):
+ *   BubbleEmbed.mount(document.getElementById('bubbles'), { theme: 'galaxy', density: 3 });
+ *
+ * Usage (iframe):
+ *   <iframe src="https://bubblebreak.fun/embed.html?theme=galaxy&density=3"></iframe>
+ *
+ * postMessage protocol - every message is an object with a 'bubblebreak:' type
+ *   Host -> embed:
+ *     { type: 'bubblebreak:start' }                        start playing, or resume after a pause
+ *     { type: 'bubblebreak:pause' }
+ *     { type: 'bubblebreak:setTheme', theme }
+ *     { type: 'bubblebreak:setBackground', background }
+ *     { type: 'bubblebreak:setDensity', density }          0-10
+ *     { type: 'bubblebreak:onPop' }                        send pop messages to this host from now on
+ *   Embed -> host:
+ *     { type: 'bubblebreak:ready', themes, backgrounds }   sent once the game can take commands
+ *     { type: 'bubblebreak:state', state, popCount }       'playing' or 'paused', after start/pause
+ *     { type: 'bubblebreak:pop', popCount, score, bubbleType }
+ */
+
+class BubbleEmbed {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = { ...BubbleEmbed.DEFAULTS, ...options };
+        this.game = null;
+        this.resizeObserver = null;
+        this.popOrigins = new Set(); // Host origins that asked for pop messages
+        this.removePopListener = null;
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Create an embed in a container element; resolves once the game is ready
+     */
+    static mount(container, options = {}) {
+        return new BubbleEmbed(container, options).mount();
+    }
+
+    /**
+     * Read embed options from a query string (?theme=galaxy&background=ocean&density=3&autostart=0)
+     */
+    static parseOptions(search) {
+        const params = new URLSearchParams(search);
+        const options = {};
+
+        ['theme', 'background'].forEach(key => {
+            if (params.has(key)) {
+                options[key] = params.get(key);
+            }
+        });
+
+        ['density', 'speed', 'volume'].forEach(key => {
+            const value = parseFloat(params.get(key));
+            if (!isNaN(value)) {
+                options[key] = Math.max(0, Math.min(10, value));
+            }
+        });
+
+        if (params.has('autostart')) {
+            options.autoStart = !['0', 'false', 'no'].includes(params.get('autostart'));
+        }
+
+        return options;
+    }
+
+    /**
+     * Build the game inside the container and start it
+     */
+    async mount() {
+        if (!this.container) {
+            throw new Error('Embed container not found');
+        }
+
+        this.buildElements();
+
+        this.game = new BubbleGame({ container: this.container });
+
+        // There are no ads beside an embedded game, so bubbles can use the full width
+        this.game.adZones.left = { width: 0, margin: 0 };
+
+        await this.game.init();
+
+        this.applyOptions(this.options);
+        this.observeSize();
+
+        this.removePopListener = this.game.on('pop', detail => {
+            this.postPop(detail);
+        });
+
+        // Only an iframe has a host page to talk to
+        if (this.options.messaging && window.parent !== window) {
+            window.addEventListener('message', this.handleMessage);
+            this.postToHost({
+                type: 'bubblebreak:ready',
+                themes: Object.keys(this.game.themes),
+                backgrounds: Object.keys(this.game.backgrounds)
+            }, '*');
+        }
+
+        if (this.options.autoStart) {
+            this.start();
+        }
+
+        return this;
+    }
+
+    /**
+     * Background layers and canvas the game draws into (the same structure index.html has)
+     */
+    buildElements() {
+        this.container.classList.add('bubble-embed');
+        this.container.innerHTML = `
+            <div class="background-container">
+                <div id="currentBackground" class="background-layer current"></div>
+                <div id="nextBackground" class="background-layer next"></div>
+            </div>
+            <canvas id="bubbleCanvas" aria-label="Interactive soap bubbles. Hover over bubbles to pop them."></canvas>
+        `;
+    }
+
+    /**
+     * Apply theme, background, density, speed and volume options
+     */
+    applyOptions(options) {
+        const game = this.game;
+
+        if (options.theme !== undefined && game.themes[options.theme]) {
+            game.handleThemeChange(options.theme);
+        }
+        if (options.background !== undefined && game.backgrounds[options.background] &&
+            options.background !== game.currentBackground) {
+            game.handleBackgroundChange(options.background);
+        }
+        if (options.density !== undefined) {
+            game.handleDensityChange(options.density);
+        }
+        if (options.speed !== undefined) {
+            game.handleSpeedChange(options.speed);
+        }
+        if (options.volume !== undefined) {
+            game.handleVolumeChange(options.volume);
+        }
+    }
+
+    /**
+     * Resize the canvas whenever the container changes size
+     */
+    observeSize() {
+        // Without ResizeObserver the game still follows window resizes
+        if (typeof ResizeObserver === 'undefined') return;
+
+        this.resizeObserver = new ResizeObserver(() => {
+            const size = this.game.getViewportSize();
+            if (size.width !== this.game.width || size.height !== this.game.height) {
+                this.game.handleResize();
+            }
+        });
+        this.resizeObserver.observe(this.container);
+    }
+
+    /**
+     * Start playing, or carry on after a pause
+     */
+    start() {
+        this.game.externallyPaused = false;
+
+        if (this.game.gameStarted) {
+            this.game.resume();
+        } else {
+            this.game.startGame('zen');
+        }
+    }
+
+    /**
+     * Pause until start() is called again (the page becoming visible doesn't resume it)
+     */
+    pause() {
+        this.game.externallyPaused = true;
+        this.game.pause();
+    }
+
+    /**
+     * Handle a command from the host page
+     */
+    handleMessage(event) {
+        if (event.source !== window.parent) return;
+
+        const message = event.data;
+        if (!message || typeof message.type !== 'string' || !message.type.startsWith('bubblebreak:')) return;
+
+        switch (message.type) {
+            case 'bubblebreak:start':
+                this.start();
+                this.postState(event.origin);
+                break;
+            case 'bubblebreak:pause':
+                this.pause();
+                this.postState(event.origin);
+                break;
+            case 'bubblebreak:setTheme':
+                this.applyOptions({ theme: message.theme });
+                break;
+            case 'bubblebreak:setBackground':
+                this.applyOptions({ background: message.background });
+                break;
+            case 'bubblebreak:setDensity': {
+                const density = parseFloat(message.density);
+                if (!isNaN(density)) {
+                    this.applyOptions({ density: Math.max(0, Math.min(10, density)) });
+                }
+                break;
+            }
+            case 'bubblebreak:onPop':
+                this.popOrigins.add(event.origin);
+                break;
+            default:
+                console.warn(`Unknown embed message: ${message.type}`);
+        }
+    }
+
+    /**
+     * Tell the host whether the game is playing
+     */
+    postState(origin) {
+        const playing = this.game.gameStarted && !this.game.isPaused;
+        this.postToHost({
+            type: 'bubblebreak:state',
+            state: playing ? 'playing' : 'paused',
+            popCount: this.game.popCount
+        }, origin);
+    }
+
+    /**
+     * Send a pop to every host that asked for them
+     */
+    postPop(detail) {
+        this.popOrigins.forEach(origin => {
+            this.postToHost({
+                type: 'bubblebreak:pop',
+                popCount: detail.popCount,
+                score: detail.score,
+                bubbleType: detail.type
+            }, origin);
+        });
+    }
+
+    /**
+     * Post a message to the host page ('null' origins, e.g. sandboxed frames, can only be reached with '*')
+     */
+    postToHost(message, origin) {
+        if (window.parent === window) return;
+        window.parent.postMessage(message, origin === 'null' ? '*' : origin);
+    }
+
+    /**
+     * Stop the game and let go of the container
+     */
+    destroy() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        if (this.removePopListener) {
+            this.removePopListener();
+            this.removePopListener = null;
+        }
+
+        window.removeEventListener('message', this.handleMessage);
+
+        if (this.game) {
+            this.game.destroy();
+        }
+
+        this.container.classList.remove('bubble-embed');
+        this.container.innerHTML = '';
+    }
+}
+
+BubbleEmbed.DEFAULTS = {
+    autoStart: true, // Start without a start screen
+    messaging: true // Take postMessage commands when running in an iframe
+};
@@ -4,17 +4,25 @@
  */
 
 class BubbleGame {
-    constructor() {
+    constructor(options = {}) {
+        // Element the game is mounted in (null = the game owns the whole window, see BubbleEmbed)
+        this.container = options.container || null;
+
         // Canvas and rendering
         this.canvas = null;
         this.ctx = null;
         this.width = 0;
         this.height = 0;
-        this.dpr = window.devicePixelRatio || 1;
+        this.dpr = typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1;
+        this.dprScale = 1.0; // Lowered by the quality governor on slow devices
 
         // Game state
+        this.headless = false; // Simulation only, stepped by HeadlessSimulation instead of animation frames
+        this.inWorker = false; // Simulating and drawing inside render-worker.js
+        this.renderWorker = null; // WorkerRenderer when a worker simulates and draws the bubbles for this page
         this.isRunning = false;
         this.isPaused = false;
+        this.externallyPaused = false; // Paused by an embedding page, which also resumes it
         this.lastTime = 0;
         this.deltaTime = 0;
 
@@ -28,6 +36,24 @@ class BubbleGame {
             performanceTarget: 60, // fps
             maxMemoryUsage: 50 * 1024 * 1024, // 50MB in bytes
             initialBubbleCount: 8, // Spawn this many bubbles immediately on start
+            fixedTimestep: 0, // ms per simulation step; 0 = variable timestep
+            maxStepsPerFrame: 5, // Cap catch-up steps so a long frame can't spiral
+            breakFadeDuration: 3000, // ms for bubbles to fade out when a study break ends
+            chainReaction: {
+                enabled: false, // Off by default so popping stays calm
+                radius: 160, // Shockwave reach in px beyond the popped bubble's edge
+                popThreshold: 30, // Bubbles whose edge is this close (px) pop in the chain
+                maxDepth: 3, // Links after the first pop
+                maxLinksPerPop: 2, // Closest bubbles each pop can set off
+                linkDelay: 120, // ms between links so the cascade can be seen
+                strength: 1.2 // Shockwave push
+            },
+            calmMode: {
+                enabled: false, // Slow pointers herd bubbles instead of popping them
+                maxSpeed: 0.3, // px/ms - pointers slower than this herd (about 300px a second)
+                radius: 90, // px around the pointer that bubbles are nudged away from
+                strength: 0.08 // Push per step, gentle so bubbles drift rather than fly
+            }
         };
 
         // Ad zone configuration for bubble avoidance
@@ -43,6 +69,25 @@ class BubbleGame {
         this.particleSystem = null;
         this.inputHandler = null;
         this.performanceMonitor = null;
+        this.qualityGovernor = null;
+        this.settingsStore = null;
+        this.sessionRecorder = null;
+        this.bubbleTypes = null;
+        this.challenge = null;
+        this.leaderboard = null;
+        this.breathingGuide = null;
+        this.breakScheduler = null;
+        this.sessionHistory = null;
+        this.statsPanel = null;
+        this.dailyGoal = null;
+        this.achievements = null;
+        this.achievementGallery = null;
+
+        // Events for other scripts and plugins (see on())
+        this.events = typeof EventEmitter !== 'undefined' ? new EventEmitter() : null;
+        this.plugins = new Map(); // Installed plugins by name
+        this.pendingPlugins = []; // Registered before the game was ready
+        this.isReady = false;
 
         // UI elements
         this.loadingScreen = null;
@@ -52,17 +97,52 @@ class BubbleGame {
         this.volumeSlider = null;
         this.speedSlider = null;
         this.densitySlider = null;
+        this.collisionToggle = null;
+        this.chainToggle = null;
+        this.calmToggle = null;
+        this.mergeToggle = null;
+        this.physicsSelect = null;
+        this.modeButtons = [];
+        this.challengeTimer = null;
+        this.challengeTimerValue = null;
+        this.challengeSummary = null;
+        this.playAgainButton = null;
+        this.zenButton = null;
+        this.breathingSelect = null;
+        this.breathingCueToggle = null;
+        this.breathingReport = null;
+        this.breathingDoneButton = null;
+        this.breakTimer = null;
+        this.breakTimerValue = null;
+        this.breakRingProgress = null;
+        this.breakSchedule = null;
+        this.breakScheduleToggle = null;
+        this.focusMinutesInput = null;
+        this.breakMinutesInput = null;
+        this.breakScheduleStatus = null;
+        this.goalSelect = null;
+        this.goalProgress = null;
+        this.goalProgressValue = null;
+        this.goalStreak = null;
         this.settingsToggle = null;
         this.collapsibleSettings = null;
 
         // Game state
         this.gameStarted = false;
         this.popCount = 0;
+        this.gameMode = 'zen'; // 'zen' or a challenge length in seconds ('30', '60', '120')
+        this.selectedMode = 'zen'; // Mode picked on the start screen
+        this.breathingCue = false; // Chime at each breathing phase change
+        this.breakFade = null; // Bubbles fading out at the end of a study break
+        this.sessionPlayTime = 0; // ms played since the current session began
         this.currentTheme = 'classic'; // Default theme
         this.currentBackground = 'gradient'; // Default background
         this.isTransitioning = false;
         this.bubbleSpeedMultiplier = 1.0; // Default speed (5 on the slider)
         this.bubbleDensityMultiplier = 1.0; // Default density (5 on the slider)
+        this.speedLevel = 5; // Speed slider level 0-10
+        this.densityLevel = 5; // Density slider level 0-10
+        this.qualityBubbleScale = 1.0; // Max bubble reduction from the quality governor
 
         // Theme definitions
         this.themes = {
@@ -163,17 +243,29 @@ class BubbleGame {
             }
         };
 
+        // Random source - replaced by a seeded one in deterministic mode
+        this.random = new MathRandom();
+        this.randomSeed = null;
+        this.stepAccumulator = 0;
+
+        // Chain reactions waiting to pop (stepped with the simulation)
+        this.pendingChainPops = [];
+        this.comboDisplay = null; // Combo text shown near the last chain pop
+
         // Timing
         this.lastSpawnTime = 0;
         this.nextSpawnDelay = this.getRandomSpawnDelay();
 
-        // Spawn distribution tracking (for debugging) - updated for 3 edges
-        this.spawnStats = { bottom: 0, left: 0, right: 0 };
+        // Spawn distribution tracking (for debugging) - top is used by sinking presets like the snow globe
+        this.spawnStats = { bottom: 0, left: 0, right: 0, top: 0 };
 
         // Bind methods
         this.gameLoop = this.gameLoop.bind(this);
         this.handleResize = this.handleResize.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+        this.handleError = this.handleError.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
     }
 
     /**
@@ -184,30 +276,79 @@ class BubbleGame {
             console.log('Initializing Soap Bubbles Game...');
 
             // Get DOM elements
-            this.canvas = document.getElementById('bubbleCanvas');
-            this.loadingScreen = document.getElementById('loadingScreen');
-            this.startScreen = document.getElementById('startScreen');
-            this.startButton = document.getElementById('startButton');
-            this.popCountElement = document.getElementById('popCount');
-            this.volumeSlider = document.getElementById('volumeSlider');
-            this.speedSlider = document.getElementById('speedSlider');
-            this.densitySlider = document.getElementById('densitySlider');
-            this.settingsToggle = document.getElementById('settingsToggle');
-            this.collapsibleSettings = document.getElementById('collapsibleSettings');
-            this.themeSelect = document.getElementById('themeSelect');
-            this.backgroundSelect = document.getElementById('backgroundSelect');
+            this.canvas = this.getElement('bubbleCanvas');
+            this.loadingScreen = this.getElement('loadingScreen');
+            this.startScreen = this.getElement('startScreen');
+            this.startButton = this.getElement('startButton');
+            this.popCountElement = this.getElement('popCount');
+            this.volumeSlider = this.getElement('volumeSlider');
+            this.speedSlider = this.getElement('speedSlider');
+            this.densitySlider = this.getElement('densitySlider');
+            this.collisionToggle = this.getElement('collisionToggle');
+            this.chainToggle = this.getElement('chainToggle');
+            this.calmToggle = this.getElement('calmToggle');
+            this.mergeToggle = this.getElement('mergeToggle');
+            this.physicsSelect = this.getElement('physicsSelect');
+            this.modeButtons = Array.from(this.getRoot().querySelectorAll('.mode-option'));
+            this.challengeTimer = this.getElement('challengeTimer');
+            this.challengeTimerValue = this.getElement('challengeTimerValue');
+            this.challengeSummary = this.getElement('challengeSummary');
+            this.playAgainButton = this.getElement('playAgainButton');
+            this.zenButton = this.getElement('zenButton');
+            this.breathingSelect = this.getElement('breathingSelect');
+            this.breathingCueToggle = this.getElement('breathingCueToggle');
+            this.breathingReport = this.getElement('breathingReport');
+            this.breathingDoneButton = this.getElement('breathingDoneButton');
+            this.breakTimer = this.getElement('breakTimer');
+            this.breakTimerValue = this.getElement('breakTimerValue');
+            this.breakRingProgress = this.getElement('breakRingProgress');
+            this.breakSchedule = this.getRoot().querySelector('.break-schedule');
+            this.breakScheduleToggle = this.getElement('breakScheduleToggle');
+            this.focusMinutesInput = this.getElement('focusMinutesInput');
+            this.breakMinutesInput = this.getElement('breakMinutesInput');
+            this.breakScheduleStatus = this.getElement('breakScheduleStatus');
+            this.goalSelect = this.getElement('goalSelect');
+            this.goalProgress = this.getElement('goalProgress');
+            this.goalProgressValue = this.getElement('goalProgressValue');
+            this.goalStreak = this.getElement('goalStreak');
+            this.settingsToggle = this.getElement('settingsToggle');
+            this.collapsibleSettings = this.getElement('collapsibleSettings');
+            this.themeSelect = this.getElement('themeSelect');
+            this.backgroundSelect = this.getElement('backgroundSelect');
 
             if (!this.canvas) {
                 throw new Error('Canvas element not found');
             }
 
-            // Setup canvas
-            this.ctx = this.canvas.getContext('2d');
+            const params = new URLSearchParams(window.location.search);
+            const seedParam = params.get('seed');
+            const seeded = seedParam !== null && seedParam !== '' && !isNaN(Number(seedParam));
+
+            // Simulate and draw in a worker (?renderer=worker) - seeded sessions stay on this thread
+            // Decided before this page takes a 2D context, as a canvas with one can't be transferred
+            if (params.get('renderer') === 'worker' && !seeded) {
+                await this.startRenderWorker();
+            }
+
+            // Setup canvas (nothing is drawn on this thread once the worker has it, like headless)
+            this.ctx = this.renderWorker ? null : this.canvas.getContext('2d');
             this.setupCanvas();
 
             // Initialize game systems
             await this.initializeSystems();
 
+            // Deterministic mode for reproducing sessions (?seed=1234)
+            if (seeded) {
+                this.enableDeterministicMode(Number(seedParam));
+            }
+
+            if (this.renderWorker) {
+                this.connectRenderWorker();
+            }
+
+            // Restore saved settings into the controls before listeners apply them
+            this.restoreSettings();
+
             // Setup event listeners
             this.setupEventListeners();
 
@@ -218,6 +359,8 @@ class BubbleGame {
             this.showStartScreen();
 
             console.log('Game initialized successfully');
+
+            this.markReady();
         } catch (error) {
             console.error('Failed to initialize game:', error);
             this.showError(error.message);
@@ -228,17 +371,29 @@ class BubbleGame {
      * Setup canvas with proper scaling and high DPI support
      */
     setupCanvas() {
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+        const size = this.getViewportSize();
+        this.width = size.width;
+        this.height = size.height;
+
+        // An OffscreenCanvas in the render worker has no element to lay out
+        if (this.canvas.style) {
+            this.canvas.style.width = this.width + 'px';
+            this.canvas.style.height = this.height + 'px';
+        }
+
+        // Once the canvas belongs to a render worker, the worker sizes it
+        if (this.renderWorker) {
+            this.renderWorker.resize(this.width, this.height, this.dpr);
+            return;
+        }
 
-        // Set canvas size accounting for device pixel ratio
-        this.canvas.width = this.width * this.dpr;
-        this.canvas.height = this.height * this.dpr;
-        this.canvas.style.width = this.width + 'px';
-        this.canvas.style.height = this.height + 'px';
+        // Set canvas size accounting for device pixel ratio (scaled down at lower quality tiers)
+        const renderDpr = this.dpr * this.dprScale;
+        this.canvas.width = Math.round(this.width * renderDpr);
+        this.canvas.height = Math.round(this.height * renderDpr);
 
         // Scale context for high DPI displays
-        this.ctx.scale(this.dpr, this.dpr);
+        this.ctx.scale(renderDpr, renderDpr);
 
         // Set rendering properties for smooth graphics
         this.ctx.imageSmoothingEnabled = true;
@@ -246,1383 +401,3841 @@ class BubbleGame {
     }
 
     /**
-     * Initialize all game systems
+     * Size of the area the game fills: its container when embedded, otherwise the window
      */
-    async initializeSystems() {
-        // Initialize physics engine
-        if (typeof PhysicsEngine !== 'undefined') {
-            this.physicsEngine = new PhysicsEngine(this.width, this.height);
-        }
-
-        // Initialize audio manager
-        if (typeof AudioManager !== 'undefined') {
-            this.audioManager = new AudioManager();
-            await this.audioManager.init();
+    getViewportSize() {
+        // The render worker is told its size by the page
+        if (this.inWorker) {
+            return { width: this.width, height: this.height };
         }
 
-        // Initialize particle system
-        if (typeof ParticleSystem !== 'undefined') {
-            this.particleSystem = new ParticleSystem(this.ctx);
+        if (this.container) {
+            return {
+                width: Math.max(1, this.container.clientWidth),
+                height: Math.max(1, this.container.clientHeight)
+            };
         }
 
-        // Initialize bubble manager
-        this.bubbleManager = new BubbleManager(this.ctx, this.config.maxBubbles);
-
-        // Initialize input handler
-        this.inputHandler = new InputHandler(this.canvas);
-
-        // Initialize performance monitor
-        this.performanceMonitor = new PerformanceMonitor(this.config.performanceTarget);
-
-        // Connect input events
-        this.inputHandler.onBubbleHover = (x, y) => {
-            this.handleBubbleInteraction(x, y);
-        };
-
-        // Initialize background
-        this.initializeBackground();
+        return { width: window.innerWidth, height: window.innerHeight };
     }
 
     /**
-     * Setup event listeners
+     * Element the game's page UI lives in (its container when embedded)
      */
-    setupEventListeners() {
-        // Window resize
-        window.addEventListener('resize', this.handleResize, { passive: true });
-
-        // Page visibility (for performance)
-        document.addEventListener('visibilitychange', this.handleVisibilityChange);
-
-        // Start button
-        if (this.startButton) {
-            this.startButton.addEventListener('click', () => {
-                this.startGame();
-            });
-        }
-
-        // Settings toggle
-        if (this.settingsToggle && this.collapsibleSettings) {
-            this.settingsToggle.addEventListener('click', () => {
-                this.toggleSettings();
-            });
-        }
-
-        // Volume slider
-        if (this.volumeSlider) {
-            this.volumeSlider.addEventListener('input', (e) => {
-                this.handleVolumeChange(e.target.value);
-            });
+    getRoot() {
+        return this.container || document;
+    }
 
-            // Set initial volume from slider value
-            this.handleVolumeChange(this.volumeSlider.value);
-        }
+    /**
+     * Find a UI element by id, only inside the container when embedded
+     */
+    getElement(id) {
+        return this.container ? this.container.querySelector(`#${id}`) : document.getElementById(id);
+    }
 
-        // Speed slider
-        if (this.speedSlider) {
-            this.speedSlider.addEventListener('input', (e) => {
-                this.handleSpeedChange(e.target.value);
-            });
+    /**
+     * Seed every random source so a seed and input stream reproduce a session exactly
+     * Each system gets its own forked stream so one system can't shift another's sequence
+     */
+    setRandomSeed(seed) {
+        this.randomSeed = seed >>> 0;
+        this.setRandom(new SeededRandom(this.randomSeed));
 
-            // Set initial speed from slider value
-            this.handleSpeedChange(this.speedSlider.value);
-        }
+        console.log(`Random seed: ${this.randomSeed}`);
+    }
 
-        // Density slider
-        if (this.densitySlider) {
-            this.densitySlider.addEventListener('input', (e) => {
-                this.handleDensityChange(e.target.value);
-            });
+    /**
+     * Swap the random source of the game and every system
+     */
+    setRandom(random) {
+        this.random = random;
 
-            // Set initial density from slider value
-            this.handleDensityChange(this.densitySlider.value);
+        if (this.bubbleManager) {
+            this.bubbleManager.random = this.random.fork();
         }
-
-        // Theme selector
-        if (this.themeSelect) {
-            this.themeSelect.addEventListener('change', (e) => {
-                this.handleThemeChange(e.target.value);
-            });
+        if (this.physicsEngine) {
+            this.physicsEngine.setRandom(this.random.fork());
         }
-
-        // Background selector
-        if (this.backgroundSelect) {
-            this.backgroundSelect.addEventListener('change', (e) => {
-                this.handleBackgroundChange(e.target.value);
-            });
+        if (this.particleSystem) {
+            this.particleSystem.setRandom(this.random.fork());
         }
 
-        // Error handling
-        window.addEventListener('error', (event) => {
-            console.error('Game error:', event.error);
-        });
-
-        // Debug mode toggle (press 'D' key)
-        window.addEventListener('keydown', (event) => {
-            if (event.key.toLowerCase() === 'd') {
-                if (this.performanceMonitor) {
-                    this.performanceMonitor.toggleDebugMode();
-                    console.log('Debug mode:', this.performanceMonitor.debugMode ? 'ON' : 'OFF');
-                }
-            }
-        });
+        this.lastSpawnTime = 0;
+        this.nextSpawnDelay = this.getRandomSpawnDelay();
     }
 
     /**
-     * Start the game
+     * Deterministic mode: seeded randomness, fixed timestep, no adaptive quality
      */
-    start() {
-        if (!this.isRunning) {
-            this.isRunning = true;
-            this.isPaused = false;
-            this.lastTime = performance.now();
-            requestAnimationFrame(this.gameLoop);
+    enableDeterministicMode(seed = SeededRandom.createSeed(), fixedTimestep = 1000 / 60) {
+        this.setRandomSeed(seed);
+        this.config.fixedTimestep = fixedTimestep;
+        this.stepAccumulator = 0;
+
+        // Quality changes depend on wall-clock frame times, which would break reproducibility
+        if (this.qualityGovernor) {
+            this.qualityGovernor.setEnabled(false);
         }
+
+        return this.randomSeed;
     }
 
     /**
-     * Pause the game
+     * Back to unseeded randomness and a variable timestep (the caller decides about adaptive quality)
      */
-    pause() {
-        this.isPaused = true;
+    disableDeterministicMode() {
+        this.randomSeed = null;
+        this.setRandom(new MathRandom());
+        this.config.fixedTimestep = 0;
+        this.stepAccumulator = 0;
     }
 
     /**
-     * Resume the game
+     * Change the canvas resolution scale (1.0 = full device pixel ratio)
      */
-    resume() {
-        if (this.isPaused) {
-            this.isPaused = false;
-            this.lastTime = performance.now();
+    setRenderScale(scale) {
+        if (scale === this.dprScale) return;
+
+        this.dprScale = scale;
+        if (this.canvas && this.ctx) {
+            this.setupCanvas();
         }
     }
 
     /**
-     * Stop the game
+     * Get max bubbles after density and quality adjustments
      */
-    stop() {
-        this.isRunning = false;
-        this.isPaused = false;
+    getMaxBubbles() {
+        return Math.max(1, Math.round(this.config.maxBubbles * this.qualityBubbleScale));
     }
 
     /**
-     * Main game loop - runs at 60fps
+     * Initialize all game systems
      */
-    gameLoop(currentTime) {
-        if (!this.isRunning) return;
+    async initializeSystems() {
+        // Initialize settings store
+        if (typeof SettingsStore !== 'undefined') {
+            this.settingsStore = new SettingsStore();
+        }
 
-        // Calculate delta time
-        this.deltaTime = currentTime - this.lastTime;
-        this.lastTime = currentTime;
+        // Initialize challenge leaderboard
+        if (typeof ChallengeLeaderboard !== 'undefined') {
+            this.leaderboard = new ChallengeLeaderboard();
+        }
 
-        // Skip frame if paused
-        if (this.isPaused) {
-            requestAnimationFrame(this.gameLoop);
-            return;
+        // Initialize session history and the stats panel (kept on this device only)
+        if (typeof SessionHistory !== 'undefined') {
+            this.sessionHistory = new SessionHistory();
+
+            if (typeof StatsPanel !== 'undefined') {
+                this.statsPanel = new StatsPanel(this.sessionHistory);
+            }
         }
 
-        // Performance monitoring
-        this.performanceMonitor.frameStart();
+        // Initialize daily goal (local calendar days, so browser only)
+        if (typeof DailyGoal !== 'undefined') {
+            this.dailyGoal = new DailyGoal();
+            this.dailyGoal.load();
+        }
 
-        // Update game systems
-        this.update(this.deltaTime);
+        // Initialize achievements and their gallery (stored on this device only)
+        if (typeof AchievementTracker !== 'undefined') {
+            this.achievements = new AchievementTracker();
+            this.achievements.load();
+            this.applyAchievementRewards();
 
-        // Render frame
-        this.render();
+            if (typeof AchievementGallery !== 'undefined') {
+                this.achievementGallery = new AchievementGallery(this.achievements);
+            }
+        }
 
-        // Performance monitoring
-        this.performanceMonitor.frameEnd();
+        // Initialize study break timer (wall-clock based, so browser only)
+        if (typeof BreakScheduler !== 'undefined') {
+            this.breakScheduler = new BreakScheduler();
+            this.breakScheduler.load();
+        }
 
-        // Continue the loop
-        requestAnimationFrame(this.gameLoop);
+        // Initialize physics, particles, bubbles and input
+        this.initializeSimulation();
+
+        // Initialize audio manager
+        if (typeof AudioManager !== 'undefined') {
+            this.audioManager = new AudioManager();
+            await this.audioManager.init();
+        }
+
+        // Initialize performance monitor
+        this.performanceMonitor = new PerformanceMonitor(this.config.performanceTarget);
+
+        // Initialize quality governor
+        if (typeof QualityGovernor !== 'undefined') {
+            this.qualityGovernor = new QualityGovernor(this, this.config.performanceTarget);
+            this.performanceMonitor.qualityGovernor = this.qualityGovernor;
+        }
+
+        // Initialize background
+        this.initializeBackground();
     }
 
     /**
-     * Update all game systems
+     * Initialize the systems that make up the simulation (no audio, storage or page UI)
+     * Shared by the browser game and the headless simulation
      */
-    update(deltaTime) {
-        // Spawn new bubbles
-        this.updateBubbleSpawning(deltaTime);
+    initializeSimulation() {
+        // Initialize bubble type registry
+        if (typeof BubbleTypeRegistry !== 'undefined') {
+            this.bubbleTypes = BubbleTypeRegistry.createDefault();
+        }
 
-        // Update bubbles with speed multiplier
-        this.bubbleManager.update(deltaTime, this.physicsEngine, this.bubbleSpeedMultiplier);
+        // Initialize physics engine
+        if (typeof PhysicsEngine !== 'undefined') {
+            this.physicsEngine = new PhysicsEngine(this.width, this.height, this.random.fork());
+        }
 
-        // Update particles
-        if (this.particleSystem) {
-            this.particleSystem.update(deltaTime);
+        // Initialize particle system
+        if (typeof ParticleSystem !== 'undefined') {
+            this.particleSystem = new ParticleSystem(this.ctx, this.random.fork());
+            this.particleSystem.setBounds(this.width, this.height);
         }
 
-        // Update input
-        this.inputHandler.update();
+        // Initialize bubble manager
+        this.bubbleManager = new BubbleManager(this.ctx, this.config.maxBubbles);
 
-        // Check performance and adjust quality if needed
-        this.performanceMonitor.update();
+        // Initialize input handler (no canvas listeners when headless or in the render worker)
+        this.inputHandler = new InputHandler(this.inWorker ? null : this.canvas);
+
+        // Connect input events
+        this.inputHandler.onBubbleHover = (x, y, pointerId, isPress) => {
+            this.handleBubbleInteraction(x, y, pointerId, isPress);
+        };
+
+        this.bubbleManager.onMerge = (bubble, absorbed) => {
+            this.emit('merge', { bubble, absorbed, merged: bubble.merged });
+        };
+
+        // Bursting against an edge looks like a pop but isn't the player's, so it doesn't score
+        this.bubbleManager.onEdgePop = (bubble) => {
+            if (this.particleSystem) {
+                this.particleSystem.createPopEffect(bubble.x, bubble.y, bubble.size);
+            }
+            this.emit('edgepop', { bubble });
+        };
+
+        // Initialize session recorder
+        if (typeof SessionRecorder !== 'undefined') {
+            this.sessionRecorder = new SessionRecorder(this);
+        }
+
+        // Initialize timed challenge rounds
+        if (typeof ChallengeMode !== 'undefined') {
+            this.challenge = new ChallengeMode();
+        }
+
+        // Initialize breathing guide
+        if (typeof BreathingGuide !== 'undefined') {
+            this.breathingGuide = new BreathingGuide();
+        }
     }
 
     /**
-     * Render the current frame
+     * Clear bubbles, particles and their pools so a new session starts from a known state
      */
-    render() {
-        // Clear canvas with gradient background
-        this.clearCanvas();
-
-        // Render bubbles
-        this.bubbleManager.render();
+    resetSimulation() {
+        if (this.bubbleManager) {
+            this.bubbleManager.clear();
+        }
 
-        // Render particles
         if (this.particleSystem) {
-            this.particleSystem.render();
+            this.particleSystem.dispose();
         }
 
-        // Render debug info if enabled
-        if (this.performanceMonitor.debugMode) {
-            this.renderDebugInfo();
+        this.stepAccumulator = 0;
+        this.spawnStats = { bottom: 0, left: 0, right: 0, top: 0 };
+        this.pendingChainPops = [];
+        this.comboDisplay = null;
+
+        if (this.renderWorker) {
+            this.renderWorker.send('reset');
         }
     }
 
     /**
-     * Clear canvas with background
+     * Resize the simulated area (spawning, physics bounds and particle culling)
      */
-    clearCanvas() {
-        if (this.currentBackground === 'gradient') {
-            // Create gradient background (only for gradient mode)
-            const gradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
-            gradient.addColorStop(0, '#87CEEB');
-            gradient.addColorStop(1, '#ffffff');
+    setPlayfieldSize(width, height) {
+        this.width = width;
+        this.height = height;
 
-            this.ctx.fillStyle = gradient;
-            this.ctx.fillRect(0, 0, this.width, this.height);
-        } else {
-            // For image backgrounds, clear with transparency to show CSS background
-            this.ctx.clearRect(0, 0, this.width, this.height);
+        if (this.physicsEngine) {
+            this.physicsEngine.updateBounds(width, height);
+        }
+
+        if (this.particleSystem) {
+            this.particleSystem.setBounds(width, height);
         }
     }
 
     /**
-     * Handle bubble spawning timing
+     * Initialize without a DOM - for Node tests and tooling (see HeadlessSimulation)
      */
-    updateBubbleSpawning(deltaTime) {
-        // Don't spawn bubbles if game hasn't started yet
-        if (!this.gameStarted) {
-            return;
-        }
+    initHeadless(width = 1280, height = 720) {
+        this.headless = true;
+        this.width = width;
+        this.height = height;
 
-        this.lastSpawnTime += deltaTime;
+        this.initializeSimulation();
 
-        const currentBubbleCount = this.bubbleManager ? this.bubbleManager.getActiveCount() : 0;
-        const targetBubbleCount = this.config.maxBubbles * 0.8; // Try to maintain 80% of max
+        console.log(`Headless simulation initialized (${width}x${height})`);
 
-        // Spawn more aggressively if we're below target
-        let spawnDelay = this.nextSpawnDelay;
-        if (currentBubbleCount < targetBubbleCount) {
-            spawnDelay = spawnDelay * 0.3; // Much faster spawning when below target
+        this.markReady();
+    }
 
-            // At very high density levels (6x+), spawn even faster
-            if (this.bubbleDensityMultiplier >= 3.0) {
-                spawnDelay = spawnDelay * 0.5; // Even faster for high density
-            }
-        }
-
-        // Debug logging (temporary)
-        if (Math.floor(this.lastSpawnTime / 1000) !== Math.floor((this.lastSpawnTime - deltaTime) / 1000)) {
-            console.log(`Spawn check: bubbles=${currentBubbleCount}/${this.config.maxBubbles}, target=${targetBubbleCount}, delay=${spawnDelay.toFixed(0)}ms, elapsed=${this.lastSpawnTime.toFixed(0)}ms`);
-        }
+    /**
+     * Initialize inside the render worker, drawing into a canvas transferred from the page (see RenderWorker)
+     */
+    initWorker(canvas, width, height, dpr = 1) {
+        this.inWorker = true;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.dpr = dpr;
+        this.width = width;
+        this.height = height;
+        this.setupCanvas();
 
-        if (this.lastSpawnTime >= spawnDelay &&
-            currentBubbleCount < this.config.maxBubbles) {
+        this.initializeSimulation();
 
-            console.log('Triggering spawn...');
-            this.spawnBubble();
-            this.lastSpawnTime = 0;
-            this.nextSpawnDelay = this.getRandomSpawnDelay();
+        // Frame times here are the drawing's, so quality adapts in the worker
+        this.performanceMonitor = new PerformanceMonitor(this.config.performanceTarget);
+        if (typeof QualityGovernor !== 'undefined') {
+            this.qualityGovernor = new QualityGovernor(this, this.config.performanceTarget);
+            this.performanceMonitor.qualityGovernor = this.qualityGovernor;
         }
-    }
 
-    /**
-     * Get safe zones for spawning bubbles (avoiding ad areas)
-     */
-    getSafeSpawnZones() {
-        const leftSafeZone = this.adZones.left.width + this.adZones.left.margin;
-        const bottomSafeZone = this.adZones.bottom.height + this.adZones.bottom.margin;
+        console.log(`Render worker initialized (${width}x${height})`);
 
-        return {
-            leftEdge: leftSafeZone,
-            rightEdge: this.width, // No right ad zone, so full width available
-            bottomEdge: this.height - bottomSafeZone,
-            safeWidth: this.width - leftSafeZone // Only avoid left ad zone
-        };
+        this.markReady();
     }
 
     /**
-     * Spawn a new bubble
+     * Hand simulation and drawing to a render worker; stays on this thread if the browser can't
      */
-    spawnBubble() {
-        try {
-            // Spawn closer to screen edges to ensure bubbles enter view quickly
-            const spawnDistance = 30; // Much closer to screen edge
-
-            // Weighted spawn distribution: 80% bottom, 10% left, 10% right
-            const randomValue = Math.random();
-            let side;
-            if (randomValue < 0.8) {
-                side = 0; // bottom edge (80% chance)
-            } else if (randomValue < 0.9) {
-                side = 1; // left edge (10% chance)
-            } else {
-                side = 2; // right edge (10% chance)
-            }
-
-            const safeZones = this.getSafeSpawnZones();
-            let x, y;
-
-            switch (side) {
-                case 0: // bottom edge - only in safe width area (avoiding left/right ads)
-                    x = safeZones.leftEdge + Math.random() * safeZones.safeWidth;
-                    y = this.height + spawnDistance;
-                    break;
-                case 1: // left edge - spawn from safe left position
-                    x = -spawnDistance;
-                    y = Math.random() * this.height;
-                    break;
-                case 2: // right edge - spawn from safe right position
-                    x = this.width + spawnDistance;
-                    y = Math.random() * this.height;
-                    break;
-                default:
-                    console.error('Invalid spawn side:', side);
-                    return;
-            }
-
-            // Create bubble with random size (large to extra large for better visibility)
-            const sizeType = Math.random();
-            let size;
+    async startRenderWorker() {
+        if (typeof WorkerRenderer === 'undefined' || !WorkerRenderer.isSupported(this.canvas)) {
+            console.log('Render worker not supported, drawing on the main thread');
+            return false;
+        }
 
-            if (sizeType < 0.6) {
-                // 60% chance: Regular large bubbles
-                size = 60 + Math.random() * 80; // 60-140px diameter
-            } else if (sizeType < 0.9) {
-                // 30% chance: Extra large bubbles
-                size = 120 + Math.random() * 100; // 120-220px diameter
-            } else {
-                // 10% chance: Giant bubbles
-                size = 180 + Math.random() * 120; // 180-300px diameter
-            }
-            const lifetime = this.config.bubbleLifetime +
-                            (Math.random() - 0.5) * this.config.bubbleLifetimeVariation;
+        // The worker is told the playfield size when it starts
+        const size = this.getViewportSize();
+        this.width = size.width;
+        this.height = size.height;
 
-            // Track spawn distribution (updated for 3 edges)
-            const edgeNames = ['bottom', 'left', 'right'];
-            if (edgeNames[side] && this.spawnStats) {
-                // Update spawn stats structure to match new edges
-                if (!this.spawnStats[edgeNames[side]]) {
-                    this.spawnStats[edgeNames[side]] = 0;
-                }
-                this.spawnStats[edgeNames[side]]++;
-            }
+        const renderer = new WorkerRenderer(this);
+        if (!await renderer.start()) {
+            console.warn('Render worker failed to start, drawing on the main thread');
+            return false;
+        }
 
-            // Debug spawn distribution
-            console.log(`Spawning bubble from ${edgeNames[side]} edge at (${Math.round(x)}, ${Math.round(y)})`);
+        this.renderWorker = renderer;
 
-            if (this.bubbleManager) {
-                const bubble = this.bubbleManager.createBubble(x, y, size, lifetime, this.themes[this.currentTheme]);
+        console.log('Rendering in a worker');
+        return true;
+    }
 
-                // Set strong initial velocity to overcome physics and enter screen
-                if (bubble) {
-                    let vx = 0, vy = 0;
-                    const baseSpeed = 0.8; // Much stronger initial speed
-                    const randomSpeed = 0.3 + Math.random() * 0.4; // 0.3-0.7 variation
+    /**
+     * Forward input and settings to the render worker once the game's systems exist
+     */
+    connectRenderWorker() {
+        this.renderWorker.listen();
 
-                    switch (side) {
-                        case 0: // bottom edge - move upward into screen
-                            vx = (Math.random() - 0.5) * 0.3; // Small horizontal drift
-                            vy = -baseSpeed * randomSpeed; // Strong upward movement
-                            bubble.spawnDirection = 'bottom';
-                            bubble.spawnMomentumX = 0;
-                            bubble.spawnMomentumY = -0.4; // Upward momentum
-                            break;
-                        case 1: // left edge - move rightward into screen
-                            vx = baseSpeed * randomSpeed * 1.5; // Stronger rightward movement
-                            vy = -0.2 - Math.random() * 0.3; // Also float upward
-                            bubble.spawnDirection = 'left';
-                            bubble.spawnMomentumX = 0.6; // Strong rightward momentum
-                            bubble.spawnMomentumY = -0.2; // Gentle upward momentum
-                            break;
-                        case 2: // right edge - move leftward into screen
-                            vx = -baseSpeed * randomSpeed * 1.5; // Stronger leftward movement
-                            vy = -0.2 - Math.random() * 0.3; // Also float upward
-                            bubble.spawnDirection = 'right';
-                            bubble.spawnMomentumX = -0.6; // Strong leftward momentum
-                            bubble.spawnMomentumY = -0.2; // Gentle upward momentum
-                            break;
-                    }
+        // Frames on this thread no longer include drawing; the worker's own governor adapts quality
+        if (this.qualityGovernor) {
+            this.qualityGovernor.setEnabled(false);
+        }
+    }
 
-                    bubble.vx = vx;
-                    bubble.vy = vy;
+    /**
+     * Listen for a game event; returns a function that removes the listener
+     *
+     * Events (listeners get one details object):
+     *   init             - { headless } systems are ready and plugins installed
+     *   start            - { mode } the player started playing ('zen' or a challenge length)
+     *   pause, resume    - {} the game loop paused or resumed
+     *   pop              - { bubble, type, score, depth, popCount } a bubble popped (depth > 0 for chain links)
+     *   combo            - { combo, x, y } a chain reaction popped another bubble
+     *   merge            - { bubble, absorbed, merged } two bubbles merged into bubble (merged counts all it absorbed)
+     *   edgepop          - { bubble } a bubble burst against a screen edge (physics presets with 'pop' edges, not scored)
+     *   spawn            - { bubble, type, edge } a bubble was spawned ('bottom', 'left', 'right' or 'initial')
+     *   themechange      - { theme, previous }
+     *   backgroundchange - { background, previous } once the background transition has finished
+     *   settingschange   - { key, value } a player setting changed (including replayed ones)
+     *   qualitychange    - { tier, tierIndex } the quality governor switched tiers
+     */
+    on(event, listener) {
+        return this.events ? this.events.on(event, listener) : () => {};
+    }
 
-                    console.log(`${edgeNames[side]} bubble at (${Math.round(x)}, ${Math.round(y)}) with velocity (${vx.toFixed(2)}, ${vy.toFixed(2)})`);
-                }
-            } else {
-                console.error('BubbleManager not available');
-            }
+    /**
+     * Listen for the next time a game event happens only
+     */
+    once(event, listener) {
+        return this.events ? this.events.once(event, listener) : () => {};
+    }
 
-        } catch (error) {
-            console.error('Error in spawnBubble:', error);
+    /**
+     * Remove a game event listener
+     */
+    off(event, listener) {
+        if (this.events) {
+            this.events.off(event, listener);
         }
     }
 
     /**
-     * Get random spawn delay
+     * Tell listeners about a game event
      */
-    getRandomSpawnDelay() {
-        return this.config.spawnRate +
-               (Math.random() - 0.5) * this.config.spawnRateVariation;
+    emit(event, detail = {}) {
+        return this.events ? this.events.emit(event, detail) : false;
     }
 
     /**
-     * Spawn initial bubbles when game starts
+     * Add a plugin: { name, install(game), uninstall(game) }
+     * Installed right away if the game is ready, otherwise once init finishes
      */
-    spawnInitialBubbles() {
-        console.log(`Spawning ${this.config.initialBubbleCount} initial bubbles`);
-        const safeZones = this.getSafeSpawnZones();
+    registerPlugin(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || typeof plugin.install !== 'function') {
+            console.warn('Plugin needs a name and an install(game) function:', plugin);
+            return false;
+        }
 
-        for (let i = 0; i < this.config.initialBubbleCount; i++) {
-            // Spawn bubbles at random positions on screen in safe zones (avoiding ads)
-            const padding = 100; // Keep some padding from edges
-            const x = safeZones.leftEdge + padding + Math.random() * (safeZones.safeWidth - padding * 2);
-            const y = padding + Math.random() * (this.height - padding * 2 - safeZones.bottomEdge);
+        const pending = this.pendingPlugins.some(other => other.name === plugin.name);
+        if (this.plugins.has(plugin.name) || pending) {
+            console.warn(`Plugin already registered: ${plugin.name}`);
+            return false;
+        }
 
-            // Create bubble with random size
-            const sizeType = Math.random();
-            let size;
+        if (!this.isReady) {
+            this.pendingPlugins.push(plugin);
+            return true;
+        }
 
-            if (sizeType < 0.6) {
-                size = 60 + Math.random() * 80; // 60-140px diameter
-            } else if (sizeType < 0.9) {
-                size = 120 + Math.random() * 100; // 120-220px diameter
-            } else {
-                size = 180 + Math.random() * 120; // 180-300px diameter
-            }
+        return this.installPlugin(plugin);
+    }
 
-            const lifetime = this.config.bubbleLifetime +
-                            (Math.random() - 0.5) * this.config.bubbleLifetimeVariation;
+    /**
+     * Remove a plugin, letting it clean up first
+     */
+    unregisterPlugin(name) {
+        this.pendingPlugins = this.pendingPlugins.filter(plugin => plugin.name !== name);
 
-            const bubble = this.bubbleManager.createBubble(x, y, size, lifetime, this.themes[this.currentTheme]);
+        const plugin = this.plugins.get(name);
+        if (!plugin) return false;
 
-            // Set gentle random movement for initial bubbles
-            if (bubble) {
-                const angle = Math.random() * Math.PI * 2;
-                const speed = 0.1 + Math.random() * 0.15; // Slow movement
-                bubble.vx = Math.cos(angle) * speed;
-                bubble.vy = Math.sin(angle) * speed;
+        if (typeof plugin.uninstall === 'function') {
+            try {
+                plugin.uninstall(this);
+            } catch (error) {
+                console.error(`Plugin ${name} failed to uninstall:`, error);
             }
         }
+
+        this.plugins.delete(name);
+        console.log(`Plugin removed: ${name}`);
+        return true;
     }
 
     /**
-     * Handle bubble interaction (popping)
+     * Get an installed plugin by name
      */
-    handleBubbleInteraction(x, y) {
-        const poppedBubble = this.bubbleManager.checkCollision(x, y);
+    getPlugin(name) {
+        return this.plugins.get(name) || null;
+    }
 
-        if (poppedBubble) {
-            // Increment pop count for user-popped bubbles
-            this.incrementPopCount();
+    /**
+     * Run a plugin's install; a plugin that throws is left out
+     */
+    installPlugin(plugin) {
+        try {
+            plugin.install(this);
+        } catch (error) {
+            console.error(`Plugin ${plugin.name} failed to install:`, error);
+            return false;
+        }
 
-            // Create pop effect
-            if (this.particleSystem) {
-                this.particleSystem.createPopEffect(poppedBubble.x, poppedBubble.y, poppedBubble.size);
-            }
+        this.plugins.set(plugin.name, plugin);
+        console.log(`Plugin installed: ${plugin.name}`);
+        return true;
+    }
 
-            // Play pop sound with theme-specific audio
-            if (this.audioManager) {
-                this.audioManager.playPopSound(poppedBubble.size, this.currentTheme);
+    /**
+     * Install waiting plugins (this game's and BubbleGame.registerPlugin's) and announce init
+     */
+    markReady() {
+        this.isReady = true;
+
+        const pending = BubbleGame.plugins.concat(this.pendingPlugins);
+        this.pendingPlugins = [];
+        pending.forEach(plugin => {
+            if (!this.plugins.has(plugin.name)) {
+                this.installPlugin(plugin);
             }
+        });
 
-            // Remove bubble
-            this.bubbleManager.popBubble(poppedBubble);
-
-            // Instantly spawn a replacement bubble to maintain density
-            this.spawnReplacementBubble();
-        }
+        this.emit('init', { headless: this.headless });
     }
 
     /**
-     * Spawn a replacement bubble immediately when one is popped
+     * Add a plugin to every game created from now on (for scripts loaded before the game starts)
      */
-    spawnReplacementBubble() {
-        // Only spawn if we're below max bubbles
-        if (this.bubbleManager.getActiveCount() < this.config.maxBubbles) {
-            this.spawnBubble();
+    static registerPlugin(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || typeof plugin.install !== 'function') {
+            console.warn('Plugin needs a name and an install(game) function:', plugin);
+            return false;
         }
+
+        BubbleGame.plugins.push(plugin);
+        return true;
     }
 
     /**
-     * Handle window resize
+     * Restore saved settings from the settings store
      */
-    handleResize() {
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
-        this.setupCanvas();
+    restoreSettings() {
+        if (!this.settingsStore) return;
+
+        const settings = this.settingsStore.load();
+
+        // Sliders are applied by setupEventListeners from their current values
+        const sliders = [
+            [this.volumeSlider, settings.volume],
+            [this.speedSlider, settings.speed],
+            [this.densitySlider, settings.density]
+        ];
+        sliders.forEach(([slider, value]) => {
+            if (slider) {
+                slider.value = value;
+                slider.setAttribute('aria-valuenow', value);
+            }
+        });
 
-        // Update physics engine bounds
-        if (this.physicsEngine) {
-            this.physicsEngine.updateBounds(this.width, this.height);
+        if (this.collisionToggle) {
+            this.collisionToggle.checked = settings.collisions;
+        } else {
+            this.handleCollisionToggle(settings.collisions);
         }
-    }
 
-    /**
-     * Handle page visibility changes
-     */
-    handleVisibilityChange() {
-        if (document.hidden) {
-            this.pause();
+        if (this.chainToggle) {
+            this.chainToggle.checked = settings.chainReactions;
         } else {
-            this.resume();
+            this.handleChainToggle(settings.chainReactions);
         }
-    }
 
+        if (this.calmToggle) {
+            this.calmToggle.checked = settings.calmMode;
+        } else {
+            this.handleCalmToggle(settings.calmMode);
+        }
 
-    /**
-     * Handle volume slider changes
-     */
-    handleVolumeChange(sliderValue) {
-        // Convert slider value (0-10) to volume level (0.0-1.0)
-        const volumeLevel = parseFloat(sliderValue) / 10;
+        if (this.mergeToggle) {
+            this.mergeToggle.checked = settings.merging;
+        } else {
+            this.handleMergeToggle(settings.merging);
+        }
 
-        console.log(`Game handleVolumeChange: slider=${sliderValue}, volumeLevel=${volumeLevel.toFixed(2)}`);
+        if (this.physicsSelect) {
+            this.physicsSelect.value = settings.physics;
+        } else {
+            this.handlePhysicsChange(settings.physics);
+        }
 
-        if (this.audioManager) {
-            this.audioManager.setVolume(volumeLevel);
+        if (this.breathingCueToggle) {
+            this.breathingCueToggle.checked = settings.breathingCue;
+        } else {
+            this.handleBreathingCueToggle(settings.breathingCue);
+        }
 
-            // If volume is set to 0, ensure mute state is updated
-            if (volumeLevel === 0) {
-                this.audioManager.isMuted = true;
-            } else if (this.audioManager.isMuted) {
-                // If volume is raised from 0, unmute
-                this.audioManager.isMuted = false;
-            }
+        if (this.goalSelect) {
+            this.goalSelect.value = settings.dailyGoal;
+        } else {
+            this.handleGoalChange(settings.dailyGoal);
+        }
 
-            // Test the volume change with a sound
-            setTimeout(() => {
-                if (this.audioManager && !this.audioManager.isMuted) {
-                    console.log('Testing volume with a pop sound...');
-                    this.audioManager.playPopSound(150, this.currentTheme);
-                }
-            }, 100);
+        if (this.themes[settings.theme]) {
+            if (this.themeSelect) {
+                this.themeSelect.value = settings.theme;
+            }
+            this.handleThemeChange(settings.theme);
         }
 
-        // Update slider aria-valuenow for accessibility
-        if (this.volumeSlider) {
-            this.volumeSlider.setAttribute('aria-valuenow', sliderValue);
+        if (this.backgrounds[settings.background] && settings.background !== this.currentBackground) {
+            if (this.backgroundSelect) {
+                this.backgroundSelect.value = settings.background;
+            }
+            this.handleBackgroundChange(settings.background);
         }
 
-        console.log(`Volume set to: ${volumeLevel.toFixed(1)} (${sliderValue}/10)`);
+        console.log('Settings restored:', settings);
     }
 
     /**
-     * Handle speed change
+     * Persist a setting if the settings store is available
      */
-    handleSpeedChange(sliderValue) {
-        const speedLevel = parseInt(sliderValue);
-        console.log(`Speed changed to: ${speedLevel}/10`);
+    saveSetting(key, value) {
+        this.emit('settingschange', { key, value });
 
-        // Convert speed level (0-10) to multiplier
-        // 0 = 0.1x (very slow), 5 = 1.0x (normal), 10 = 2.0x (very fast)
-        if (speedLevel === 0) {
-            this.bubbleSpeedMultiplier = 0.1;
-        } else {
-            this.bubbleSpeedMultiplier = 0.1 + (speedLevel * 0.19); // 0.1 to 2.0 range
-        }
+        if (this.sessionRecorder) {
+            this.sessionRecorder.recordSetting(key, value);
 
-        // Update slider aria-valuenow for accessibility
-        if (this.speedSlider) {
-            this.speedSlider.setAttribute('aria-valuenow', sliderValue);
+            // Replayed settings are the recording's, not the player's
+            if (this.sessionRecorder.isReplaying()) {
+                return;
+            }
         }
 
-        console.log(`Bubble speed multiplier: ${this.bubbleSpeedMultiplier.toFixed(2)}x`);
+        if (this.settingsStore) {
+            this.settingsStore.set(key, value);
+        }
     }
 
     /**
-     * Handle density change
+     * Apply a simulation setting through the same handler as its control
      */
-    handleDensityChange(sliderValue) {
-        const densityLevel = parseInt(sliderValue);
-        console.log(`Density changed to: ${densityLevel}/10`);
-
-        // Convert density level (0-10) to multiplier
-        // 0 = 0.2x (few bubbles), 5 = 1.0x (normal), 10 = 6.0x (screen full of bubbles!)
-        if (densityLevel === 0) {
-            this.bubbleDensityMultiplier = 0.2;
-        } else if (densityLevel <= 5) {
-            // Linear scaling from 0.2x to 1.0x for levels 1-5
-            this.bubbleDensityMultiplier = 0.2 + (densityLevel * 0.16); // 0.2 to 1.0 range
+    applySetting(key, value) {
+        switch (key) {
+            case 'speed':
+                if (this.speedSlider) {
+                    this.speedSlider.value = value;
+                }
+                this.handleSpeedChange(value);
+                break;
+            case 'density':
+                if (this.densitySlider) {
+                    this.densitySlider.value = value;
+                }
+                this.handleDensityChange(value);
+                break;
+            case 'theme':
+                if (this.themeSelect) {
+                    this.themeSelect.value = value;
+                }
+                this.handleThemeChange(value);
+                break;
+            case 'collisions':
+                if (this.collisionToggle) {
+                    this.collisionToggle.checked = !!value;
+                }
+                this.handleCollisionToggle(value);
+                break;
+            case 'chainReactions':
+                if (this.chainToggle) {
+                    this.chainToggle.checked = !!value;
+                }
+                this.handleChainToggle(value);
+                break;
+            case 'calmMode':
+                if (this.calmToggle) {
+                    this.calmToggle.checked = !!value;
+                }
+                this.handleCalmToggle(value);
+                break;
+            case 'merging':
+                if (this.mergeToggle) {
+                    this.mergeToggle.checked = !!value;
+                }
+                this.handleMergeToggle(value);
+                break;
+            case 'physics':
+                if (this.physicsSelect) {
+                    this.physicsSelect.value = value;
+                }
+                this.handlePhysicsChange(value);
+                break;
+            case 'cursorWake':
+                this.configureCursorWake(value);
+                break;
+            case 'layout':
+                this.loadLayout(value);
+                break;
+            case 'breathing':
+                if (this.breathingSelect) {
+                    this.breathingSelect.value = value;
+                }
+                this.handleBreathingChange(value, false);
+                break;
+            default:
+                console.warn(`Unknown setting: ${key}`);
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Window resize
+        window.addEventListener('resize', this.handleResize, { passive: true });
+
+        // Page visibility (for performance)
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        // Save the session in progress when the page goes away
+        window.addEventListener('pagehide', this.handlePageHide);
+
+        // Start button
+        if (this.startButton) {
+            this.startButton.addEventListener('click', () => {
+                if (this.requestPlay()) {
+                    this.startGame();
+                }
+            });
+        }
+
+        // Game mode selector on the start screen
+        this.modeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.selectMode(button.dataset.mode);
+            });
+        });
+
+        // Challenge summary buttons
+        if (this.playAgainButton) {
+            this.playAgainButton.addEventListener('click', () => {
+                if (!this.requestPlay()) return;
+                this.hideChallengeSummary();
+                this.setGameMode(this.gameMode);
+            });
+        }
+
+        if (this.zenButton) {
+            this.zenButton.addEventListener('click', () => {
+                if (!this.requestPlay()) return;
+                this.hideChallengeSummary();
+                this.setGameMode('zen');
+            });
+        }
+
+        // Settings toggle
+        if (this.settingsToggle && this.collapsibleSettings) {
+            this.settingsToggle.addEventListener('click', () => {
+                this.toggleSettings();
+            });
+        }
+
+        // Volume slider
+        if (this.volumeSlider) {
+            this.volumeSlider.addEventListener('input', (e) => {
+                this.handleVolumeChange(e.target.value);
+            });
+
+            // Set initial volume from slider value
+            this.handleVolumeChange(this.volumeSlider.value);
+        }
+
+        // Speed slider
+        if (this.speedSlider) {
+            this.speedSlider.addEventListener('input', (e) => {
+                this.handleSpeedChange(e.target.value);
+            });
+
+            // Set initial speed from slider value
+            this.handleSpeedChange(this.speedSlider.value);
+        }
+
+        // Density slider
+        if (this.densitySlider) {
+            this.densitySlider.addEventListener('input', (e) => {
+                this.handleDensityChange(e.target.value);
+            });
+
+            // Set initial density from slider value
+            this.handleDensityChange(this.densitySlider.value);
+        }
+
+        // Bubble collisions toggle
+        if (this.collisionToggle) {
+            this.collisionToggle.addEventListener('change', (e) => {
+                this.handleCollisionToggle(e.target.checked);
+            });
+
+            // Set initial collision mode from checkbox state
+            this.handleCollisionToggle(this.collisionToggle.checked);
+        }
+
+        // Chain reactions toggle
+        if (this.chainToggle) {
+            this.chainToggle.addEventListener('change', (e) => {
+                this.handleChainToggle(e.target.checked);
+            });
+
+            this.handleChainToggle(this.chainToggle.checked);
+        }
+
+        // Calm mode toggle
+        if (this.calmToggle) {
+            this.calmToggle.addEventListener('change', (e) => {
+                this.handleCalmToggle(e.target.checked);
+            });
+
+            this.handleCalmToggle(this.calmToggle.checked);
+        }
+
+        // Bubble merging toggle
+        if (this.mergeToggle) {
+            this.mergeToggle.addEventListener('change', (e) => {
+                this.handleMergeToggle(e.target.checked);
+            });
+
+            this.handleMergeToggle(this.mergeToggle.checked);
+        }
+
+        // Physics preset
+        if (this.physicsSelect) {
+            this.physicsSelect.addEventListener('change', (e) => {
+                this.handlePhysicsChange(e.target.value);
+            });
+
+            this.handlePhysicsChange(this.physicsSelect.value);
+        }
+
+        // Guided breathing pattern
+        if (this.breathingSelect) {
+            this.breathingSelect.addEventListener('change', (e) => {
+                this.handleBreathingChange(e.target.value);
+            });
+        }
+
+        // Breathing cue toggle
+        if (this.breathingCueToggle) {
+            this.breathingCueToggle.addEventListener('change', (e) => {
+                this.handleBreathingCueToggle(e.target.checked);
+            });
+
+            this.handleBreathingCueToggle(this.breathingCueToggle.checked);
+        }
+
+        if (this.breathingDoneButton) {
+            this.breathingDoneButton.addEventListener('click', () => {
+                this.hideBreathingReport();
+            });
+        }
+
+        // Daily goal
+        if (this.goalSelect) {
+            this.goalSelect.addEventListener('change', (e) => {
+                this.handleGoalChange(e.target.value);
+            });
+
+            this.handleGoalChange(this.goalSelect.value);
+        }
+
+        // Study break timer
+        if (this.breakScheduler) {
+            if (this.breakScheduleToggle) {
+                this.breakScheduleToggle.addEventListener('change', (e) => {
+                    this.handleBreakScheduleToggle(e.target.checked);
+                });
+            }
+
+            [this.focusMinutesInput, this.breakMinutesInput].forEach(input => {
+                if (input) {
+                    input.addEventListener('change', () => {
+                        this.handleBreakDurationsChange();
+                    });
+                }
+            });
+
+            // Blocks end at fixed timestamps; checking once a second is enough
+            this.breakScheduleTimer = setInterval(() => {
+                this.updateBreakSchedule();
+            }, 1000);
+
+            this.updateBreakSchedule();
+        }
+
+        // Theme selector
+        if (this.themeSelect) {
+            this.themeSelect.addEventListener('change', (e) => {
+                this.handleThemeChange(e.target.value);
+            });
+        }
+
+        // Background selector
+        if (this.backgroundSelect) {
+            this.backgroundSelect.addEventListener('change', (e) => {
+                this.handleBackgroundChange(e.target.value);
+            });
+        }
+
+        // Error handling
+        window.addEventListener('error', this.handleError);
+
+        // Debug mode toggle (press 'D' key)
+        window.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Remove the listeners the game put on the window and document
+     */
+    removeEventListeners() {
+        window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        window.removeEventListener('error', this.handleError);
+        window.removeEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Start the game
+     */
+    start() {
+        if (!this.isRunning) {
+            this.isRunning = true;
+            this.isPaused = false;
+            this.lastTime = performance.now();
+
+            // Headless games are advanced by their owner calling update()
+            if (!this.headless) {
+                requestAnimationFrame(this.gameLoop);
+            }
+        }
+    }
+
+    /**
+     * Pause the game
+     */
+    pause() {
+        if (this.isPaused) return;
+
+        this.isPaused = true;
+        this.emit('pause');
+    }
+
+    /**
+     * Resume the game
+     */
+    resume() {
+        if (this.isPaused) {
+            this.isPaused = false;
+            this.lastTime = performance.now();
+            this.emit('resume');
+        }
+    }
+
+    /**
+     * Stop the game
+     */
+    stop() {
+        this.isRunning = false;
+        this.isPaused = false;
+
+        if (this.renderWorker) {
+            this.renderWorker.send('stop');
+        }
+    }
+
+    /**
+     * Stop the game for good and let go of the page (used when an embed is torn down)
+     */
+    destroy() {
+        this.saveProgress();
+        this.stop();
+        this.removeEventListeners();
+        clearInterval(this.breakScheduleTimer);
+
+        if (this.renderWorker) {
+            this.renderWorker.destroy();
+            this.renderWorker = null;
+        }
+    }
+
+    /**
+     * Main game loop - runs at 60fps
+     */
+    gameLoop(currentTime) {
+        if (!this.isRunning) return;
+
+        // Calculate delta time
+        this.deltaTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+
+        // Skip frame if paused
+        if (this.isPaused) {
+            requestAnimationFrame(this.gameLoop);
+            return;
+        }
+
+        // Performance monitoring
+        this.performanceMonitor.frameStart();
+
+        // Update game systems
+        if (this.config.fixedTimestep > 0) {
+            this.runFixedSteps(this.deltaTime);
+        } else {
+            this.update(this.deltaTime);
+        }
+
+        // Render frame (the render worker draws its own)
+        if (!this.renderWorker) {
+            this.render();
+        }
+
+        // Performance monitoring
+        this.performanceMonitor.frameEnd();
+
+        // Continue the loop
+        requestAnimationFrame(this.gameLoop);
+    }
+
+    /**
+     * Advance the simulation in fixed-size steps so results don't depend on frame timing
+     */
+    runFixedSteps(deltaTime) {
+        const step = this.config.fixedTimestep;
+        this.stepAccumulator += deltaTime;
+
+        let steps = 0;
+        while (this.stepAccumulator >= step && steps < this.config.maxStepsPerFrame) {
+            this.update(step);
+            this.stepAccumulator -= step;
+            steps++;
+        }
+
+        // Drop time we couldn't catch up on rather than falling further behind
+        if (steps === this.config.maxStepsPerFrame) {
+            this.stepAccumulator = 0;
+        }
+    }
+
+    /**
+     * Update all game systems
+     */
+    update(deltaTime) {
+        // Count steps for recordings and feed replayed input
+        if (this.sessionRecorder) {
+            this.sessionRecorder.update();
+        }
+
+        // Pace the breathing guide first so spawning follows the current phase
+        this.updateBreathing(deltaTime);
+
+        // With a render worker the bubbles are simulated (and drawn) off this thread
+        if (!this.renderWorker) {
+            this.updateSimulation(deltaTime);
+        }
+
+        // Score, goals and challenges belong to the page, not the render worker
+        if (!this.inWorker) {
+            this.updateSession(deltaTime);
+        }
+
+        // Check performance and adjust quality if needed
+        if (this.performanceMonitor) {
+            this.performanceMonitor.update();
+        }
+    }
+
+    /**
+     * Advance bubbles, physics, particles, chain reactions and input
+     */
+    updateSimulation(deltaTime) {
+        // Spawn new bubbles
+        this.updateBubbleSpawning(deltaTime);
+
+        // Advance simulated time for time-based effects
+        if (this.physicsEngine) {
+            this.physicsEngine.advanceTime(deltaTime);
+        }
+
+        // Update bubbles with speed multiplier (slowed and quickened with the breath)
+        const speedMultiplier = this.breathingGuide
+            ? this.bubbleSpeedMultiplier * this.breathingGuide.getSpeedScale()
+            : this.bubbleSpeedMultiplier;
+        this.bubbleManager.update(deltaTime, this.physicsEngine, speedMultiplier);
+
+        // Update particles
+        if (this.particleSystem) {
+            this.particleSystem.update(deltaTime);
+        }
+
+        // Pop bubbles caught in chain reactions
+        this.updateChainReactions(deltaTime);
+
+        // Update input
+        this.inputHandler.update(deltaTime);
+        this.bubbleManager.releaseContacts(this.inputHandler.pointers);
+
+        // Moving pointers stir the air, and slow ones herd bubbles in calm mode
+        this.updateCursorWake(deltaTime);
+    }
+
+    /**
+     * Advance the break fade, daily goal, achievements and challenge clock
+     */
+    updateSession(deltaTime) {
+        // Fade the bubbles out when a study break ends
+        this.updateBreakFade(deltaTime);
+
+        // Count play time towards the session, daily goal and achievements
+        this.updatePlayTime(deltaTime);
+        this.updateDailyGoal(deltaTime);
+
+        // Count down the challenge round
+        this.updateChallenge(deltaTime);
+    }
+
+    /**
+     * Render the current frame
+     */
+    render() {
+        // Clear canvas with gradient background
+        this.clearCanvas();
+
+        // Breathing guide sits behind the bubbles
+        if (this.breathingGuide && this.breathingGuide.isActive()) {
+            this.breathingGuide.render(this.ctx, this.width, this.height);
+        }
+
+        // Render bubbles
+        this.bubbleManager.renderOptions.fade = this.getBreakFadeAlpha();
+        this.bubbleManager.render();
+
+        // Render particles
+        if (this.particleSystem) {
+            this.particleSystem.render();
+        }
+
+        // Render chain combo
+        if (this.comboDisplay) {
+            this.renderComboDisplay();
+        }
+
+        // Render debug info if enabled
+        if (this.performanceMonitor.debugMode) {
+            this.renderEntityDebug();
+            this.renderDebugInfo();
+        }
+    }
+
+    /**
+     * Draw the playfield entities (they have no look of their own yet, so only in debug mode)
+     */
+    renderEntityDebug() {
+        if (!this.physicsEngine) return;
+
+        for (const entity of this.physicsEngine.entities) {
+            if (!entity.type.renderDebug) continue;
+
+            this.ctx.save();
+            entity.type.renderDebug(this.ctx, entity);
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Clear canvas with background
+     */
+    clearCanvas() {
+        if (this.currentBackground === 'gradient') {
+            // Create gradient background (only for gradient mode)
+            const gradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
+            gradient.addColorStop(0, '#87CEEB');
+            gradient.addColorStop(1, '#ffffff');
+
+            this.ctx.fillStyle = gradient;
+            this.ctx.fillRect(0, 0, this.width, this.height);
+        } else {
+            // For image backgrounds, clear with transparency to show CSS background
+            this.ctx.clearRect(0, 0, this.width, this.height);
+        }
+    }
+
+    /**
+     * Handle bubble spawning timing
+     */
+    updateBubbleSpawning(deltaTime) {
+        // Don't spawn bubbles if game hasn't started yet
+        if (!this.gameStarted) {
+            return;
+        }
+
+        this.lastSpawnTime += deltaTime;
+
+        const currentBubbleCount = this.bubbleManager ? this.bubbleManager.getActiveCount() : 0;
+        const maxBubbles = this.getMaxBubbles();
+        const targetBubbleCount = maxBubbles * 0.8; // Try to maintain 80% of max
+
+        // Breathing mode spawns in waves on the in-breath and pauses on holds
+        const breathingSpawnRate = this.breathingGuide ? this.breathingGuide.getSpawnRate() : 1;
+        if (breathingSpawnRate <= 0) {
+            return;
+        }
+
+        // Spawn more aggressively if we're below target
+        let spawnDelay = this.nextSpawnDelay / breathingSpawnRate;
+        if (currentBubbleCount < targetBubbleCount) {
+            spawnDelay = spawnDelay * 0.3; // Much faster spawning when below target
+
+            // At very high density levels (6x+), spawn even faster
+            if (this.bubbleDensityMultiplier >= 3.0) {
+                spawnDelay = spawnDelay * 0.5; // Even faster for high density
+            }
+        }
+
+        // Debug logging (temporary)
+        if (Math.floor(this.lastSpawnTime / 1000) !== Math.floor((this.lastSpawnTime - deltaTime) / 1000)) {
+            console.log(`Spawn check: bubbles=${currentBubbleCount}/${maxBubbles}, target=${targetBubbleCount}, delay=${spawnDelay.toFixed(0)}ms, elapsed=${this.lastSpawnTime.toFixed(0)}ms`);
+        }
+
+        if (this.lastSpawnTime >= spawnDelay &&
+            currentBubbleCount < maxBubbles) {
+
+            console.log('Triggering spawn...');
+            this.spawnBubble();
+            this.lastSpawnTime = 0;
+            this.nextSpawnDelay = this.getRandomSpawnDelay();
+        }
+    }
+
+    /**
+     * Get safe zones for spawning bubbles (avoiding ad areas)
+     */
+    getSafeSpawnZones() {
+        const leftSafeZone = this.adZones.left.width + this.adZones.left.margin;
+        const bottomSafeZone = this.adZones.bottom.height + this.adZones.bottom.margin;
+
+        return {
+            leftEdge: leftSafeZone,
+            rightEdge: this.width, // No right ad zone, so full width available
+            bottomEdge: this.height - bottomSafeZone,
+            safeWidth: this.width - leftSafeZone // Only avoid left ad zone
+        };
+    }
+
+    /**
+     * Spawn a new bubble
+     */
+    spawnBubble() {
+        try {
+            // Spawn closer to screen edges to ensure bubbles enter view quickly
+            const spawnDistance = 30; // Much closer to screen edge
+
+            // Weighted spawn distribution: 80% bottom, 10% left, 10% right
+            const randomValue = this.random.next();
+            let side;
+            if (randomValue < 0.8) {
+                side = 0; // bottom edge (80% chance)
+            } else if (randomValue < 0.9) {
+                side = 1; // left edge (10% chance)
+            } else {
+                side = 2; // right edge (10% chance)
+            }
+
+            // Bubbles float up, so they come in from below - unless the physics preset makes them sink
+            const sinking = !!this.physicsEngine && this.physicsEngine.gravity.y > 0;
+            const floatDirection = sinking ? 1 : -1; // Sign of vertical movement into the screen
+
+            const safeZones = this.getSafeSpawnZones();
+            let x, y;
+
+            switch (side) {
+                case 0: // bottom edge (top when sinking) - only in safe width area (avoiding left/right ads)
+                    x = safeZones.leftEdge + this.random.next() * safeZones.safeWidth;
+                    y = sinking ? -spawnDistance : this.height + spawnDistance;
+                    break;
+                case 1: // left edge - spawn from safe left position
+                    x = -spawnDistance;
+                    y = this.random.next() * this.height;
+                    break;
+                case 2: // right edge - spawn from safe right position
+                    x = this.width + spawnDistance;
+                    y = this.random.next() * this.height;
+                    break;
+                default:
+                    console.error('Invalid spawn side:', side);
+                    return;
+            }
+
+            // Create bubble with random size (large to extra large for better visibility)
+            const sizeType = this.random.next();
+            let size;
+
+            if (sizeType < 0.6) {
+                // 60% chance: Regular large bubbles
+                size = 60 + this.random.next() * 80; // 60-140px diameter
+            } else if (sizeType < 0.9) {
+                // 30% chance: Extra large bubbles
+                size = 120 + this.random.next() * 100; // 120-220px diameter
+            } else {
+                // 10% chance: Giant bubbles
+                size = 180 + this.random.next() * 120; // 180-300px diameter
+            }
+            const lifetime = this.config.bubbleLifetime +
+                            (this.random.next() - 0.5) * this.config.bubbleLifetimeVariation;
+
+            // Special bubble types come from the registry by spawn weight
+            const type = this.pickBubbleType();
+            if (type) {
+                size *= type.sizeScale;
+            }
+
+            // Track spawn distribution (bottom, or top for sinking presets, then the sides)
+            const edgeNames = [sinking ? 'top' : 'bottom', 'left', 'right'];
+            if (edgeNames[side] && this.spawnStats) {
+                this.spawnStats[edgeNames[side]]++;
+            }
+
+            // Debug spawn distribution
+            console.log(`Spawning ${type ? type.id : 'normal'} bubble from ${edgeNames[side]} edge at (${Math.round(x)}, ${Math.round(y)})`);
+
+            if (this.bubbleManager) {
+                const bubble = this.bubbleManager.createBubble(x, y, size, lifetime, this.themes[this.currentTheme], type);
+
+                // Set strong initial velocity to overcome physics and enter screen
+                if (bubble) {
+                    let vx = 0, vy = 0;
+                    const baseSpeed = 0.8; // Much stronger initial speed
+                    const randomSpeed = 0.3 + this.random.next() * 0.4; // 0.3-0.7 variation
+
+                    switch (side) {
+                        case 0: // bottom edge - move upward into screen (downward from the top when sinking)
+                            vx = (this.random.next() - 0.5) * 0.3; // Small horizontal drift
+                            vy = floatDirection * baseSpeed * randomSpeed; // Strong upward movement
+                            bubble.spawnDirection = edgeNames[side];
+                            bubble.spawnMomentumX = 0;
+                            bubble.spawnMomentumY = floatDirection * 0.4; // Upward momentum
+                            break;
+                        case 1: // left edge - move rightward into screen
+                            vx = baseSpeed * randomSpeed * 1.5; // Stronger rightward movement
+                            vy = floatDirection * (0.2 + this.random.next() * 0.3); // Also float upward
+                            bubble.spawnDirection = 'left';
+                            bubble.spawnMomentumX = 0.6; // Strong rightward momentum
+                            bubble.spawnMomentumY = floatDirection * 0.2; // Gentle upward momentum
+                            break;
+                        case 2: // right edge - move leftward into screen
+                            vx = -baseSpeed * randomSpeed * 1.5; // Stronger leftward movement
+                            vy = floatDirection * (0.2 + this.random.next() * 0.3); // Also float upward
+                            bubble.spawnDirection = 'right';
+                            bubble.spawnMomentumX = -0.6; // Strong leftward momentum
+                            bubble.spawnMomentumY = floatDirection * 0.2; // Gentle upward momentum
+                            break;
+                    }
+
+                    bubble.vx = vx;
+                    bubble.vy = vy;
+
+                    console.log(`${edgeNames[side]} bubble at (${Math.round(x)}, ${Math.round(y)}) with velocity (${vx.toFixed(2)}, ${vy.toFixed(2)})`);
+
+                    this.emit('spawn', { bubble, type: type ? type.id : 'normal', edge: edgeNames[side] });
+                }
+            } else {
+                console.error('BubbleManager not available');
+            }
+
+        } catch (error) {
+            console.error('Error in spawnBubble:', error);
+        }
+    }
+
+    /**
+     * Pick a bubble type for a new bubble (null when the registry isn't loaded)
+     */
+    pickBubbleType() {
+        return this.bubbleTypes ? this.bubbleTypes.pick(this.random) : null;
+    }
+
+    /**
+     * Get random spawn delay
+     */
+    getRandomSpawnDelay() {
+        return this.config.spawnRate +
+               (this.random.next() - 0.5) * this.config.spawnRateVariation;
+    }
+
+    /**
+     * Spawn initial bubbles when game starts
+     */
+    spawnInitialBubbles() {
+        // The render worker spawns its own when the game starts
+        if (this.renderWorker) return;
+
+        console.log(`Spawning ${this.config.initialBubbleCount} initial bubbles`);
+        const safeZones = this.getSafeSpawnZones();
+
+        for (let i = 0; i < this.config.initialBubbleCount; i++) {
+            // Spawn bubbles at random positions on screen in safe zones (avoiding ads)
+            const padding = 100; // Keep some padding from edges
+            const x = safeZones.leftEdge + padding + this.random.next() * (safeZones.safeWidth - padding * 2);
+            const y = padding + this.random.next() * (this.height - padding * 2 - safeZones.bottomEdge);
+
+            // Create bubble with random size
+            const sizeType = this.random.next();
+            let size;
+
+            if (sizeType < 0.6) {
+                size = 60 + this.random.next() * 80; // 60-140px diameter
+            } else if (sizeType < 0.9) {
+                size = 120 + this.random.next() * 100; // 120-220px diameter
+            } else {
+                size = 180 + this.random.next() * 120; // 180-300px diameter
+            }
+
+            const lifetime = this.config.bubbleLifetime +
+                            (this.random.next() - 0.5) * this.config.bubbleLifetimeVariation;
+
+            const type = this.pickBubbleType();
+            if (type) {
+                size *= type.sizeScale;
+            }
+
+            const bubble = this.bubbleManager.createBubble(x, y, size, lifetime, this.themes[this.currentTheme], type);
+
+            // Set gentle random movement for initial bubbles
+            if (bubble) {
+                const angle = this.random.next() * Math.PI * 2;
+                const speed = 0.1 + this.random.next() * 0.15; // Slow movement
+                bubble.vx = Math.cos(angle) * speed;
+                bubble.vy = Math.sin(angle) * speed;
+
+                this.emit('spawn', { bubble, type: type ? type.id : 'normal', edge: 'initial' });
+            }
+        }
+    }
+
+    /**
+     * Handle bubble interaction (popping)
+     */
+    handleBubbleInteraction(x, y, pointerId = null, isPress = false) {
+        // In calm mode a slow pointer herds bubbles instead (see updateCursorWake); a tap or click still pops
+        if (!isPress && pointerId !== null && this.isShepherding(this.inputHandler.pointers.get(pointerId))) {
+            return;
+        }
+
+        const poppedBubble = this.bubbleManager.checkCollision(x, y);
+
+        if (poppedBubble) {
+            const type = poppedBubble.type;
+
+            // A pointer resting on a bubble it already hit doesn't hit it again
+            if (pointerId !== null && poppedBubble.contacts.has(pointerId)) {
+                return;
+            }
+
+            // Tough bubbles take several separate touches
+            if (poppedBubble.hitsRemaining > 1) {
+                poppedBubble.hitsRemaining--;
+                if (pointerId !== null) {
+                    poppedBubble.contacts.add(pointerId);
+                }
+                if (type && type.onHit) {
+                    type.onHit(poppedBubble, this);
+                }
+                return;
+            }
+
+            this.popBubble(poppedBubble);
+        }
+    }
+
+    /**
+     * Pop a bubble with its effects, score and type behavior
+     * Chain pops (depth > 0) score a combo multiplier and get bigger, higher-pitched feedback
+     */
+    popBubble(bubble, depth = 0, chain = null) {
+        const type = bubble.type;
+        const comboMultiplier = depth + 1;
+        const mergeMultiplier = bubble.merged + 1; // Every bubble merged in counts again
+
+        // Special types are worth more
+        this.countPop(bubble, type ? type.id : 'normal', (type ? type.score : 1) * comboMultiplier * mergeMultiplier, depth);
+
+        // Create pop effect
+        if (this.particleSystem) {
+            this.particleSystem.createPopEffect(bubble.x, bubble.y, bubble.size);
+
+            // Extra spray that grows with each link
+            if (depth > 0) {
+                this.particleSystem.createSplashEffect(bubble.x, bubble.y, 0.5 * depth);
+            }
+        }
+
+        // Type-specific pop behavior (bonus effects, splitting)
+        if (type && type.onPop) {
+            type.onPop(bubble, this);
+        }
+
+        // Remove bubble
+        this.bubbleManager.popBubble(bubble);
+
+        // Instantly spawn a replacement bubble to maintain density
+        this.spawnReplacementBubble();
+
+        if (this.config.chainReaction.enabled) {
+            if (chain) {
+                chain.combo++;
+                this.comboDisplay = { combo: chain.combo, x: bubble.x, y: bubble.y, age: 0 };
+                this.recordAchievements({ longestChain: chain.combo });
+                this.emit('combo', { combo: chain.combo, x: bubble.x, y: bubble.y });
+            }
+            this.emitShockwave(bubble, depth, chain || { combo: 1 });
+        }
+    }
+
+    /**
+     * Score a popped bubble and play its sound (pops from the render worker come straight here)
+     */
+    countPop(bubble, typeId, score, depth = 0) {
+        // Increment pop count for user-popped bubbles
+        this.incrementPopCount(score);
+
+        // Achievements count bubbles, whatever they scored
+        this.recordAchievements({ pops: 1, [`pops.${typeId}`]: 1 });
+
+        this.emit('pop', { bubble, type: typeId, score, depth, popCount: this.popCount });
+
+        // Play pop sound with theme-specific audio (smaller size = higher pitch as the chain grows,
+        // merged bubbles pop deeper)
+        if (this.audioManager) {
+            const pitch = Math.max(0.5, 1 / (1 + (bubble.merged || 0) * 0.25));
+            this.audioManager.playPopSound(bubble.size / (1 + depth * 0.35), this.currentTheme, pitch);
+        }
+    }
+
+    /**
+     * Push nearby bubbles away from a pop and queue the close ones to pop next
+     */
+    emitShockwave(bubble, depth, chain) {
+        const settings = this.config.chainReaction;
+        const reach = bubble.radius + settings.radius;
+
+        if (this.physicsEngine) {
+            // Lingering swirl of air where the bubble was
+            this.physicsEngine.createTurbulence(bubble.x, bubble.y, reach, settings.strength * 0.5, 1500);
+        }
+
+        const nearby = this.bubbleManager.getBubblesInRadius(bubble.x, bubble.y, reach);
+
+        if (this.physicsEngine) {
+            this.physicsEngine.applyShockwave(nearby, bubble.x, bubble.y, bubble.radius, settings.radius, settings.strength);
+        }
+
+        if (depth >= settings.maxDepth) return;
+
+        // Closest bubbles within the threshold pop next
+        const candidates = [];
+        for (const other of nearby) {
+            if (other === bubble || !other.isAlive || other.chainPending) continue;
+
+            const dx = other.x - bubble.x;
+            const dy = other.y - bubble.y;
+            const gap = Math.sqrt(dx * dx + dy * dy) - bubble.radius - other.radius;
+
+            if (gap <= settings.popThreshold) {
+                candidates.push({ bubble: other, gap });
+            }
+        }
+
+        candidates.sort((a, b) => a.gap - b.gap);
+
+        for (const candidate of candidates.slice(0, settings.maxLinksPerPop)) {
+            candidate.bubble.chainPending = true;
+            this.pendingChainPops.push({
+                bubble: candidate.bubble,
+                bubbleId: candidate.bubble.id,
+                depth: depth + 1,
+                chain,
+                delay: settings.linkDelay
+            });
+        }
+    }
+
+    /**
+     * Stir the air behind each moving pointer, and in calm mode nudge bubbles away from slow ones
+     */
+    updateCursorWake(deltaTime) {
+        if (!this.physicsEngine) return;
+
+        const calm = this.config.calmMode;
+        const dt = Math.min(deltaTime / 16.67, 2); // Same cap as the physics step (60fps = 16.67ms)
+
+        for (const pointer of this.inputHandler.pointers.values()) {
+            // A hovering mouse moves air; touch and pen only while in contact
+            if (pointer.type !== 'mouse' && !pointer.isDown) continue;
+
+            this.physicsEngine.stirAir(pointer.x, pointer.y, pointer.vx, pointer.vy, dt);
+
+            // Soft-body bubbles jiggle as a pointer passes
+            const speed = Math.sqrt(pointer.vx * pointer.vx + pointer.vy * pointer.vy);
+            this.bubbleManager.jiggleNear(pointer.x, pointer.y, speed, dt);
+
+            if (this.isShepherding(pointer)) {
+                const nearby = this.bubbleManager.getBubblesInRadius(pointer.x, pointer.y, calm.radius);
+                this.physicsEngine.applyShockwave(nearby, pointer.x, pointer.y, 0, calm.radius, calm.strength * dt);
+            }
+        }
+    }
+
+    /**
+     * Whether a pointer herds bubbles rather than popping them (calm mode, moving slower than maxSpeed)
+     */
+    isShepherding(pointer) {
+        if (!this.config.calmMode.enabled || !pointer) return false;
+
+        const speed = Math.sqrt(pointer.vx * pointer.vx + pointer.vy * pointer.vy);
+        return speed < this.config.calmMode.maxSpeed;
+    }
+
+    /**
+     * Pop queued chain reaction bubbles once their link delay has passed
+     */
+    updateChainReactions(deltaTime) {
+        if (this.comboDisplay) {
+            this.comboDisplay.age += deltaTime;
+            if (this.comboDisplay.age > 1000) {
+                this.comboDisplay = null;
+            }
+        }
+
+        if (this.pendingChainPops.length === 0) return;
+
+        const ready = [];
+        this.pendingChainPops = this.pendingChainPops.filter(pending => {
+            pending.delay -= deltaTime;
+            if (pending.delay > 0) return true;
+            ready.push(pending);
+            return false;
+        });
+
+        for (const pending of ready) {
+            const bubble = pending.bubble;
+
+            // Skip bubbles that already popped, expired or were reused from the pool
+            if (!bubble.isAlive || bubble.id !== pending.bubbleId) continue;
+            bubble.chainPending = false;
+
+            // A chain hit counts as one touch on tough bubbles
+            if (bubble.hitsRemaining > 1) {
+                bubble.hitsRemaining--;
+                if (bubble.type && bubble.type.onHit) {
+                    bubble.type.onHit(bubble, this);
+                }
+                continue;
+            }
+
+            this.popBubble(bubble, pending.depth, pending.chain);
+        }
+    }
+
+    /**
+     * Render the combo counter floating above the last chain pop
+     */
+    renderComboDisplay() {
+        const display = this.comboDisplay;
+        if (display.combo < 2) return;
+
+        const progress = display.age / 1000;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 1 - progress;
+        this.ctx.fillStyle = 'white';
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+        this.ctx.lineWidth = 3;
+        this.ctx.font = `bold ${18 + Math.min(display.combo, 8) * 3}px sans-serif`;
+        this.ctx.textAlign = 'center';
+
+        const y = display.y - 30 - progress * 40; // Float upward as it fades
+        this.ctx.strokeText(`Combo x${display.combo}`, display.x, y);
+        this.ctx.fillText(`Combo x${display.combo}`, display.x, y);
+        this.ctx.restore();
+    }
+
+    /**
+     * Spawn a replacement bubble immediately when one is popped
+     */
+    spawnReplacementBubble() {
+        // Only spawn if we're below max bubbles
+        if (this.bubbleManager.getActiveCount() < this.getMaxBubbles()) {
+            this.spawnBubble();
+        }
+    }
+
+    /**
+     * Handle window resize
+     */
+    handleResize() {
+        this.setupCanvas();
+
+        // A replay keeps its recorded playfield until it ends
+        if (this.sessionRecorder && this.sessionRecorder.isReplaying()) {
+            this.sessionRecorder.resizeLivePlayfield(this.width, this.height);
+            return;
+        }
+
+        // Update physics engine and particle bounds
+        this.setPlayfieldSize(this.width, this.height);
+    }
+
+    /**
+     * Save the session in progress when the page goes away
+     */
+    handlePageHide() {
+        this.saveProgress();
+    }
+
+    /**
+     * Log uncaught errors
+     */
+    handleError(event) {
+        console.error('Game error:', event.error);
+    }
+
+    /**
+     * Toggle debug mode on the 'D' key - not when embedded, where keys belong to the host page
+     */
+    handleKeyDown(event) {
+        if (event.key.toLowerCase() === 'd' && !this.container) {
+            if (this.renderWorker) {
+                this.renderWorker.send('toggleDebug');
+            } else if (this.performanceMonitor) {
+                this.performanceMonitor.toggleDebugMode();
+                console.log('Debug mode:', this.performanceMonitor.debugMode ? 'ON' : 'OFF');
+            }
+        }
+    }
+
+    /**
+     * Handle page visibility changes
+     */
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.pause();
+
+            // The tab may never come back, so save progress so far
+            this.saveProgress();
+        } else if (this.gameStarted && !this.externallyPaused) {
+            // A finished study break stays paused until the next one starts
+            this.resume();
+
+            // Catch up on a break that ended while the tab was hidden
+            if (this.breakScheduler) {
+                this.updateBreakSchedule();
+            }
+        }
+    }
+
+
+    /**
+     * Handle volume slider changes
+     */
+    handleVolumeChange(sliderValue) {
+        // Convert slider value (0-10) to volume level (0.0-1.0)
+        const volumeLevel = parseFloat(sliderValue) / 10;
+
+        console.log(`Game handleVolumeChange: slider=${sliderValue}, volumeLevel=${volumeLevel.toFixed(2)}`);
+
+        if (this.audioManager) {
+            this.audioManager.setVolume(volumeLevel);
+
+            // If volume is set to 0, ensure mute state is updated
+            if (volumeLevel === 0) {
+                this.audioManager.isMuted = true;
+            } else if (this.audioManager.isMuted) {
+                // If volume is raised from 0, unmute
+                this.audioManager.isMuted = false;
+            }
+
+            // Test the volume change with a sound
+            setTimeout(() => {
+                if (this.audioManager && !this.audioManager.isMuted) {
+                    console.log('Testing volume with a pop sound...');
+                    this.audioManager.playPopSound(150, this.currentTheme);
+                }
+            }, 100);
+        }
+
+        // Update slider aria-valuenow for accessibility
+        if (this.volumeSlider) {
+            this.volumeSlider.setAttribute('aria-valuenow', sliderValue);
+        }
+
+        this.saveSetting('volume', sliderValue);
+
+        console.log(`Volume set to: ${volumeLevel.toFixed(1)} (${sliderValue}/10)`);
+    }
+
+    /**
+     * Handle speed change
+     */
+    handleSpeedChange(sliderValue) {
+        const speedLevel = parseInt(sliderValue);
+        this.speedLevel = speedLevel;
+        console.log(`Speed changed to: ${speedLevel}/10`);
+
+        // Convert speed level (0-10) to multiplier
+        // 0 = 0.1x (very slow), 5 = 1.0x (normal), 10 = 2.0x (very fast)
+        if (speedLevel === 0) {
+            this.bubbleSpeedMultiplier = 0.1;
+        } else {
+            this.bubbleSpeedMultiplier = 0.1 + (speedLevel * 0.19); // 0.1 to 2.0 range
+        }
+
+        // Update slider aria-valuenow for accessibility
+        if (this.speedSlider) {
+            this.speedSlider.setAttribute('aria-valuenow', sliderValue);
+        }
+
+        this.saveSetting('speed', sliderValue);
+
+        console.log(`Bubble speed multiplier: ${this.bubbleSpeedMultiplier.toFixed(2)}x`);
+    }
+
+    /**
+     * Handle density change
+     */
+    handleDensityChange(sliderValue) {
+        const densityLevel = parseInt(sliderValue);
+        this.densityLevel = densityLevel;
+        console.log(`Density changed to: ${densityLevel}/10`);
+
+        // Convert density level (0-10) to multiplier
+        // 0 = 0.2x (few bubbles), 5 = 1.0x (normal), 10 = 6.0x (screen full of bubbles!)
+        if (densityLevel === 0) {
+            this.bubbleDensityMultiplier = 0.2;
+        } else if (densityLevel <= 5) {
+            // Linear scaling from 0.2x to 1.0x for levels 1-5
+            this.bubbleDensityMultiplier = 0.2 + (densityLevel * 0.16); // 0.2 to 1.0 range
+        } else {
+            // Exponential scaling for levels 6-10 to create dramatic increase
+            const excessLevel = densityLevel - 5;
+            this.bubbleDensityMultiplier = 1.0 + (excessLevel * 1.0); // 1.0 to 6.0 range
+        }
+
+        // Update the max bubbles configuration based on density
+        const baseBubbles = 25; // Original max bubbles
+        this.config.maxBubbles = Math.round(baseBubbles * this.bubbleDensityMultiplier);
+
+        // Also update initial bubble count to help fill screen faster at high density
+        const baseInitialBubbles = 8; // Original initial bubble count
+        this.config.initialBubbleCount = Math.round(baseInitialBubbles * this.bubbleDensityMultiplier);
+
+        // Update slider aria-valuenow for accessibility
+        if (this.densitySlider) {
+            this.densitySlider.setAttribute('aria-valuenow', sliderValue);
+        }
+
+        this.saveSetting('density', sliderValue);
+
+        console.log(`Bubble density multiplier: ${this.bubbleDensityMultiplier.toFixed(2)}x (${this.config.maxBubbles} max bubbles, ${this.config.initialBubbleCount} initial)`);
+    }
+
+
+    /**
+     * Handle bubble collisions toggle
+     */
+    handleCollisionToggle(enabled) {
+        const isEnabled = !!enabled;
+
+        if (this.physicsEngine) {
+            this.physicsEngine.setBubbleCollisions(isEnabled);
+        }
+
+        this.saveSetting('collisions', isEnabled);
+
+        console.log(`Bubble collisions: ${isEnabled ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Handle chain reactions toggle
+     */
+    handleChainToggle(enabled) {
+        const isEnabled = !!enabled;
+        this.config.chainReaction.enabled = isEnabled;
+
+        if (!isEnabled) {
+            this.pendingChainPops.forEach(pending => {
+                pending.bubble.chainPending = false;
+            });
+            this.pendingChainPops = [];
+        }
+
+        // Chain links score extra, so a round that had them goes on the chain reactions board
+        if (isEnabled && this.challenge) {
+            this.challenge.useModifier('chainReactions');
+        }
+
+        this.saveSetting('chainReactions', isEnabled);
+
+        console.log(`Chain reactions: ${isEnabled ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Handle calm mode toggle
+     */
+    handleCalmToggle(enabled) {
+        const isEnabled = !!enabled;
+        this.config.calmMode.enabled = isEnabled;
+
+        this.saveSetting('calmMode', isEnabled);
+
+        console.log(`Calm mode: ${isEnabled ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Handle bubble merging toggle
+     */
+    handleMergeToggle(enabled) {
+        const isEnabled = !!enabled;
+
+        if (this.physicsEngine) {
+            this.physicsEngine.setBubbleMerging(isEnabled);
+        }
+
+        // Merged bubbles score extra too
+        if (isEnabled && this.challenge) {
+            this.challenge.useModifier('merging');
+        }
+
+        this.saveSetting('merging', isEnabled);
+
+        console.log(`Bubble merging: ${isEnabled ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Handle the physics preset selector ('classic', 'underwater', 'space', 'windy' or 'snowglobe')
+     */
+    handlePhysicsChange(presetId) {
+        if (!this.physicsEngine) return;
+
+        const active = this.physicsEngine.setPreset(presetId);
+        if (this.physicsSelect && this.physicsSelect.value !== active) {
+            this.physicsSelect.value = active;
+        }
+
+        this.saveSetting('physics', active);
+
+        console.log(`Physics preset: ${active}`);
+    }
+
+    /**
+     * Tune the air stirred by moving pointers (strength, radius, halfLife) - strength 0 turns it off
+     */
+    configureCursorWake(options = {}) {
+        if (!this.physicsEngine) return null;
+
+        const settings = this.physicsEngine.configureWake(options);
+
+        // Recordings replay with the wake they were made with
+        if (this.sessionRecorder) {
+            this.sessionRecorder.recordSetting('cursorWake', settings);
+        }
+
+        if (this.renderWorker) {
+            this.renderWorker.send('configureCursorWake', { options: settings });
+        }
+
+        return settings;
+    }
+
+    /**
+     * Place obstacles, attractors, repulsors and fans from a layout (object or JSON, see playfield-entities.js)
+     * null clears the playfield; returns the layout in use
+     */
+    loadLayout(layout) {
+        if (!this.physicsEngine) return null;
+
+        const loaded = this.physicsEngine.loadLayout(layout);
+
+        // Recordings replay with the layout they were made with
+        if (this.sessionRecorder) {
+            this.sessionRecorder.recordSetting('layout', loaded);
+        }
+
+        if (this.renderWorker) {
+            this.renderWorker.send('loadLayout', { layout: loaded });
+        }
+
+        return loaded;
+    }
+
+    /**
+     * Tune chain reactions (radius, popThreshold, maxDepth, maxLinksPerPop, linkDelay, strength)
+     */
+    configureChainReaction(options = {}) {
+        const settings = this.config.chainReaction;
+
+        ['radius', 'popThreshold', 'maxDepth', 'maxLinksPerPop', 'linkDelay', 'strength'].forEach(key => {
+            const value = Number(options[key]);
+            if (key in options && !isNaN(value) && value >= 0) {
+                settings[key] = key === 'maxDepth' || key === 'maxLinksPerPop' ? Math.floor(value) : value;
+            }
+        });
+
+        if (this.renderWorker) {
+            this.renderWorker.send('configureChainReaction', { options: { ...settings } });
+        }
+
+        return { ...settings };
+    }
+
+    /**
+     * Update volume slider visual state
+     */
+    updateVolumeSliderState(isMuted) {
+        if (this.volumeSlider) {
+            this.volumeSlider.style.opacity = isMuted ? '0.5' : '1.0';
+            this.volumeSlider.disabled = isMuted;
+        }
+    }
+
+    /**
+     * Toggle settings visibility on mobile
+     */
+    toggleSettings() {
+        if (this.collapsibleSettings && this.settingsToggle) {
+            const isVisible = this.collapsibleSettings.classList.contains('show');
+
+            if (isVisible) {
+                // Hide settings
+                this.collapsibleSettings.classList.remove('show');
+                this.settingsToggle.classList.remove('active');
+                this.settingsToggle.setAttribute('aria-expanded', 'false');
+            } else {
+                // Show settings
+                this.collapsibleSettings.classList.add('show');
+                this.settingsToggle.classList.add('active');
+                this.settingsToggle.setAttribute('aria-expanded', 'true');
+            }
+        }
+    }
+
+    /**
+     * Handle theme change
+     */
+    handleThemeChange(themeName) {
+        if (this.themes[themeName]) {
+            console.log(`Switching to theme: ${this.themes[themeName].name}`);
+            const previous = this.currentTheme;
+            this.currentTheme = themeName;
+            this.saveSetting('theme', themeName);
+
+            if (previous !== themeName) {
+                this.emit('themechange', { theme: themeName, previous });
+            }
+
+            if (this.sessionHistory) {
+                this.sessionHistory.setTheme(themeName);
+            }
+
+            this.recordAchievements({ themes: themeName });
+
+            // Update all existing bubbles with the new theme
+            if (this.bubbleManager && this.bubbleManager.bubbles) {
+                this.bubbleManager.bubbles.forEach(bubble => {
+                    if (bubble.active) {
+                        bubble.theme = this.themes[themeName];
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Initialize background system
+     */
+    initializeBackground() {
+        const currentLayer = this.getElement('currentBackground');
+        if (currentLayer) {
+            // Set the default gradient background
+            currentLayer.className = 'background-layer current gradient';
+            currentLayer.style.opacity = '1';
+        }
+
+        // Set initial scroll indicator color
+        this.updateScrollIndicatorColor();
+    }
+
+    /**
+     * Update scroll indicator color based on current background
+     */
+    updateScrollIndicatorColor() {
+        const scrollIndicator = this.getRoot().querySelector('.scroll-indicator');
+        if (scrollIndicator) {
+            if (this.currentBackground === 'gradient') {
+                scrollIndicator.classList.add('blue-text');
+            } else {
+                scrollIndicator.classList.remove('blue-text');
+            }
+        }
+    }
+
+    /**
+     * Handle background change
+     */
+    handleBackgroundChange(backgroundName) {
+        if (this.backgrounds[backgroundName] && !this.isTransitioning) {
+            console.log(`Switching to background: ${this.backgrounds[backgroundName].name}`);
+            this.isTransitioning = true;
+
+            const currentLayer = this.getElement('currentBackground');
+            const nextLayer = this.getElement('nextBackground');
+
+            if (!currentLayer || !nextLayer) {
+                console.error('Background layers not found');
+                this.isTransitioning = false;
+                return;
+            }
+
+            const background = this.backgrounds[backgroundName];
+            this.saveSetting('background', backgroundName);
+
+            // Toggle text color for dark backgrounds
+            const body = this.container || document.body;
+            if (backgroundName === 'galaxy' || backgroundName === 'aurora' || background.dark) {
+                body.classList.add('dark-background');
+            } else {
+                body.classList.remove('dark-background');
+            }
+
+            // Set up the new background on the next layer
+            if (background.type === 'gradient') {
+                nextLayer.className = 'background-layer next gradient';
+                nextLayer.style.backgroundImage = '';
+            } else if (background.type === 'image') {
+                nextLayer.className = 'background-layer next';
+                nextLayer.style.backgroundImage = `url('${background.url}')`;
+            } else if (background.type === 'css') {
+                // CSS image such as a gradient (achievement rewards)
+                nextLayer.className = 'background-layer next';
+                nextLayer.style.backgroundImage = background.css;
+            }
+
+            // Start the transition
+            setTimeout(() => {
+                nextLayer.style.opacity = '1';
+                currentLayer.style.opacity = '0';
+            }, 50);
+
+            // Complete the transition - swap the layers
+            setTimeout(() => {
+                // Set up the current layer with new background first
+                if (background.type === 'gradient') {
+                    currentLayer.className = 'background-layer current gradient';
+                    currentLayer.style.backgroundImage = '';
+                } else {
+                    currentLayer.className = 'background-layer current';
+                    currentLayer.style.backgroundImage = background.type === 'css' ? background.css : `url('${background.url}')`;
+                }
+                currentLayer.style.opacity = '1';
+
+                // Use requestAnimationFrame to ensure the current layer is rendered before clearing next
+                requestAnimationFrame(() => {
+                    requestAnimationFrame(() => {
+                        nextLayer.className = 'background-layer next';
+                        nextLayer.style.backgroundImage = '';
+                        nextLayer.style.opacity = '0';
+                    });
+                });
+
+                const previous = this.currentBackground;
+                this.currentBackground = backgroundName;
+                this.isTransitioning = false;
+
+                // Update scroll indicator color for better visibility
+                this.updateScrollIndicatorColor();
+
+                this.emit('backgroundchange', { background: backgroundName, previous });
+            }, 1550); // Slightly longer than the CSS transition
+        }
+    }
+
+    /**
+     * Sync volume slider with audio manager current volume
+     */
+    syncVolumeSlider() {
+        if (this.audioManager && this.volumeSlider) {
+            const currentVolume = this.audioManager.getVolume();
+            const sliderValue = Math.round(currentVolume * 10);
+            this.volumeSlider.value = sliderValue;
+            this.volumeSlider.setAttribute('aria-valuenow', sliderValue);
+
+            // Update visual state based on mute status
+            this.updateVolumeSliderState(this.audioManager.isMuted);
+
+            console.log(`Volume slider synced to: ${sliderValue}/10 (${currentVolume.toFixed(1)})`);
+        }
+    }
+
+    /**
+     * Get current volume level (0-10)
+     */
+    getCurrentVolumeLevel() {
+        if (this.audioManager) {
+            return Math.round(this.audioManager.getVolume() * 10);
+        }
+        return 5; // Default middle value
+    }
+
+    /**
+     * Hide loading screen
+     */
+    hideLoadingScreen() {
+        if (this.loadingScreen) {
+            this.loadingScreen.classList.add('hidden');
+            setTimeout(() => {
+                this.loadingScreen.style.display = 'none';
+            }, 500);
+        }
+    }
+
+    /**
+     * Show start screen
+     */
+    showStartScreen() {
+        if (this.startScreen) {
+            this.startScreen.classList.remove('hidden');
+            this.startScreen.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Hide start screen and begin the game
+     */
+    startGame(mode = this.selectedMode) {
+        console.log('Starting game...');
+
+        // Hide start screen
+        if (this.startScreen) {
+            this.startScreen.classList.add('hidden');
+            setTimeout(() => {
+                this.startScreen.style.display = 'none';
+            }, 500);
+        }
+        this.hideChallengeSummary();
+
+        // Enable audio context if needed (user interaction requirement)
+        if (this.audioManager && this.audioManager.audioContext &&
+            this.audioManager.audioContext.state === 'suspended') {
+            console.log('Activating audio context on game start');
+            this.audioManager.forceActivateAudio();
+        }
+
+        // Mark game as started (and wake the loop if the last break paused it)
+        this.gameStarted = true;
+        this.breakFade = null;
+        this.resume();
+        this.updateBreakScheduleUI();
+
+        // Reset pop count for new session
+        this.resetPopCount();
+
+        // Sync volume slider with audio manager
+        this.syncVolumeSlider();
+
+        // Spawn initial bubbles immediately
+        this.spawnInitialBubbles();
+
+        // Zen or a timed challenge round
+        this.setGameMode(mode);
+
+        // Start the game loop if not already running
+        this.start();
+
+        this.emit('start', { mode: this.gameMode });
+    }
+
+    /**
+     * Pick the mode the start button will begin (from the start screen selector)
+     */
+    selectMode(mode) {
+        const isChallenge = typeof ChallengeMode !== 'undefined' && ChallengeMode.DURATIONS.includes(Number(mode));
+        this.selectedMode = isChallenge ? String(Number(mode)) : 'zen';
+
+        this.modeButtons.forEach(button => {
+            const selected = button.dataset.mode === this.selectedMode;
+            button.classList.toggle('selected', selected);
+            button.setAttribute('aria-checked', selected ? 'true' : 'false');
+        });
+
+        console.log(`Game mode selected: ${this.selectedMode}`);
+    }
+
+    /**
+     * Switch to zen or start a challenge round ('30', '60' or '120' seconds)
+     * A new round starts the pop count from zero; the bubbles already on screen stay
+     */
+    setGameMode(mode) {
+        const duration = Number(mode);
+
+        if (!this.challenge || !ChallengeMode.DURATIONS.includes(duration)) {
+            if (this.challenge) {
+                this.challenge.cancel();
+            }
+            this.gameMode = 'zen';
         } else {
-            // Exponential scaling for levels 6-10 to create dramatic increase
-            const excessLevel = densityLevel - 5;
-            this.bubbleDensityMultiplier = 1.0 + (excessLevel * 1.0); // 1.0 to 6.0 range
+            this.gameMode = String(duration);
+            this.resetPopCount();
+            this.challenge.start(duration, this.densityLevel, {
+                chainReactions: this.config.chainReaction.enabled,
+                merging: this.physicsEngine ? this.physicsEngine.bubbleMerging : false
+            });
+        }
+
+        this.updateChallengeTimer();
+        this.sessionPlayTime = 0;
+
+        // Each zen stretch or challenge round is its own session in the history (replays aren't played sessions)
+        if (this.sessionHistory && !this.isReplaying()) {
+            this.sessionHistory.beginSession({
+                mode: this.gameMode === 'zen' ? 'zen' : `challenge-${this.gameMode}s`,
+                theme: this.currentTheme
+            });
+        }
+    }
+
+    /**
+     * Advance the challenge clock and finish the round when it runs out
+     */
+    updateChallenge(deltaTime) {
+        if (!this.challenge || !this.challenge.isActive()) return;
+
+        const summary = this.challenge.update(deltaTime);
+        this.updateChallengeTimer();
+
+        if (summary) {
+            this.finishChallenge(summary);
+        }
+    }
+
+    /**
+     * Record the round on the leaderboard and show the results
+     */
+    finishChallenge(summary) {
+        let rank = 0;
+        if (this.leaderboard) {
+            rank = this.leaderboard.submit(summary, summary.density);
+        }
+
+        if (this.sessionHistory) {
+            this.sessionHistory.endSession();
+        }
+
+        this.recordAchievements({ challenges: 1, bestCombo: summary.bestCombo });
+
+        this.showChallengeSummary(summary, rank);
+    }
+
+    /**
+     * Start a breathing session with a pattern, or end it ('off') and show the report
+     */
+    handleBreathingChange(patternId, showReport = true) {
+        if (!this.breathingGuide) return;
+
+        if (BreathingGuide.PATTERNS[patternId]) {
+            this.breathingGuide.start(patternId);
+        } else {
+            const report = this.breathingGuide.stop();
+            if (report && showReport) {
+                this.showBreathingReport(report);
+            }
+        }
+
+        // The pattern shapes the simulation, so recordings replay it (it isn't saved between visits)
+        const value = this.breathingGuide.isActive() ? patternId : 'off';
+        if (this.sessionRecorder) {
+            this.sessionRecorder.recordSetting('breathing', value);
+        }
+
+        this.emit('settingschange', { key: 'breathing', value });
+    }
+
+    /**
+     * Handle the breathing cue toggle
+     */
+    handleBreathingCueToggle(enabled) {
+        this.breathingCue = !!enabled;
+        this.saveSetting('breathingCue', this.breathingCue);
+
+        console.log(`Breathing cue: ${this.breathingCue ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Advance the breathing guide and chime on phase changes
+     */
+    updateBreathing(deltaTime) {
+        if (!this.breathingGuide || !this.breathingGuide.isActive()) return;
+
+        const newPhase = this.breathingGuide.update(deltaTime);
+        if (newPhase && this.breathingCue && this.audioManager) {
+            this.audioManager.playBreathCue(newPhase.kind);
+        }
+    }
+
+    /**
+     * Show session length and completed breaths when a breathing session ends
+     */
+    showBreathingReport(report) {
+        if (!this.breathingReport) return;
+
+        const totalSeconds = Math.round(report.duration / 1000);
+        const seconds = totalSeconds % 60;
+
+        this.getElement('breathingReportPattern').textContent = report.name;
+        this.getElement('breathingReportDuration').textContent =
+            `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+        this.getElement('breathingReportCycles').textContent = report.cycles;
+
+        this.breathingReport.style.display = 'flex';
+        this.breathingReport.classList.remove('hidden');
+
+        if (this.breathingDoneButton) {
+            this.breathingDoneButton.focus();
+        }
+    }
+
+    /**
+     * Hide the breathing report
+     */
+    hideBreathingReport() {
+        if (this.breathingReport) {
+            this.breathingReport.classList.add('hidden');
+            this.breathingReport.style.display = 'none';
+        }
+    }
+
+    /**
+     * Handle the daily goal selector ('off', 'pops:200', 'minutes:5', ...)
+     */
+    handleGoalChange(value) {
+        if (!this.dailyGoal) return;
+
+        this.dailyGoal.setGoal(value);
+        this.saveSetting('dailyGoal', this.dailyGoal.isEnabled() ? value : 'off');
+        this.updateGoalDisplay();
+
+        console.log(`Daily goal: ${this.dailyGoal.isEnabled() ? value : 'OFF'}`);
+    }
+
+    /**
+     * Count play time towards the daily goal
+     */
+    updateDailyGoal(deltaTime) {
+        if (!this.dailyGoal || !this.gameStarted || this.isReplaying()) return;
+
+        if (this.dailyGoal.addPlayTime(deltaTime)) {
+            this.celebrateGoal();
+        }
+        this.updateGoalDisplay();
+    }
+
+    /**
+     * Fountain of droplets when today's goal is reached
+     */
+    celebrateGoal() {
+        if (this.renderWorker) {
+            this.renderWorker.send('celebrateGoal');
+            return;
+        }
+
+        if (this.particleSystem) {
+            this.particleSystem.createCelebrationEffect(this.width / 2, this.height * 0.75);
+            this.particleSystem.createCelebrationEffect(this.width * 0.25, this.height * 0.85, 0.5);
+            this.particleSystem.createCelebrationEffect(this.width * 0.75, this.height * 0.85, 0.5);
+        }
+    }
+
+    /**
+     * Show goal progress and streak next to the pop counter
+     */
+    updateGoalDisplay() {
+        if (!this.goalProgress || !this.dailyGoal) return;
+
+        const enabled = this.dailyGoal.isEnabled();
+        this.goalProgress.classList.toggle('hidden', !enabled);
+        if (!enabled) return;
+
+        const text = this.dailyGoal.getProgressText();
+        if (this.goalProgressValue && this.goalProgressValue.textContent !== text) {
+            this.goalProgressValue.textContent = text;
+        }
+
+        const streak = this.dailyGoal.getStreak();
+        const streakText = streak > 0 ? `🔥${streak}` : '';
+        if (this.goalStreak && this.goalStreak.textContent !== streakText) {
+            this.goalStreak.textContent = streakText;
+        }
+
+        this.goalProgress.classList.toggle('complete', this.dailyGoal.completed);
+    }
+
+    /**
+     * Update achievement stats from a game event and announce anything it unlocks
+     */
+    recordAchievements(updates) {
+        // Replayed events aren't the player's
+        if (!this.achievements || this.isReplaying()) return;
+
+        const unlocked = this.achievements.record(updates);
+        if (unlocked.length === 0) return;
+
+        this.applyAchievementRewards();
+
+        if (this.achievementGallery) {
+            this.achievementGallery.notify(unlocked);
+        }
+    }
+
+    /**
+     * Count time played this session for the history, and whole minutes for achievements
+     */
+    updatePlayTime(deltaTime) {
+        if (!this.gameStarted || this.isReplaying()) return;
+
+        const minutesBefore = Math.floor(this.sessionPlayTime / 60000);
+        this.sessionPlayTime += deltaTime;
+        const minutes = Math.floor(this.sessionPlayTime / 60000);
+
+        if (this.sessionHistory) {
+            this.sessionHistory.setPlayTime(this.sessionPlayTime);
+        }
+
+        if (minutes > minutesBefore) {
+            this.recordAchievements({ sessionMinutes: minutes, playMinutes: minutes - minutesBefore });
+        }
+    }
+
+    /**
+     * Add themes and backgrounds earned through achievements to the game and its selectors
+     */
+    applyAchievementRewards() {
+        if (!this.achievements) return;
+
+        const rewards = this.achievements.getRewards();
+
+        Object.keys(rewards.themes).forEach(id => {
+            if (this.themes[id]) return;
+            this.themes[id] = rewards.themes[id];
+            this.addSelectOption(this.themeSelect, id, rewards.themes[id].name);
+        });
+
+        Object.keys(rewards.backgrounds).forEach(id => {
+            if (this.backgrounds[id]) return;
+            this.backgrounds[id] = rewards.backgrounds[id];
+            this.addSelectOption(this.backgroundSelect, id, rewards.backgrounds[id].name);
+        });
+    }
+
+    /**
+     * Append an option to a selector unless it's already there
+     */
+    addSelectOption(select, value, label) {
+        if (!select || Array.from(select.options).some(option => option.value === value)) return;
+
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+
+    /**
+     * Save session history, goal progress and achievement stats (the page is being hidden or closed)
+     */
+    saveProgress() {
+        if (this.sessionHistory) {
+            this.sessionHistory.flush();
+        }
+
+        if (this.dailyGoal) {
+            this.dailyGoal.save();
+        }
+
+        if (this.achievements) {
+            this.achievements.flush();
+        }
+    }
+
+    /**
+     * Whether a recorded session is being replayed
+     */
+    isReplaying() {
+        return !!(this.sessionRecorder && this.sessionRecorder.isReplaying());
+    }
+
+    /**
+     * Handle the study break timer toggle on the start screen
+     */
+    handleBreakScheduleToggle(enabled) {
+        if (!this.breakScheduler) return;
+
+        this.breakScheduler.setEnabled(enabled);
+        this.updateBreakScheduleUI();
+    }
+
+    /**
+     * Handle changes to the focus and break lengths
+     */
+    handleBreakDurationsChange() {
+        if (!this.breakScheduler) return;
+
+        this.breakScheduler.setDurations(
+            this.focusMinutesInput ? this.focusMinutesInput.value : null,
+            this.breakMinutesInput ? this.breakMinutesInput.value : null
+        );
+        this.updateBreakScheduleUI();
+    }
+
+    /**
+     * Move the study break schedule along (runs every second)
+     */
+    updateBreakSchedule() {
+        if (!this.breakScheduler) return;
+
+        const event = this.breakScheduler.tick();
+        if (event === 'breakEnded' && this.gameStarted && !this.breakFade) {
+            console.log('Break over, fading out bubbles');
+            this.breakFade = { elapsed: 0, duration: this.config.breakFadeDuration };
+        }
+
+        this.updateBreakScheduleUI();
+    }
+
+    /**
+     * Advance the end-of-break fade and pause once the bubbles are gone
+     */
+    updateBreakFade(deltaTime) {
+        if (!this.breakFade) return;
+
+        this.breakFade.elapsed += deltaTime;
+        if (this.breakFade.elapsed < this.breakFade.duration) {
+            if (this.renderWorker) {
+                this.renderWorker.send('breakFade', { breakFade: { ...this.breakFade } });
+            }
+            return;
+        }
+
+        this.breakFade = null;
+        this.resetSimulation();
+        this.gameStarted = false;
+
+        // The break is over: drop any round in progress and close the session (the next start opens a new one)
+        if (this.challenge) {
+            this.challenge.cancel();
+        }
+        this.gameMode = 'zen';
+        this.updateChallengeTimer();
+
+        if (this.sessionHistory) {
+            this.sessionHistory.endSession();
+        }
+        this.pause();
+        this.showStartScreen();
+        this.updateBreakScheduleUI();
+    }
+
+    /**
+     * Opacity of the playfield while a break fades out
+     */
+    getBreakFadeAlpha() {
+        if (!this.breakFade) return 1;
+        return Math.max(0, 1 - this.breakFade.elapsed / this.breakFade.duration);
+    }
+
+    /**
+     * Study break timer: bubbles can only be played during a break (starts one if neither block is running)
+     * Checked by the player's start buttons only, so replays and recordings don't start breaks
+     */
+    requestPlay() {
+        if (this.breakScheduler && !this.breakScheduler.requestBreak()) {
+            console.log('Focus block in progress, not starting');
+            this.updateBreakScheduleUI();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Update the break ring and the start screen for the current block
+     */
+    updateBreakScheduleUI() {
+        if (!this.breakScheduler) return;
+
+        const scheduler = this.breakScheduler;
+        const status = scheduler.getStatus();
+        const remaining = ChallengeMode.formatTime(status.remaining);
+
+        // Remaining-time ring while playing a break
+        if (this.breakTimer) {
+            const showRing = status.enabled && status.phase === 'break' && this.gameStarted;
+            this.breakTimer.classList.toggle('hidden', !showRing);
+
+            if (showRing) {
+                if (this.breakTimerValue) {
+                    this.breakTimerValue.textContent = remaining;
+                }
+                if (this.breakRingProgress) {
+                    this.breakRingProgress.style.strokeDashoffset = `${100 - scheduler.getRemainingFraction() * 100}`;
+                }
+            }
+        }
+
+        // Start screen controls
+        if (this.breakSchedule) {
+            this.breakSchedule.classList.toggle('enabled', status.enabled);
+        }
+        if (this.breakScheduleToggle) {
+            this.breakScheduleToggle.checked = status.enabled;
+        }
+        if (this.focusMinutesInput && document.activeElement !== this.focusMinutesInput) {
+            this.focusMinutesInput.value = status.focusMinutes;
+        }
+        if (this.breakMinutesInput && document.activeElement !== this.breakMinutesInput) {
+            this.breakMinutesInput.value = status.breakMinutes;
+        }
+
+        let message = '';
+        if (status.enabled) {
+            if (status.phase === 'focus') {
+                message = `Focus time - next break in ${remaining}`;
+            } else if (status.phase === 'break') {
+                message = `Break in progress - ${remaining} left`;
+            } else {
+                message = `Time for a ${status.breakMinutes} minute break`;
+            }
+        }
+
+        if (this.breakScheduleStatus) {
+            this.breakScheduleStatus.textContent = message;
+        }
+        if (this.startButton) {
+            this.startButton.disabled = !scheduler.isPlayAllowed();
+        }
+    }
+
+    /**
+     * Show or hide the countdown and keep its text current
+     */
+    updateChallengeTimer() {
+        if (!this.challengeTimer) return;
+
+        const active = this.challenge && this.challenge.isActive();
+        this.challengeTimer.classList.toggle('hidden', !active);
+        if (!active) return;
+
+        const timeLeft = this.challenge.getTimeLeft();
+        const text = ChallengeMode.formatTime(timeLeft);
+
+        // Only touch the DOM when the shown second changes
+        if (this.challengeTimerValue && this.challengeTimerValue.textContent !== text) {
+            this.challengeTimerValue.textContent = text;
+            this.challengeTimer.classList.toggle('ending', timeLeft <= 10000);
         }
+    }
 
-        // Update the max bubbles configuration based on density
-        const baseBubbles = 25; // Original max bubbles
-        this.config.maxBubbles = Math.round(baseBubbles * this.bubbleDensityMultiplier);
+    /**
+     * Show the end-of-round results with the leaderboard for this mode, density and score-boosting settings
+     */
+    showChallengeSummary(summary, rank) {
+        if (!this.challengeSummary) return;
+
+        this.getElement('summaryPops').textContent = summary.pops;
+        this.getElement('summaryPopsPerMinute').textContent = summary.popsPerMinute;
+        this.getElement('summaryBestCombo').textContent = `x${summary.bestCombo}`;
+
+        const board = `density ${summary.density}${ChallengeLeaderboard.describeModifiers(summary.modifiers)}`;
+        const rankElement = this.getElement('summaryRank');
+        rankElement.textContent = rank > 0
+            ? `#${rank} on the ${summary.duration}s leaderboard (${board})`
+            : `Top 10 for ${summary.duration}s at ${board}`;
+
+        const list = this.getElement('leaderboardList');
+        list.innerHTML = '';
+
+        const entries = this.leaderboard ? this.leaderboard.getEntries(summary.duration, summary.density, summary.modifiers) : [];
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            if (index + 1 === rank) {
+                item.classList.add('current');
+            }
 
-        // Also update initial bubble count to help fill screen faster at high density
-        const baseInitialBubbles = 8; // Original initial bubble count
-        this.config.initialBubbleCount = Math.round(baseInitialBubbles * this.bubbleDensityMultiplier);
+            const pops = document.createElement('span');
+            pops.textContent = `${entry.pops} pops`;
 
-        // Update slider aria-valuenow for accessibility
-        if (this.densitySlider) {
-            this.densitySlider.setAttribute('aria-valuenow', sliderValue);
+            const details = document.createElement('span');
+            details.textContent = `${entry.popsPerMinute}/min · x${entry.bestCombo}`;
+
+            const date = document.createElement('span');
+            date.className = 'leaderboard-date';
+            date.textContent = new Date(entry.date).toLocaleDateString();
+
+            item.append(pops, details, date);
+            list.appendChild(item);
+        });
+
+        this.challengeSummary.style.display = 'flex';
+        this.challengeSummary.classList.remove('hidden');
+
+        if (this.playAgainButton) {
+            this.playAgainButton.focus();
         }
+    }
 
-        console.log(`Bubble density multiplier: ${this.bubbleDensityMultiplier.toFixed(2)}x (${this.config.maxBubbles} max bubbles, ${this.config.initialBubbleCount} initial)`);
+    /**
+     * Hide the challenge results
+     */
+    hideChallengeSummary() {
+        if (this.challengeSummary) {
+            this.challengeSummary.classList.add('hidden');
+            this.challengeSummary.style.display = 'none';
+        }
     }
 
+    /**
+     * Reset pop count to zero
+     */
+    resetPopCount() {
+        this.popCount = 0;
+        this.updatePopCountDisplay();
+    }
 
     /**
-     * Update volume slider visual state
+     * Increment pop count when user pops a bubble
      */
-    updateVolumeSliderState(isMuted) {
-        if (this.volumeSlider) {
-            this.volumeSlider.style.opacity = isMuted ? '0.5' : '1.0';
-            this.volumeSlider.disabled = isMuted;
+    incrementPopCount(amount = 1) {
+        this.popCount += amount;
+
+        // Count towards the challenge round (pops after the round ends don't)
+        if (this.challenge) {
+            this.challenge.recordPop(amount);
+        }
+
+        // Count towards the session history and daily goal (replayed pops aren't the player's)
+        if (!this.isReplaying()) {
+            if (this.sessionHistory) {
+                this.sessionHistory.recordPop(amount);
+            }
+
+            if (this.dailyGoal) {
+                if (this.dailyGoal.recordPop(amount)) {
+                    this.celebrateGoal();
+                }
+                this.updateGoalDisplay();
+            }
         }
+        this.updatePopCountDisplay();
+        this.animateCounterUpdate();
+
+        console.log(`Bubble popped! Total: ${this.popCount}`);
     }
 
     /**
-     * Toggle settings visibility on mobile
+     * Update the pop count display
      */
-    toggleSettings() {
-        if (this.collapsibleSettings && this.settingsToggle) {
-            const isVisible = this.collapsibleSettings.classList.contains('show');
+    updatePopCountDisplay() {
+        if (this.popCountElement) {
+            this.popCountElement.textContent = this.popCount;
+        }
+    }
 
-            if (isVisible) {
-                // Hide settings
-                this.collapsibleSettings.classList.remove('show');
-                this.settingsToggle.classList.remove('active');
-                this.settingsToggle.setAttribute('aria-expanded', 'false');
-            } else {
-                // Show settings
-                this.collapsibleSettings.classList.add('show');
-                this.settingsToggle.classList.add('active');
-                this.settingsToggle.setAttribute('aria-expanded', 'true');
-            }
+    /**
+     * Animate counter when updated
+     */
+    animateCounterUpdate() {
+        if (this.popCountElement) {
+            // Add animation class
+            this.popCountElement.classList.add('updated');
+
+            // Remove animation class after animation completes
+            setTimeout(() => {
+                this.popCountElement.classList.remove('updated');
+            }, 300);
         }
     }
 
     /**
-     * Handle theme change
+     * Get current pop count
      */
-    handleThemeChange(themeName) {
-        if (this.themes[themeName]) {
-            console.log(`Switching to theme: ${this.themes[themeName].name}`);
-            this.currentTheme = themeName;
+    getPopCount() {
+        return this.popCount;
+    }
 
-            // Update all existing bubbles with the new theme
-            if (this.bubbleManager && this.bubbleManager.bubbles) {
-                this.bubbleManager.bubbles.forEach(bubble => {
-                    if (bubble.active) {
-                        bubble.theme = this.themes[themeName];
-                    }
-                });
+    /**
+     * Show error message
+     */
+    showError(message) {
+        console.error('Game Error:', message);
+
+        if (this.loadingScreen) {
+            const content = this.loadingScreen.querySelector('.loading-content p');
+            if (content) {
+                content.textContent = `Error: ${message}`;
             }
         }
     }
 
     /**
-     * Initialize background system
+     * Render debug information
      */
-    initializeBackground() {
-        const currentLayer = document.getElementById('currentBackground');
-        if (currentLayer) {
-            // Set the default gradient background
-            currentLayer.className = 'background-layer current gradient';
-            currentLayer.style.opacity = '1';
+    renderDebugInfo() {
+        const fps = this.performanceMonitor.getCurrentFPS();
+        const bubbleCount = this.bubbleManager.getActiveCount();
+        const maxBubbles = this.getMaxBubbles();
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(10, 10, 200, this.randomSeed !== null ? 240 : 220);
+
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = '14px monospace';
+        this.ctx.fillText(`FPS: ${fps.toFixed(1)}`, 20, 30);
+        this.ctx.fillText(`Bubbles: ${bubbleCount}/${maxBubbles}`, 20, 50);
+        this.ctx.fillText(`Memory: ${this.getMemoryUsage()}MB`, 20, 70);
+        this.ctx.fillText(`Target: ${Math.floor(maxBubbles * 0.8)}`, 20, 90);
+        this.ctx.fillText(`Popped: ${this.popCount}`, 20, 110);
+
+        // Show spawn distribution
+        this.ctx.fillText(`Spawns:`, 20, 130);
+        this.ctx.fillText(`B:${this.spawnStats.bottom} L:${this.spawnStats.left}`, 20, 145);
+        this.ctx.fillText(`R:${this.spawnStats.right} T:${this.spawnStats.top}`, 20, 160);
+
+        // Show quality tier
+        if (this.qualityGovernor) {
+            const quality = this.qualityGovernor.getStatus();
+            this.ctx.fillText(`Quality: ${quality.tier} (${quality.tierIndex + 1}/${quality.tierCount})`, 20, 180);
         }
 
-        // Set initial scroll indicator color
-        this.updateScrollIndicatorColor();
+        this.ctx.fillText(`Pointers: ${this.inputHandler.getPointerCount()}`, 20, 200);
+
+        // Show collision broad phase work
+        if (this.physicsEngine && (this.physicsEngine.bubbleCollisions || this.physicsEngine.bubbleMerging)) {
+            const stats = this.physicsEngine.collisionStats;
+            this.ctx.fillText(`Pairs: ${stats.pairChecks} Hits: ${stats.collisions} Merges: ${stats.merges}`, 20, 220);
+        } else {
+            this.ctx.fillText(`Collisions: OFF`, 20, 220);
+        }
+
+        // Show the seed so bug reports can be reproduced with ?seed=
+        if (this.randomSeed !== null) {
+            this.ctx.fillText(`Seed: ${this.randomSeed}`, 20, 240);
+        }
     }
 
     /**
-     * Update scroll indicator color based on current background
+     * Get estimated memory usage
      */
-    updateScrollIndicatorColor() {
-        const scrollIndicator = document.querySelector('.scroll-indicator');
-        if (scrollIndicator) {
-            if (this.currentBackground === 'gradient') {
-                scrollIndicator.classList.add('blue-text');
-            } else {
-                scrollIndicator.classList.remove('blue-text');
+    getMemoryUsage() {
+        if (performance.memory) {
+            return (performance.memory.usedJSHeapSize / 1024 / 1024).toFixed(1);
+        }
+        return 'N/A';
+    }
+}
+
+/**
+ * Bubble Class - Represents individual soap bubbles
+ */
+class Bubble {
+    constructor(x, y, size, lifetime, theme = null, random = new MathRandom()) {
+        this.random = random;
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.radius = size / 2;
+        this.lifetime = lifetime;
+        this.age = 0;
+        this.isAlive = true;
+
+        // Physics properties - will be set by spawn function
+        this.vx = 0;
+        this.vy = 0;
+        this.wobbleOffset = this.random.next() * Math.PI * 2;
+        this.wobbleSpeed = 0.02 + this.random.next() * 0.02;
+
+        // Spawn momentum - preserves initial direction for side-spawned bubbles
+        this.spawnMomentumX = 0;
+        this.spawnMomentumY = 0;
+        this.spawnDirection = 'bottom'; // 'bottom', 'left', 'right' ('top' when the physics preset sinks bubbles)
+
+        // Visual properties
+        this.opacity = 1;
+        this.theme = theme;
+        this.hue = theme ? theme.colors.hueBase + (this.random.next() - 0.5) * 60 : this.random.next() * 360;
+        this.hueSpeed = 0.5 + this.random.next() * 1;
+
+        // Theme-specific properties
+        this.sparkleOffset = this.random.next() * Math.PI * 2;
+        this.shimmerPhase = this.random.next() * Math.PI * 2;
+        this.starPositions = theme && theme.stars ? this.generateStarPositions() : [];
+
+        // Bubble type (see BubbleTypeRegistry)
+        this.type = null;
+        this.hitsRemaining = 1;
+        this.contacts = new Set(); // Pointer ids that already hit this bubble and are still on it
+
+        this.id = 0; // Set by BubbleManager, changes each time the bubble is reused
+        this.chainPending = false; // Queued to pop in a chain reaction
+        this.membrane = null; // BubbleMembrane while soft bodies are on (see BubbleManager.setSoftBodies)
+        this.merged = 0; // Bubbles absorbed into this one (see BubbleManager.mergeBubbles)
+    }
+
+    /**
+     * Set the bubble type and reset its hits
+     */
+    setType(type) {
+        this.type = type;
+        this.hitsRemaining = type ? type.hits : 1;
+        this.contacts.clear();
+    }
+
+    /**
+     * Generate star positions for galaxy theme
+     */
+    generateStarPositions() {
+        const stars = [];
+        const starCount = 3 + Math.floor(this.random.next() * 4); // 3-6 stars
+
+        for (let i = 0; i < starCount; i++) {
+            stars.push({
+                x: (this.random.next() - 0.5) * this.radius * 1.6,
+                y: (this.random.next() - 0.5) * this.radius * 1.6,
+                size: 0.5 + this.random.next() * 1.5,
+                twinkle: this.random.next() * Math.PI * 2
+            });
+        }
+        return stars;
+    }
+
+    /**
+     * Update bubble state
+     */
+    update(deltaTime, physicsEngine, speedMultiplier = 1.0) {
+        if (!this.isAlive) return;
+
+        this.age += deltaTime;
+
+        // Check if bubble should expire
+        if (this.age >= this.lifetime) {
+            this.isAlive = false;
+            return;
+        }
+
+        // Update position with physics
+        if (physicsEngine) {
+            physicsEngine.updateBubble(this, deltaTime, speedMultiplier);
+        } else {
+            // Fallback physics with speed multiplier
+            this.x += this.vx * speedMultiplier;
+            this.y += this.vy * speedMultiplier;
+
+            // Add wobble effect
+            this.x += Math.sin(this.age * this.wobbleSpeed + this.wobbleOffset) * 0.2;
+        }
+
+        // Update visual properties
+        this.hue += this.hueSpeed;
+        if (this.hue > 360) this.hue -= 360;
+
+        // Update theme-specific animations
+        if (this.theme) {
+            if (this.theme.shimmer) {
+                this.shimmerPhase += 0.05; // Oil slick shimmer
+            }
+            if (this.theme.sparkle) {
+                this.sparkleOffset += 0.08; // Crystal sparkle
+            }
+            if (this.theme.stars) {
+                // Update star twinkle
+                this.starPositions.forEach(star => {
+                    star.twinkle += 0.06;
+                });
+            }
+        }
+
+        // Fade out near end of lifetime - much later and gentler
+        const lifetimeRatio = this.age / this.lifetime;
+        if (lifetimeRatio > 0.92) {
+            // Only start fading in the last 8% of lifetime (was 20%)
+            this.opacity = 1 - (lifetimeRatio - 0.92) / 0.08;
+        }
+
+        // Check bounds (remove if too far off screen - the physics preset decides which edges bubbles can leave by)
+        if (physicsEngine) {
+            if (physicsEngine.isOutOfBounds(this)) {
+                this.isAlive = false;
             }
+        } else if (this.x < -100 || this.x > window.innerWidth + 100 ||
+                   this.y < -100 || this.y > window.innerHeight + 100) {
+            this.isAlive = false;
         }
     }
 
     /**
-     * Handle background change
+     * Render the bubble with theme-specific effects
      */
-    handleBackgroundChange(backgroundName) {
-        if (this.backgrounds[backgroundName] && !this.isTransitioning) {
-            console.log(`Switching to background: ${this.backgrounds[backgroundName].name}`);
-            this.isTransitioning = true;
+    render(ctx, options = {}) {
+        if (!this.isAlive || this.opacity <= 0) return;
 
-            const currentLayer = document.getElementById('currentBackground');
-            const nextLayer = document.getElementById('nextBackground');
+        ctx.save();
+        ctx.globalAlpha = this.opacity * (options.fade !== undefined ? options.fade : 1);
 
-            if (!currentLayer || !nextLayer) {
-                console.error('Background layers not found');
-                this.isTransitioning = false;
-                return;
-            }
+        if (this.theme) {
+            this.renderThemedBubble(ctx, options);
+        } else {
+            this.renderClassicBubble(ctx);
+        }
 
-            const background = this.backgrounds[backgroundName];
+        // Type-specific overlay (golden glow, tough outline...)
+        if (this.type && this.type.render) {
+            this.type.render(ctx, this, options);
+        }
 
-            // Toggle text color for dark backgrounds
-            const body = document.body;
-            if (backgroundName === 'galaxy' || backgroundName === 'aurora') {
-                body.classList.add('dark-background');
-            } else {
-                body.classList.remove('dark-background');
-            }
+        ctx.restore();
+    }
 
-            // Set up the new background on the next layer
-            if (background.type === 'gradient') {
-                nextLayer.className = 'background-layer next gradient';
-                nextLayer.style.backgroundImage = '';
-            } else if (background.type === 'image') {
-                nextLayer.className = 'background-layer next';
-                nextLayer.style.backgroundImage = `url('${background.url}')`;
-            }
+    /**
+     * Render classic bubble (fallback)
+     */
+    renderClassicBubble(ctx) {
+        // Main bubble body with an iridescent effect
+        Bubble.fillBody(ctx, this.x, this.y, this.radius, Bubble.getClassicColors(this.hue), this.getDeformedMembrane());
 
-            // Start the transition
-            setTimeout(() => {
-                nextLayer.style.opacity = '1';
-                currentLayer.style.opacity = '0';
-            }, 50);
+        // Bubble highlight
+        this.renderHighlight(ctx, 'rgba(255, 255, 255, 0.6)');
 
-            // Complete the transition - swap the layers
-            setTimeout(() => {
-                // Set up the current layer with new background first
-                if (background.type === 'gradient') {
-                    currentLayer.className = 'background-layer current gradient';
-                    currentLayer.style.backgroundImage = '';
-                } else {
-                    currentLayer.className = 'background-layer current';
-                    currentLayer.style.backgroundImage = `url('${background.url}')`;
-                }
-                currentLayer.style.opacity = '1';
+        // Bubble outline
+        ctx.strokeStyle = `hsla(${this.hue}, 50%, 70%, 0.4)`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        this.traceOutline(ctx);
+        ctx.stroke();
+    }
 
-                // Use requestAnimationFrame to ensure the current layer is rendered before clearing next
-                requestAnimationFrame(() => {
-                    requestAnimationFrame(() => {
-                        nextLayer.className = 'background-layer next';
-                        nextLayer.style.backgroundImage = '';
-                        nextLayer.style.opacity = '0';
-                    });
-                });
+    /**
+     * Render themed bubble
+     */
+    renderThemedBubble(ctx, options = {}) {
+        const theme = this.theme;
+        const shimmerEnabled = options.shimmer !== false;
+        const sparkleEnabled = options.sparkle !== false;
+        const sprites = options.spriteCache || null;
+
+        // Main bubble body (pre-rendered when there is a sprite cache, unless it's out of round)
+        const membrane = this.getDeformedMembrane();
+        if (membrane || !sprites || !sprites.drawBody(ctx, theme, this.hue, this.x, this.y, this.radius)) {
+            Bubble.fillBody(ctx, this.x, this.y, this.radius, Bubble.getThemeColors(theme, this.hue), membrane);
+        }
 
-                this.currentBackground = backgroundName;
-                this.isTransitioning = false;
+        // Theme-specific effects
+        if (theme.shimmer && shimmerEnabled) {
+            this.renderShimmer(ctx);
+        }
 
-                // Update scroll indicator color for better visibility
-                this.updateScrollIndicatorColor();
-            }, 1550); // Slightly longer than the CSS transition
+        if (theme.stars) {
+            this.renderStars(ctx);
         }
-    }
 
-    /**
-     * Sync volume slider with audio manager current volume
-     */
-    syncVolumeSlider() {
-        if (this.audioManager && this.volumeSlider) {
-            const currentVolume = this.audioManager.getVolume();
-            const sliderValue = Math.round(currentVolume * 10);
-            this.volumeSlider.value = sliderValue;
-            this.volumeSlider.setAttribute('aria-valuenow', sliderValue);
+        if (theme.sparkle && sparkleEnabled) {
+            this.renderSparkles(ctx);
+        }
 
-            // Update visual state based on mute status
-            this.updateVolumeSliderState(this.audioManager.isMuted);
+        // Bubble highlight
+        if (!sprites || !sprites.drawHighlight(ctx, theme, this.x, this.y, this.radius)) {
+            this.renderHighlight(ctx, theme.highlight);
+        }
 
-            console.log(`Volume slider synced to: ${sliderValue}/10 (${currentVolume.toFixed(1)})`);
+        // Bubble outline (if enabled)
+        if (theme.outline) {
+            ctx.strokeStyle = `hsla(${this.hue}, 50%, 70%, 0.4)`;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            this.traceOutline(ctx);
+            ctx.stroke();
         }
     }
 
     /**
-     * Get current volume level (0-10)
+     * The soft-body membrane if it is visibly out of round (null means draw and hit-test a circle)
      */
-    getCurrentVolumeLevel() {
-        if (this.audioManager) {
-            return Math.round(this.audioManager.getVolume() * 10);
-        }
-        return 5; // Default middle value
+    getDeformedMembrane() {
+        return this.membrane && this.membrane.deformed ? this.membrane : null;
     }
 
     /**
-     * Hide loading screen
+     * Add the bubble's outline to the current path
      */
-    hideLoadingScreen() {
-        if (this.loadingScreen) {
-            this.loadingScreen.classList.add('hidden');
-            setTimeout(() => {
-                this.loadingScreen.style.display = 'none';
-            }, 500);
+    traceOutline(ctx) {
+        const membrane = this.getDeformedMembrane();
+        if (membrane) {
+            membrane.trace(ctx, this.x, this.y, this.radius);
+        } else {
+            ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
         }
     }
 
     /**
-     * Show start screen
+     * Body gradient colors for bubbles without a theme
      */
-    showStartScreen() {
-        if (this.startScreen) {
-            this.startScreen.classList.remove('hidden');
-            this.startScreen.style.display = 'flex';
-        }
+    static getClassicColors(hue) {
+        return [
+            `hsla(${hue}, 70%, 80%, 0.3)`,
+            `hsla(${(hue + 60) % 360}, 70%, 85%, 0.2)`,
+            `hsla(${(hue + 120) % 360}, 70%, 90%, 0.1)`
+        ];
     }
 
     /**
-     * Hide start screen and begin the game
+     * Body gradient colors for a theme at a hue
      */
-    startGame() {
-        console.log('Starting game...');
-
-        // Hide start screen
-        if (this.startScreen) {
-            this.startScreen.classList.add('hidden');
-            setTimeout(() => {
-                this.startScreen.style.display = 'none';
-            }, 500);
-        }
+    static getThemeColors(theme, hue) {
+        const colors = theme.colors;
 
-        // Enable audio context if needed (user interaction requirement)
-        if (this.audioManager && this.audioManager.audioContext &&
-            this.audioManager.audioContext.state === 'suspended') {
-            console.log('Activating audio context on game start');
-            this.audioManager.forceActivateAudio();
+        if (theme.shimmer) {
+            // Oil slick - shifts through the spectrum
+            return [
+                `hsla(${hue}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity})`,
+                `hsla(${(hue + 60) % 360}, ${colors.saturation}%, ${colors.lightness + 5}%, ${colors.opacity * 0.7})`,
+                `hsla(${(hue + 120) % 360}, ${colors.saturation}%, ${colors.lightness + 10}%, ${colors.opacity * 0.5})`
+            ];
+        } else if (theme.sparkle) {
+            // Crystal - clear with sparkles
+            return [
+                `hsla(${hue}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity})`,
+                `hsla(${(hue + 20) % 360}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity * 0.6})`,
+                `hsla(${(hue + 40) % 360}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity * 0.3})`
+            ];
+        } else if (theme.stars) {
+            // Galaxy - deep space colors
+            return [
+                `hsla(${hue}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity})`,
+                `hsla(${(hue + 30) % 360}, ${colors.saturation}%, ${colors.lightness + 10}%, ${colors.opacity * 0.8})`,
+                `hsla(${(hue + 60) % 360}, ${colors.saturation}%, ${colors.lightness + 20}%, ${colors.opacity * 0.6})`
+            ];
         }
 
-        // Mark game as started
-        this.gameStarted = true;
-
-        // Reset pop count for new session
-        this.resetPopCount();
-
-        // Sync volume slider with audio manager
-        this.syncVolumeSlider();
-
-        // Spawn initial bubbles immediately
-        this.spawnInitialBubbles();
-
-        // Start the game loop if not already running
-        this.start();
+        // Classic soap with theme colors
+        return [
+            `hsla(${hue}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity})`,
+            `hsla(${(hue + 60) % 360}, ${colors.saturation}%, ${colors.lightness + 5}%, ${colors.opacity * 0.7})`,
+            `hsla(${(hue + 120) % 360}, ${colors.saturation}%, ${colors.lightness + 10}%, ${colors.opacity * 0.5})`
+        ];
     }
 
     /**
-     * Reset pop count to zero
+     * Fill a bubble body gradient (used live and by BubbleSpriteCache), in a membrane's shape if one is given
      */
-    resetPopCount() {
-        this.popCount = 0;
-        this.updatePopCountDisplay();
-    }
+    static fillBody(ctx, x, y, radius, colors, membrane = null) {
+        const gradient = ctx.createRadialGradient(
+            x - radius * 0.3, y - radius * 0.3, 0,
+            x, y, radius
+        );
 
-    /**
-     * Increment pop count when user pops a bubble
-     */
-    incrementPopCount() {
-        this.popCount++;
-        this.updatePopCountDisplay();
-        this.animateCounterUpdate();
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+        gradient.addColorStop(0.3, colors[0]);
+        gradient.addColorStop(0.6, colors[1]);
+        gradient.addColorStop(1, colors[2]);
 
-        console.log(`Bubble popped! Total: ${this.popCount}`);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        if (membrane) {
+            membrane.trace(ctx, x, y, radius);
+        } else {
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+        }
+        ctx.fill();
     }
 
     /**
-     * Update the pop count display
+     * Render highlight effect
      */
-    updatePopCountDisplay() {
-        if (this.popCountElement) {
-            this.popCountElement.textContent = this.popCount;
-        }
+    renderHighlight(ctx, color) {
+        Bubble.fillHighlight(ctx, this.x, this.y, this.radius, color);
     }
 
     /**
-     * Animate counter when updated
+     * Fill the glossy highlight at a bubble's upper left (used live and by BubbleSpriteCache)
      */
-    animateCounterUpdate() {
-        if (this.popCountElement) {
-            // Add animation class
-            this.popCountElement.classList.add('updated');
+    static fillHighlight(ctx, x, y, radius, color) {
+        const highlightGradient = ctx.createRadialGradient(
+            x - radius * 0.4, y - radius * 0.4, 0,
+            x - radius * 0.4, y - radius * 0.4, radius * 0.6
+        );
+        highlightGradient.addColorStop(0, color);
+        highlightGradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
 
-            // Remove animation class after animation completes
-            setTimeout(() => {
-                this.popCountElement.classList.remove('updated');
-            }, 300);
-        }
+        ctx.fillStyle = highlightGradient;
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.4, y - radius * 0.4, radius * 0.6, 0, Math.PI * 2);
+        ctx.fill();
     }
 
     /**
-     * Get current pop count
+     * Render stars for galaxy theme
      */
-    getPopCount() {
-        return this.popCount;
+    renderStars(ctx) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        this.starPositions.forEach(star => {
+            const twinkle = Math.sin(star.twinkle) * 0.3 + 0.7;
+            const starX = this.x + star.x;
+            const starY = this.y + star.y;
+
+            ctx.save();
+            ctx.globalAlpha = twinkle;
+            ctx.beginPath();
+            ctx.arc(starX, starY, star.size, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        });
     }
 
     /**
-     * Show error message
+     * Oil slick shimmer - a band of shifting color sweeping over the body (frozen at lower quality tiers)
      */
-    showError(message) {
-        console.error('Game Error:', message);
+    renderShimmer(ctx) {
+        const colors = this.theme.colors;
+        const hue = (this.hue + Math.sin(this.shimmerPhase) * 30 + 360) % 360;
+        const dx = Math.cos(this.shimmerPhase * 0.5) * this.radius;
+        const dy = Math.sin(this.shimmerPhase * 0.5) * this.radius;
 
-        if (this.loadingScreen) {
-            const content = this.loadingScreen.querySelector('.loading-content p');
-            if (content) {
-                content.textContent = `Error: ${message}`;
-            }
-        }
+        const gradient = ctx.createLinearGradient(this.x - dx, this.y - dy, this.x + dx, this.y + dy);
+        gradient.addColorStop(0, `hsla(${hue}, ${colors.saturation}%, ${colors.lightness}%, 0)`);
+        gradient.addColorStop(0.5, `hsla(${hue}, ${colors.saturation}%, ${colors.lightness + 10}%, ${colors.opacity * 0.6})`);
+        gradient.addColorStop(1, `hsla(${(hue + 60) % 360}, ${colors.saturation}%, ${colors.lightness}%, 0)`);
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        this.traceOutline(ctx);
+        ctx.fill();
     }
 
     /**
-     * Render debug information
+     * Render sparkles for crystal theme
      */
-    renderDebugInfo() {
-        const fps = this.performanceMonitor.getCurrentFPS();
-        const bubbleCount = this.bubbleManager.getActiveCount();
-
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(10, 10, 200, 160);
+    renderSparkles(ctx) {
+        const sparkleCount = 6;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
 
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = '14px monospace';
-        this.ctx.fillText(`FPS: ${fps.toFixed(1)}`, 20, 30);
-        this.ctx.fillText(`Bubbles: ${bubbleCount}/${this.config.maxBubbles}`, 20, 50);
-        this.ctx.fillText(`Memory: ${this.getMemoryUsage()}MB`, 20, 70);
-        this.ctx.fillText(`Target: ${Math.floor(this.config.maxBubbles * 0.8)}`, 20, 90);
-        this.ctx.fillText(`Popped: ${this.popCount}`, 20, 110);
+        for (let i = 0; i < sparkleCount; i++) {
+            const angle = (i / sparkleCount) * Math.PI * 2 + this.sparkleOffset;
+            const distance = this.radius * 0.7;
+            const sparkleX = this.x + Math.cos(angle) * distance;
+            const sparkleY = this.y + Math.sin(angle) * distance;
+            const sparkleSize = 1 + Math.sin(this.sparkleOffset * 2 + i) * 0.5;
 
-        // Show spawn distribution (updated for 3 edges)
-        this.ctx.fillText(`Spawns:`, 20, 130);
-        this.ctx.fillText(`B:${this.spawnStats.bottom} L:${this.spawnStats.left}`, 20, 145);
-        this.ctx.fillText(`R:${this.spawnStats.right}`, 20, 160);
+            ctx.save();
+            ctx.globalAlpha = Math.abs(Math.sin(this.sparkleOffset + i));
+            ctx.beginPath();
+            ctx.arc(sparkleX, sparkleY, sparkleSize, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        }
     }
 
     /**
-     * Get estimated memory usage
+     * Check if point collides with bubble
      */
-    getMemoryUsage() {
-        if (performance.memory) {
-            return (performance.memory.usedJSHeapSize / 1024 / 1024).toFixed(1);
+    contains(x, y) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // Soft-body bubbles follow their squashed or stretched surface
+        const membrane = this.getDeformedMembrane();
+        if (membrane) {
+            return distance <= this.radius * membrane.getRadiusScale(Math.atan2(dy, dx));
         }
-        return 'N/A';
+
+        return distance <= this.radius;
     }
 }
 
 /**
- * Bubble Class - Represents individual soap bubbles
+ * Bubble Manager - Handles bubble lifecycle and object pooling
+ * Keeps bubbles in depth order (largest first) and indexed spatially for hit-testing
  */
-class Bubble {
-    constructor(x, y, size, lifetime, theme = null) {
-        this.x = x;
-        this.y = y;
-        this.size = size;
-        this.radius = size / 2;
-        this.lifetime = lifetime;
-        this.age = 0;
-        this.isAlive = true;
-
-        // Physics properties - will be set by spawn function
-        this.vx = 0;
-        this.vy = 0;
-        this.wobbleOffset = Math.random() * Math.PI * 2;
-        this.wobbleSpeed = 0.02 + Math.random() * 0.02;
+class BubbleManager {
+    constructor(ctx, maxBubbles) {
+        this.ctx = ctx;
+        this.maxBubbles = maxBubbles;
+        this.bubbles = []; // Sorted by size, largest first, so small bubbles render on top
+        this.bubblePool = [];
+        this.activeCount = 0;
+        this.nextBubbleId = 1;
+        this.random = new MathRandom();
+
+        // Spatial index for point and radius queries (cells sized for the largest 300px bubbles)
+        this.spatialIndex = typeof SpatialHash !== 'undefined' ? new SpatialHash(300) : null;
+        this.queryResults = [];
+
+        // Soft-body surfaces, turned off by the quality governor when frames run long
+        this.softBodies = typeof BubbleMembrane !== 'undefined';
+        this.poppingBubbles = []; // { x, y, radius, hue, theme, opacity, membrane, age } snapping inward after a pop
+
+        // Merged bubbles - the absorbed one's ghost slides into the bubble it joined
+        this.mergingBubbles = []; // { x, y, radius, hue, theme, opacity, target, targetId, toX, toY, age }
+        this.onMerge = null; // Called with (survivor, absorbed) after each merge
+        this.onEdgePop = null; // Called with a bubble that burst against a popping screen edge
+
+        // Pre-rendered themed bubble layers (none without a canvas to draw them on)
+        this.spriteCache = ctx && typeof BubbleSpriteCache !== 'undefined' ? new BubbleSpriteCache() : null;
+
+        // Optional render effects, toggled by the quality governor
+        this.renderOptions = {
+            shimmer: true,
+            sparkle: true,
+            fade: 1, // Opacity applied to every bubble (end-of-break fade)
+            spriteCache: this.spriteCache
+        };
+    }
 
-        // Spawn momentum - preserves initial direction for side-spawned bubbles
-        this.spawnMomentumX = 0;
-        this.spawnMomentumY = 0;
-        this.spawnDirection = 'bottom'; // 'bottom', 'left', 'right'
+    /**
+     * Create a new bubble
+     */
+    createBubble(x, y, size, lifetime, theme = null, type = null) {
+        let bubble;
 
-        // Visual properties
-        this.opacity = 1;
-        this.theme = theme;
-        this.hue = theme ? theme.colors.hueBase + (Math.random() - 0.5) * 60 : Math.random() * 360;
-        this.hueSpeed = 0.5 + Math.random() * 1;
+        // Use pooled bubble if available
+        if (this.bubblePool.length > 0) {
+            bubble = this.bubblePool.pop();
+            this.resetBubble(bubble, x, y, size, lifetime, theme);
+        } else {
+            bubble = new Bubble(x, y, size, lifetime, theme, this.random);
+        }
+        bubble.setType(type);
+        bubble.id = this.nextBubbleId++;
+        bubble.chainPending = false;
+        bubble.merged = 0;
+
+        if (this.softBodies) {
+            bubble.membrane = bubble.membrane || new BubbleMembrane();
+            bubble.membrane.reset();
+        } else {
+            bubble.membrane = null;
+        }
 
-        // Theme-specific properties
-        this.sparkleOffset = Math.random() * Math.PI * 2;
-        this.shimmerPhase = Math.random() * Math.PI * 2;
-        this.starPositions = theme && theme.stars ? this.generateStarPositions() : [];
+        this.insertByDepth(bubble);
+        if (this.spatialIndex) {
+            this.spatialIndex.insert(bubble);
+        }
+        this.activeCount++;
+        return bubble;
     }
 
     /**
-     * Generate star positions for galaxy theme
+     * Insert a bubble at its depth position (binary search on size, largest first)
      */
-    generateStarPositions() {
-        const stars = [];
-        const starCount = 3 + Math.floor(Math.random() * 4); // 3-6 stars
-
-        for (let i = 0; i < starCount; i++) {
-            stars.push({
-                x: (Math.random() - 0.5) * this.radius * 1.6,
-                y: (Math.random() - 0.5) * this.radius * 1.6,
-                size: 0.5 + Math.random() * 1.5,
-                twinkle: Math.random() * Math.PI * 2
-            });
+    insertByDepth(bubble) {
+        let low = 0;
+        let high = this.bubbles.length;
+
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.bubbles[mid].size >= bubble.size) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
         }
-        return stars;
+
+        this.bubbles.splice(low, 0, bubble);
     }
 
     /**
-     * Update bubble state
+     * Re-position a bubble whose size changed
      */
-    update(deltaTime, physicsEngine, speedMultiplier = 1.0) {
-        if (!this.isAlive) return;
+    updateDepth(bubble) {
+        const index = this.bubbles.indexOf(bubble);
+        if (index === -1) return;
 
-        this.age += deltaTime;
+        this.bubbles.splice(index, 1);
+        this.insertByDepth(bubble);
+    }
 
-        // Check if bubble should expire
-        if (this.age >= this.lifetime) {
-            this.isAlive = false;
-            return;
-        }
+    /**
+     * Reset a pooled bubble
+     */
+    resetBubble(bubble, x, y, size, lifetime, theme = null) {
+        bubble.random = this.random;
+        bubble.x = x;
+        bubble.y = y;
+        bubble.size = size;
+        bubble.radius = size / 2;
+        bubble.lifetime = lifetime;
+        bubble.age = 0;
+        bubble.isAlive = true;
+        bubble.opacity = 1;
+        bubble.theme = theme;
 
-        // Update position with physics
-        if (physicsEngine) {
-            physicsEngine.updateBubble(this, deltaTime, speedMultiplier);
-        } else {
-            // Fallback physics with speed multiplier
-            this.x += this.vx * speedMultiplier;
-            this.y += this.vy * speedMultiplier;
+        // Initialize with zero velocity - will be set by spawn function
+        bubble.vx = 0;
+        bubble.vy = 0;
+        bubble.wobbleOffset = this.random.next() * Math.PI * 2;
+        bubble.hue = theme ? theme.colors.hueBase + (this.random.next() - 0.5) * 60 : this.random.next() * 360;
 
-            // Add wobble effect
-            this.x += Math.sin(this.age * this.wobbleSpeed + this.wobbleOffset) * 0.2;
-        }
+        // Reset theme-specific properties
+        bubble.sparkleOffset = this.random.next() * Math.PI * 2;
+        bubble.shimmerPhase = this.random.next() * Math.PI * 2;
+        bubble.starPositions = theme && theme.stars ? bubble.generateStarPositions() : [];
+    }
 
-        // Update visual properties
-        this.hue += this.hueSpeed;
-        if (this.hue > 360) this.hue -= 360;
+    /**
+     * Update all bubbles
+     */
+    update(deltaTime, physicsEngine, speedMultiplier = 1.0) {
+        for (let i = this.bubbles.length - 1; i >= 0; i--) {
+            const bubble = this.bubbles[i];
+            bubble.update(deltaTime, physicsEngine, speedMultiplier);
 
-        // Update theme-specific animations
-        if (this.theme) {
-            if (this.theme.shimmer) {
-                this.shimmerPhase += 0.05; // Oil slick shimmer
-            }
-            if (this.theme.sparkle) {
-                this.sparkleOffset += 0.08; // Crystal sparkle
+            // Bubbles burst against edges the physics preset pops them at
+            if (bubble.isAlive && physicsEngine && physicsEngine.touchesPopEdge(bubble)) {
+                this.popBubble(bubble);
+                if (this.onEdgePop) {
+                    this.onEdgePop(bubble);
+                }
             }
-            if (this.theme.stars) {
-                // Update star twinkle
-                this.starPositions.forEach(star => {
-                    star.twinkle += 0.06;
-                });
+
+            // Remove dead bubbles
+            if (!bubble.isAlive) {
+                this.removeBubble(i);
             }
         }
 
-        // Fade out near end of lifetime - much later and gentler
-        const lifetimeRatio = this.age / this.lifetime;
-        if (lifetimeRatio > 0.92) {
-            // Only start fading in the last 8% of lifetime (was 20%)
-            this.opacity = 1 - (lifetimeRatio - 0.92) / 0.08;
+        this.updatePopping(deltaTime);
+        this.updateMerging(deltaTime);
+
+        // Soft bubble-to-bubble collisions and merges (no-op unless enabled), then obstacles get the last word
+        if (physicsEngine) {
+            physicsEngine.resolveCollisions(this.bubbles);
+            this.mergeBubbles(physicsEngine.takeMerges());
+            physicsEngine.separateFromEntities(this.bubbles);
         }
 
-        // Check bounds (remove if too far off screen)
-        if (this.x < -100 || this.x > window.innerWidth + 100 ||
-            this.y < -100 || this.y > window.innerHeight + 100) {
-            this.isAlive = false;
+        // Move bubbles that crossed a cell boundary
+        if (this.spatialIndex) {
+            for (const bubble of this.bubbles) {
+                this.spatialIndex.update(bubble);
+            }
         }
     }
 
     /**
-     * Render the bubble with theme-specific effects
+     * Render all bubbles
      */
-    render(ctx) {
-        if (!this.isAlive || this.opacity <= 0) return;
+    render() {
+        if (this.spriteCache) {
+            this.spriteCache.beginFrame(this.ctx);
+        }
 
-        ctx.save();
-        ctx.globalAlpha = this.opacity;
+        // Already in depth order - maintained on insert, so no per-frame sort
+        for (const bubble of this.bubbles) {
+            bubble.render(this.ctx, this.renderOptions);
+        }
 
-        if (this.theme) {
-            this.renderThemedBubble(ctx);
-        } else {
-            this.renderClassicBubble(ctx);
+        for (const merging of this.mergingBubbles) {
+            this.renderMerging(merging);
         }
 
-        ctx.restore();
+        for (const popping of this.poppingBubbles) {
+            this.renderPopping(popping);
+        }
     }
 
     /**
-     * Render classic bubble (fallback)
+     * Body colors for a bubble that is no longer in the list (popping or merging)
      */
-    renderClassicBubble(ctx) {
-        // Main bubble body
-        const gradient = ctx.createRadialGradient(
-            this.x - this.radius * 0.3, this.y - this.radius * 0.3, 0,
-            this.x, this.y, this.radius
-        );
-
-        // Create iridescent effect
-        const hsl1 = `hsla(${this.hue}, 70%, 80%, 0.3)`;
-        const hsl2 = `hsla(${(this.hue + 60) % 360}, 70%, 85%, 0.2)`;
-        const hsl3 = `hsla(${(this.hue + 120) % 360}, 70%, 90%, 0.1)`;
+    static getGhostColors(ghost) {
+        return ghost.theme
+            ? Bubble.getThemeColors(ghost.theme, ghost.hue)
+            : Bubble.getClassicColors(ghost.hue);
+    }
 
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
-        gradient.addColorStop(0.3, hsl1);
-        gradient.addColorStop(0.6, hsl2);
-        gradient.addColorStop(1, hsl3);
+    /**
+     * Draw a popped soft-body bubble collapsing and fading
+     */
+    renderPopping(popping) {
+        const ctx = this.ctx;
+        const fade = this.renderOptions.fade !== undefined ? this.renderOptions.fade : 1;
+        const colors = BubbleManager.getGhostColors(popping);
 
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-        ctx.fill();
+        ctx.save();
+        ctx.globalAlpha = popping.opacity * fade * Math.max(0, 1 - popping.age / BubbleManager.POP_DURATION);
 
-        // Bubble highlight
-        this.renderHighlight(ctx, 'rgba(255, 255, 255, 0.6)');
+        Bubble.fillBody(ctx, popping.x, popping.y, popping.radius, colors, popping.membrane);
 
-        // Bubble outline
-        ctx.strokeStyle = `hsla(${this.hue}, 50%, 70%, 0.4)`;
+        ctx.strokeStyle = `hsla(${popping.hue}, 50%, 70%, 0.4)`;
         ctx.lineWidth = 1;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        popping.membrane.trace(ctx, popping.x, popping.y, popping.radius);
         ctx.stroke();
+
+        ctx.restore();
     }
 
     /**
-     * Render themed bubble
+     * Draw an absorbed bubble shrinking into the one it merged with
      */
-    renderThemedBubble(ctx) {
-        const theme = this.theme;
-        const colors = theme.colors;
+    renderMerging(merging) {
+        const ctx = this.ctx;
+        const fade = this.renderOptions.fade !== undefined ? this.renderOptions.fade : 1;
+        const progress = Math.min(1, merging.age / BubbleManager.MERGE_DURATION);
+        const ease = progress * (2 - progress); // Fast at first, settling in at the end
 
-        // Main bubble body
-        const gradient = ctx.createRadialGradient(
-            this.x - this.radius * 0.3, this.y - this.radius * 0.3, 0,
-            this.x, this.y, this.radius
+        ctx.save();
+        ctx.globalAlpha = merging.opacity * fade * (1 - progress);
+
+        Bubble.fillBody(
+            ctx,
+            merging.x + (merging.toX - merging.x) * ease,
+            merging.y + (merging.toY - merging.y) * ease,
+            merging.radius * (1 - ease),
+            BubbleManager.getGhostColors(merging)
         );
 
-        // Theme-specific color generation
-        let hsl1, hsl2, hsl3;
-
-        if (theme.shimmer) {
-            // Oil slick - dynamic shifting colors
-            const shimmer = Math.sin(this.shimmerPhase) * 30;
-            hsl1 = `hsla(${this.hue + shimmer}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity})`;
-            hsl2 = `hsla(${(this.hue + 60 + shimmer) % 360}, ${colors.saturation}%, ${colors.lightness + 5}%, ${colors.opacity * 0.7})`;
-            hsl3 = `hsla(${(this.hue + 120 + shimmer) % 360}, ${colors.saturation}%, ${colors.lightness + 10}%, ${colors.opacity * 0.5})`;
-        } else if (theme.sparkle) {
-            // Crystal - clear with sparkles
-            hsl1 = `hsla(${this.hue}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity})`;
-            hsl2 = `hsla(${(this.hue + 20) % 360}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity * 0.6})`;
-            hsl3 = `hsla(${(this.hue + 40) % 360}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity * 0.3})`;
-        } else if (theme.stars) {
-            // Galaxy - deep space colors
-            hsl1 = `hsla(${this.hue}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity})`;
-            hsl2 = `hsla(${(this.hue + 30) % 360}, ${colors.saturation}%, ${colors.lightness + 10}%, ${colors.opacity * 0.8})`;
-            hsl3 = `hsla(${(this.hue + 60) % 360}, ${colors.saturation}%, ${colors.lightness + 20}%, ${colors.opacity * 0.6})`;
-        } else {
-            // Classic soap with theme colors
-            hsl1 = `hsla(${this.hue}, ${colors.saturation}%, ${colors.lightness}%, ${colors.opacity})`;
-            hsl2 = `hsla(${(this.hue + 60) % 360}, ${colors.saturation}%, ${colors.lightness + 5}%, ${colors.opacity * 0.7})`;
-            hsl3 = `hsla(${(this.hue + 120) % 360}, ${colors.saturation}%, ${colors.lightness + 10}%, ${colors.opacity * 0.5})`;
-        }
-
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
-        gradient.addColorStop(0.3, hsl1);
-        gradient.addColorStop(0.6, hsl2);
-        gradient.addColorStop(1, hsl3);
-
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Theme-specific effects
-        if (theme.stars) {
-            this.renderStars(ctx);
-        }
+        ctx.restore();
+    }
 
-        if (theme.sparkle) {
-            this.renderSparkles(ctx);
+    /**
+     * Check collision with point
+     */
+    checkCollision(x, y) {
+        if (!this.spatialIndex) {
+            for (const bubble of this.bubbles) {
+                if (bubble.isAlive && bubble.contains(x, y)) {
+                    return bubble;
+                }
+            }
+            return null;
         }
 
-        // Bubble highlight
-        this.renderHighlight(ctx, theme.highlight);
+        // Stretched soft-body bubbles can reach past their radius
+        const padding = this.softBodies ? this.spatialIndex.maxItemRadius * BubbleMembrane.MAX_OFFSET : 0;
+        const candidates = this.spatialIndex.queryRadius(x, y, padding, this.clearQueryResults());
+        let hit = null;
 
-        // Bubble outline (if enabled)
-        if (theme.outline) {
-            ctx.strokeStyle = `hsla(${this.hue}, 50%, 70%, 0.4)`;
-            ctx.lineWidth = 1;
-            ctx.beginPath();
-            ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-            ctx.stroke();
+        // Match the linear scan: the first bubble in depth order (the largest) wins
+        for (const bubble of candidates) {
+            if (bubble.isAlive && bubble.contains(x, y) &&
+                (!hit || bubble.size > hit.size)) {
+                hit = bubble;
+            }
         }
-    }
-
-    /**
-     * Render highlight effect
-     */
-    renderHighlight(ctx, color) {
-        const highlightGradient = ctx.createRadialGradient(
-            this.x - this.radius * 0.4, this.y - this.radius * 0.4, 0,
-            this.x - this.radius * 0.4, this.y - this.radius * 0.4, this.radius * 0.6
-        );
-        highlightGradient.addColorStop(0, color);
-        highlightGradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
 
-        ctx.fillStyle = highlightGradient;
-        ctx.beginPath();
-        ctx.arc(this.x - this.radius * 0.4, this.y - this.radius * 0.4, this.radius * 0.6, 0, Math.PI * 2);
-        ctx.fill();
+        return hit;
     }
 
     /**
-     * Render stars for galaxy theme
-     */
-    renderStars(ctx) {
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        this.starPositions.forEach(star => {
-            const twinkle = Math.sin(star.twinkle) * 0.3 + 0.7;
-            const starX = this.x + star.x;
-            const starY = this.y + star.y;
-
-            ctx.save();
-            ctx.globalAlpha = twinkle;
-            ctx.beginPath();
-            ctx.arc(starX, starY, star.size, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.restore();
-        });
+     * Get live bubbles overlapping a circle
+     */
+    getBubblesInRadius(x, y, radius) {
+        if (!this.spatialIndex) {
+            return this.bubbles.filter(bubble => {
+                const dx = bubble.x - x;
+                const dy = bubble.y - y;
+                const reach = radius + bubble.radius;
+                return bubble.isAlive && dx * dx + dy * dy <= reach * reach;
+            });
+        }
+
+        return this.spatialIndex.queryRadius(x, y, radius, []).filter(bubble => bubble.isAlive);
     }
 
     /**
-     * Render sparkles for crystal theme
+     * Reuse the scratch array for per-frame point queries
      */
-    renderSparkles(ctx) {
-        const sparkleCount = 6;
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    clearQueryResults() {
+        this.queryResults.length = 0;
+        return this.queryResults;
+    }
 
-        for (let i = 0; i < sparkleCount; i++) {
-            const angle = (i / sparkleCount) * Math.PI * 2 + this.sparkleOffset;
-            const distance = this.radius * 0.7;
-            const sparkleX = this.x + Math.cos(angle) * distance;
-            const sparkleY = this.y + Math.sin(angle) * distance;
-            const sparkleSize = 1 + Math.sin(this.sparkleOffset * 2 + i) * 0.5;
+    /**
+     * Pop a bubble
+     */
+    popBubble(bubble) {
+        bubble.isAlive = false;
 
-            ctx.save();
-            ctx.globalAlpha = Math.abs(Math.sin(this.sparkleOffset + i));
-            ctx.beginPath();
-            ctx.arc(sparkleX, sparkleY, sparkleSize, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.restore();
+        // Soft bodies snap inward for a moment; the bubble takes a fresh membrane when it is reused
+        if (bubble.membrane) {
+            bubble.membrane.pop();
+            this.poppingBubbles.push({
+                x: bubble.x,
+                y: bubble.y,
+                radius: bubble.radius,
+                hue: bubble.hue,
+                theme: bubble.theme,
+                opacity: bubble.opacity,
+                membrane: bubble.membrane,
+                age: 0
+            });
+            bubble.membrane = null;
         }
     }
 
     /**
-     * Check if point collides with bubble
+     * Advance popped soft-body bubbles and drop the ones that have finished collapsing
      */
-    contains(x, y) {
-        const dx = x - this.x;
-        const dy = y - this.y;
-        return Math.sqrt(dx * dx + dy * dy) <= this.radius;
-    }
-}
+    updatePopping(deltaTime) {
+        const dt = Math.min(deltaTime / 16.67, 2);
 
-/**
- * Bubble Manager - Handles bubble lifecycle and object pooling
- */
-class BubbleManager {
-    constructor(ctx, maxBubbles) {
-        this.ctx = ctx;
-        this.maxBubbles = maxBubbles;
-        this.bubbles = [];
-        this.bubblePool = [];
-        this.activeCount = 0;
+        for (let i = this.poppingBubbles.length - 1; i >= 0; i--) {
+            const popping = this.poppingBubbles[i];
+            popping.age += deltaTime;
+
+            if (popping.age >= BubbleManager.POP_DURATION) {
+                this.poppingBubbles.splice(i, 1);
+            } else {
+                popping.membrane.step(dt);
+            }
+        }
     }
 
     /**
-     * Create a new bubble
+     * Merge touching pairs found by the physics engine - the larger bubble absorbs the smaller one
      */
-    createBubble(x, y, size, lifetime, theme = null) {
-        let bubble;
+    mergeBubbles(pairs) {
+        if (pairs.length === 0) return;
 
-        // Use pooled bubble if available
-        if (this.bubblePool.length > 0) {
-            bubble = this.bubblePool.pop();
-            this.resetBubble(bubble, x, y, size, lifetime, theme);
-        } else {
-            bubble = new Bubble(x, y, size, lifetime, theme);
-        }
+        // A bubble can touch several others at once but merges once per frame, so the size cap holds
+        const merged = new Set();
 
-        this.bubbles.push(bubble);
-        this.activeCount++;
-        return bubble;
+        for (const [bubble1, bubble2] of pairs) {
+            if (!bubble1.isAlive || !bubble2.isAlive) continue;
+            if (merged.has(bubble1) || merged.has(bubble2)) continue;
+
+            // Only bubbles of the same type merge, and not ones already queued to pop
+            if ((bubble1.type && bubble1.type.id) !== (bubble2.type && bubble2.type.id)) continue;
+            if (bubble1.chainPending || bubble2.chainPending) continue;
+
+            const [survivor, absorbed] = bubble1.size >= bubble2.size ? [bubble1, bubble2] : [bubble2, bubble1];
+            this.mergeInto(survivor, absorbed);
+            merged.add(survivor);
+        }
     }
 
     /**
-     * Reset a pooled bubble
+     * Combine two bubbles into the first, conserving their volume, and start the merge animation
      */
-    resetBubble(bubble, x, y, size, lifetime, theme = null) {
-        bubble.x = x;
-        bubble.y = y;
-        bubble.size = size;
-        bubble.radius = size / 2;
-        bubble.lifetime = lifetime;
-        bubble.age = 0;
-        bubble.isAlive = true;
-        bubble.opacity = 1;
-        bubble.theme = theme;
+    mergeInto(survivor, absorbed) {
+        const volume1 = survivor.size * survivor.size * survivor.size;
+        const volume2 = absorbed.size * absorbed.size * absorbed.size;
+        const share = volume2 / (volume1 + volume2); // Part of the new bubble that came from the absorbed one
+        const size = Math.cbrt(volume1 + volume2);
+        const growth = size / survivor.size;
+
+        this.mergingBubbles.push({
+            x: absorbed.x,
+            y: absorbed.y,
+            radius: absorbed.radius,
+            hue: absorbed.hue,
+            theme: absorbed.theme,
+            opacity: absorbed.opacity,
+            target: survivor,
+            targetId: survivor.id,
+            toX: survivor.x,
+            toY: survivor.y,
+            age: 0
+        });
 
-        // Initialize with zero velocity - will be set by spawn function
-        bubble.vx = 0;
-        bubble.vy = 0;
-        bubble.wobbleOffset = Math.random() * Math.PI * 2;
-        bubble.hue = theme ? theme.colors.hueBase + (Math.random() - 0.5) * 60 : Math.random() * 360;
+        // The film bulges out on the side the other bubble joined
+        if (survivor.membrane) {
+            survivor.membrane.poke(Math.atan2(absorbed.y - survivor.y, absorbed.x - survivor.x), -BubbleManager.MERGE_BULGE);
+        }
 
-        // Reset theme-specific properties
-        bubble.sparkleOffset = Math.random() * Math.PI * 2;
-        bubble.shimmerPhase = Math.random() * Math.PI * 2;
-        bubble.starPositions = theme && theme.stars ? bubble.generateStarPositions() : [];
+        // Volume stands in for mass: the new bubble sits and moves where the two did on balance
+        survivor.x += (absorbed.x - survivor.x) * share;
+        survivor.y += (absorbed.y - survivor.y) * share;
+        survivor.vx += (absorbed.vx - survivor.vx) * share;
+        survivor.vy += (absorbed.vy - survivor.vy) * share;
+        survivor.hue = BubbleManager.blendHue(survivor.hue, absorbed.hue, share);
+
+        survivor.size = size;
+        survivor.radius = size / 2;
+        survivor.starPositions.forEach(star => {
+            star.x *= growth;
+            star.y *= growth;
+        });
+
+        // Lasts as long as the longer-lived of the two, and keeps the tougher film
+        survivor.lifetime = survivor.age + Math.max(survivor.lifetime - survivor.age, absorbed.lifetime - absorbed.age);
+        survivor.opacity = Math.max(survivor.opacity, absorbed.opacity);
+        survivor.hitsRemaining = Math.max(survivor.hitsRemaining, absorbed.hitsRemaining);
+        survivor.merged += absorbed.merged + 1;
+
+        // Retire the absorbed bubble now, so it is neither drawn nor hit this frame
+        absorbed.isAlive = false;
+        const index = this.bubbles.indexOf(absorbed);
+        if (index !== -1) {
+            this.removeBubble(index);
+        }
+
+        this.updateDepth(survivor);
+        if (this.spatialIndex) {
+            this.spatialIndex.update(survivor);
+        }
+
+        if (this.onMerge) {
+            this.onMerge(survivor, absorbed);
+        }
     }
 
     /**
-     * Update all bubbles
+     * Advance merge animations, following bubbles that keep moving, and drop finished ones
      */
-    update(deltaTime, physicsEngine, speedMultiplier = 1.0) {
-        for (let i = this.bubbles.length - 1; i >= 0; i--) {
-            const bubble = this.bubbles[i];
-            bubble.update(deltaTime, physicsEngine, speedMultiplier);
+    updateMerging(deltaTime) {
+        for (let i = this.mergingBubbles.length - 1; i >= 0; i--) {
+            const merging = this.mergingBubbles[i];
+            merging.age += deltaTime;
+
+            if (merging.age >= BubbleManager.MERGE_DURATION) {
+                this.mergingBubbles.splice(i, 1);
+                continue;
+            }
 
-            // Remove dead bubbles
-            if (!bubble.isAlive) {
-                this.removeBubble(i);
+            // Stay put if the bubble it joined has popped (and maybe been reused) since
+            const target = merging.target;
+            if (target.isAlive && target.id === merging.targetId) {
+                merging.toX = target.x;
+                merging.toY = target.y;
             }
         }
     }
 
     /**
-     * Render all bubbles
+     * Mix two hues the short way round the color wheel (share is the weight of the second)
      */
-    render() {
-        // Sort bubbles by size for proper depth rendering
-        this.bubbles.sort((a, b) => b.size - a.size);
-
-        for (const bubble of this.bubbles) {
-            bubble.render(this.ctx);
-        }
+    static blendHue(hue1, hue2, share) {
+        const delta = (((hue2 - hue1) % 360) + 540) % 360 - 180;
+        return (((hue1 + delta * share) % 360) + 360) % 360;
     }
 
     /**
-     * Check collision with point
+     * Turn soft-body surfaces on or off (off draws and hit-tests every bubble as a circle)
      */
-    checkCollision(x, y) {
+    setSoftBodies(enabled) {
+        this.softBodies = !!enabled && typeof BubbleMembrane !== 'undefined';
+
         for (const bubble of this.bubbles) {
-            if (bubble.isAlive && bubble.contains(x, y)) {
-                return bubble;
-            }
+            bubble.membrane = this.softBodies ? new BubbleMembrane() : null;
+        }
+
+        if (!this.softBodies) {
+            this.poppingBubbles = [];
         }
-        return null;
     }
 
     /**
-     * Pop a bubble
+     * Dent soft-body bubbles near a moving pointer on the side facing it (speed in px/ms, dt in 60fps frames)
      */
-    popBubble(bubble) {
-        bubble.isAlive = false;
+    jiggleNear(x, y, speed, dt = 1) {
+        if (!this.softBodies || speed <= 0) return;
+
+        const reach = BubbleManager.JIGGLE_REACH;
+
+        for (const bubble of this.getBubblesInRadius(x, y, reach)) {
+            if (!bubble.membrane) continue;
+
+            const dx = x - bubble.x;
+            const dy = y - bubble.y;
+            const gap = Math.max(0, Math.sqrt(dx * dx + dy * dy) - bubble.radius);
+            const strength = Math.min(speed, 2) * (1 - gap / reach) * BubbleManager.JIGGLE_STRENGTH * dt;
+
+            bubble.membrane.poke(Math.atan2(dy, dx), strength);
+        }
     }
 
     /**
@@ -1630,10 +4243,45 @@ class BubbleManager {
      */
     removeBubble(index) {
         const bubble = this.bubbles.splice(index, 1)[0];
+        if (this.spatialIndex) {
+            this.spatialIndex.remove(bubble);
+        }
         this.bubblePool.push(bubble);
         this.activeCount--;
     }
 
+    /**
+     * Forget pointers that lifted or moved off a bubble, so their next touch counts as a new hit
+     */
+    releaseContacts(pointers) {
+        for (const bubble of this.bubbles) {
+            if (bubble.contacts.size === 0) continue;
+
+            for (const id of bubble.contacts) {
+                const pointer = pointers.get(id);
+                const touching = pointer && (pointer.type === 'mouse' || pointer.isDown) &&
+                                 bubble.contains(pointer.x, pointer.y);
+                if (!touching) {
+                    bubble.contacts.delete(id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove every bubble and empty the pool (pooled bubbles keep some state from their last life)
+     */
+    clear() {
+        this.bubbles = [];
+        this.bubblePool = [];
+        this.poppingBubbles = [];
+        this.mergingBubbles = [];
+        this.activeCount = 0;
+        if (this.spatialIndex) {
+            this.spatialIndex.clear();
+        }
+    }
+
     /**
      * Get active bubble count
      */
@@ -1642,8 +4290,20 @@ class BubbleManager {
     }
 }
 
+// ms a popped soft-body bubble takes to snap inward and fade
+BubbleManager.POP_DURATION = 150;
+
+// px beyond a bubble's edge where a moving pointer makes it jiggle, and the poke per px/ms of pointer speed
+BubbleManager.JIGGLE_REACH = 60;
+BubbleManager.JIGGLE_STRENGTH = 0.05;
+
+// ms an absorbed bubble takes to slide into the one it merged with, and how far the film bulges as it joins
+BubbleManager.MERGE_DURATION = 250;
+BubbleManager.MERGE_BULGE = 0.08;
+
 /**
- * Input Handler - Manages mouse and touch interactions
+ * Input Handler - Manages mouse, touch and pen interactions
+ * Tracks every active pointer by id so several fingers can pop bubbles at once
  */
 class InputHandler {
     constructor(canvas) {
@@ -1652,69 +4312,296 @@ class InputHandler {
         this.mouseY = 0;
         this.isMouseDown = false;
         this.onBubbleHover = null;
-        this.isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        this.onPointerCountChange = null;
+        this.onPointerInput = null; // Sees every pointer event, used by the session recorder
+        this.isTouchDevice = typeof window !== 'undefined' &&
+                            ('ontouchstart' in window || navigator.maxTouchPoints > 0);
         this.touchActive = false;
 
-        this.setupEventListeners();
+        // Active pointers keyed by pointerId (or touch identifier in the fallback path)
+        this.pointers = new Map();
+        this.usePointerEvents = typeof window !== 'undefined' && typeof window.PointerEvent !== 'undefined';
+
+        // Without a canvas (headless simulation) input is injected through pointerDown/Move/Up
+        if (this.canvas) {
+            this.setupEventListeners();
+        }
     }
 
     setupEventListeners() {
+        if (this.usePointerEvents) {
+            this.setupPointerListeners();
+        } else {
+            this.setupLegacyListeners();
+        }
+    }
+
+    /**
+     * Pointer Events path - mouse, pen and touch share one set of handlers
+     */
+    setupPointerListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+
+            // Keep receiving moves for this finger even if it slides off the canvas
+            if (e.pointerType !== 'mouse' && this.canvas.setPointerCapture) {
+                try {
+                    this.canvas.setPointerCapture(e.pointerId);
+                } catch (error) {
+                    // Capture can fail if the pointer is already gone
+                }
+            }
+
+            const point = this.toCanvasPoint(e.clientX, e.clientY);
+            this.pointerDown(e.pointerId, e.pointerType, point.x, point.y);
+        }, { passive: false });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            // Browsers batch high-frequency moves; replay them so fast swipes don't skip bubbles
+            const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+            const samples = events.length > 0 ? events : [e];
+
+            for (const sample of samples) {
+                const point = this.toCanvasPoint(sample.clientX, sample.clientY);
+                this.pointerMove(e.pointerId, e.pointerType, point.x, point.y);
+            }
+        }, { passive: true });
+
+        const endPointer = (e) => {
+            this.pointerUp(e.pointerId, e.pointerType);
+        };
+
+        this.canvas.addEventListener('pointerup', endPointer, { passive: true });
+        this.canvas.addEventListener('pointercancel', endPointer, { passive: true });
+
+        // Mouse leaving the canvas stops hover popping
+        this.canvas.addEventListener('pointerleave', (e) => {
+            if (e.pointerType === 'mouse') {
+                this.pointerLeave(e.pointerId);
+            }
+        }, { passive: true });
+    }
+
+    /**
+     * Fallback for browsers without Pointer Events - every changed touch is tracked by identifier
+     */
+    setupLegacyListeners() {
         // Mouse events (only for non-touch devices)
         if (!this.isTouchDevice) {
             this.canvas.addEventListener('mousemove', (e) => {
-                this.updateMousePosition(e);
+                const point = this.toCanvasPoint(e.clientX, e.clientY);
+                this.pointerMove('mouse', 'mouse', point.x, point.y);
+            }, { passive: true });
+
+            this.canvas.addEventListener('mouseleave', () => {
+                this.pointerLeave('mouse');
             }, { passive: true });
         }
 
         // Touch events for mobile - only trigger on actual touch
         this.canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            if (e.touches.length > 0) {
-                this.touchActive = true;
-                this.updateTouchPosition(e.touches[0]);
-                // Immediately check for bubble interaction on touch
-                if (this.onBubbleHover) {
-                    this.onBubbleHover(this.mouseX, this.mouseY);
-                }
+            for (const touch of Array.from(e.changedTouches)) {
+                const point = this.toCanvasPoint(touch.clientX, touch.clientY);
+                this.pointerDown(touch.identifier, 'touch', point.x, point.y);
             }
         }, { passive: false });
 
-        this.canvas.addEventListener('touchend', (e) => {
+        const endTouches = (e) => {
             e.preventDefault();
-            this.touchActive = false;
-            // Clear position to prevent persistent hover
-            this.mouseX = -1000;
-            this.mouseY = -1000;
-        }, { passive: false });
+            for (const touch of Array.from(e.changedTouches)) {
+                this.pointerUp(touch.identifier, 'touch');
+            }
+        };
+
+        this.canvas.addEventListener('touchend', endTouches, { passive: false });
+        this.canvas.addEventListener('touchcancel', endTouches, { passive: false });
 
         this.canvas.addEventListener('touchmove', (e) => {
             e.preventDefault();
-            if (e.touches.length > 0 && this.touchActive) {
-                this.updateTouchPosition(e.touches[0]);
+            for (const touch of Array.from(e.changedTouches)) {
                 // Check for bubble interaction during touch move
-                if (this.onBubbleHover) {
-                    this.onBubbleHover(this.mouseX, this.mouseY);
-                }
+                const point = this.toCanvasPoint(touch.clientX, touch.clientY);
+                this.pointerMove(touch.identifier, 'touch', point.x, point.y);
             }
         }, { passive: false });
     }
 
-    updateMousePosition(e) {
+    /**
+     * Convert client coordinates to canvas coordinates
+     */
+    toCanvasPoint(clientX, clientY) {
         const rect = this.canvas.getBoundingClientRect();
-        this.mouseX = e.clientX - rect.left;
-        this.mouseY = e.clientY - rect.top;
+        return {
+            x: clientX - rect.left,
+            y: clientY - rect.top
+        };
     }
 
-    updateTouchPosition(touch) {
-        const rect = this.canvas.getBoundingClientRect();
-        this.mouseX = touch.clientX - rect.left;
-        this.mouseY = touch.clientY - rect.top;
+    /**
+     * Pointer pressed at canvas coordinates - touch and pen pop immediately on contact
+     */
+    pointerDown(id, type, x, y) {
+        this.notifyPointerInput('down', id, type, x, y);
+        const pointer = this.updatePointer(id, type, x, y);
+        pointer.isDown = true;
+
+        if (type === 'mouse') {
+            this.isMouseDown = true;
+        } else {
+            this.touchActive = true;
+        }
+
+        this.triggerInteraction(pointer, true);
+        return pointer;
     }
 
-    update() {
-        // Trigger hover check for bubble popping (only on desktop, not touch devices)
-        if (this.onBubbleHover && !this.isTouchDevice) {
-            this.onBubbleHover(this.mouseX, this.mouseY);
+    /**
+     * Pointer moved to canvas coordinates
+     */
+    pointerMove(id, type, x, y) {
+        this.notifyPointerInput('move', id, type, x, y);
+        const pointer = this.updatePointer(id, type, x, y);
+
+        // Mouse hover is checked every frame in update(); touch/pen pop while in contact
+        if (pointer.type !== 'mouse' && pointer.isDown) {
+            this.triggerInteraction(pointer);
+        }
+
+        return pointer;
+    }
+
+    /**
+     * Pointer released - a mouse keeps hovering, touch and pen contacts end
+     */
+    pointerUp(id, type) {
+        this.notifyPointerInput('up', id, type);
+
+        if (type === 'mouse') {
+            this.isMouseDown = false;
+            const pointer = this.pointers.get(id);
+            if (pointer) {
+                pointer.isDown = false;
+            }
+            return;
+        }
+
+        this.removePointer(id);
+        this.touchActive = this.hasActiveContacts();
+    }
+
+    /**
+     * Mouse left the canvas
+     */
+    pointerLeave(id) {
+        this.notifyPointerInput('leave', id, 'mouse');
+        this.removePointer(id);
+        this.isMouseDown = false;
+    }
+
+    /**
+     * Create or update a tracked pointer at canvas coordinates
+     */
+    updatePointer(id, type, x, y) {
+        let pointer = this.pointers.get(id);
+
+        if (!pointer) {
+            // lastX/lastY are where the pointer was at the last update(), for its velocity
+            pointer = { id, type, x, y, isDown: false, vx: 0, vy: 0, lastX: x, lastY: y };
+            this.pointers.set(id, pointer);
+            this.notifyPointerCount();
+        }
+
+        pointer.type = type;
+        pointer.x = x;
+        pointer.y = y;
+
+        // Keep the single-pointer fields for code that only needs the latest position
+        this.mouseX = pointer.x;
+        this.mouseY = pointer.y;
+
+        return pointer;
+    }
+
+    /**
+     * Stop tracking a pointer
+     */
+    removePointer(id) {
+        if (this.pointers.delete(id)) {
+            this.notifyPointerCount();
+        }
+
+        if (this.pointers.size === 0) {
+            // Clear position to prevent persistent hover
+            this.mouseX = -1000;
+            this.mouseY = -1000;
+        }
+    }
+
+    /**
+     * Pop check for a single pointer (isPress for the moment a touch lands or a mouse button goes down)
+     */
+    triggerInteraction(pointer, isPress = false) {
+        if (this.onBubbleHover) {
+            this.onBubbleHover(pointer.x, pointer.y, pointer.id, isPress);
+        }
+    }
+
+    /**
+     * Whether any touch or pen contact is still down
+     */
+    hasActiveContacts() {
+        for (const pointer of this.pointers.values()) {
+            if (pointer.type !== 'mouse' && pointer.isDown) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    notifyPointerInput(kind, id, type, x, y) {
+        if (this.onPointerInput) {
+            this.onPointerInput(kind, id, type, x, y);
+        }
+    }
+
+    notifyPointerCount() {
+        if (this.onPointerCountChange) {
+            this.onPointerCountChange(this.getPointerCount());
+        }
+    }
+
+    /**
+     * Number of tracked pointers (hovering mouse plus every touch/pen contact)
+     */
+    getPointerCount() {
+        return this.pointers.size;
+    }
+
+    /**
+     * Snapshot of tracked pointers, for multi-finger gestures
+     */
+    getActivePointers() {
+        return Array.from(this.pointers.values()).map(pointer => ({ ...pointer }));
+    }
+
+    /**
+     * Measure pointer velocities over the last step and check mouse hover
+     */
+    update(deltaTime = 0) {
+        for (const pointer of this.pointers.values()) {
+            // Velocity in px/ms, measured per simulation step so replays see the same speeds
+            if (deltaTime > 0) {
+                pointer.vx = (pointer.x - pointer.lastX) / deltaTime;
+                pointer.vy = (pointer.y - pointer.lastY) / deltaTime;
+            }
+            pointer.lastX = pointer.x;
+            pointer.lastY = pointer.y;
+
+            // Trigger hover check for bubble popping (mouse only - touch pops on contact and move)
+            if (pointer.type === 'mouse') {
+                this.triggerInteraction(pointer);
+            }
         }
     }
 }
@@ -1734,6 +4621,9 @@ class PerformanceMonitor {
         // Performance tracking
         this.frameTimes = [];
         this.maxFrameTimeHistory = 60;
+
+        // Quality governor that reacts to each performance sample
+        this.qualityGovernor = null;
     }
 
     frameStart() {
@@ -1765,7 +4655,9 @@ class PerformanceMonitor {
     }
 
     checkPerformance() {
-        if (this.currentFPS < this.targetFPS * 0.8) {
+        if (this.qualityGovernor) {
+            this.qualityGovernor.evaluate(this.getAverageFrameTime(), this.currentFPS);
+        } else if (this.currentFPS < this.targetFPS * 0.8) {
             console.warn(`Low FPS detected: ${this.currentFPS}. Consider reducing quality.`);
         }
     }
@@ -1782,4 +4674,12 @@ class PerformanceMonitor {
     toggleDebugMode() {
         this.debugMode = !this.debugMode;
     }
-}
\ No newline at end of file
+}
+
+// Plugins added with BubbleGame.registerPlugin, installed into each new game
+BubbleGame.plugins = [];
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BubbleGame, Bubble, BubbleManager, InputHandler, PerformanceMonitor };
+}
@@ -0,0 +1,241 @@
+/**
+ * Bubble Types for Soap Bubbles
+ * Data-driven registry of bubble types - each type sets its spawn weight, look, pop behavior and score
+ * New types are added with registry.register({ id, weight, ... }); spawning picks from the registry
+ *
+ * Type fields:
+ *   weight     - relative spawn chance (0 = never spawned randomly)
+ *   score      - pops added to the counter when popped
+ *   hits       - separate touches needed to pop
+ *   sizeScale  - multiplier on the spawn size
+ *   render(ctx, bubble, options) - drawn over the themed bubble
+ *   onHit(bubble, game)          - a touch that didn't pop it yet
+ *   onPop(bubble, game)          - extra pop behavior
+ */
+
+class BubbleTypeRegistry {
+    constructor() {
+        this.types = new Map();
+        this.totalWeight = 0;
+    }
+
+    /**
+     * Add or replace a bubble type
+     */
+    register(definition) {
+        if (!definition || !definition.id) {
+            console.warn('Bubble type needs an id:', definition);
+            return null;
+        }
+
+        const type = { ...BubbleTypeRegistry.TYPE_DEFAULTS, ...definition };
+        type.hits = Math.max(1, Math.floor(type.hits));
+        type.weight = Math.max(0, type.weight);
+
+        this.types.set(type.id, type);
+        this.updateTotalWeight();
+        return type;
+    }
+
+    /**
+     * Remove a bubble type (the normal type always stays)
+     */
+    unregister(id) {
+        if (id === BubbleTypeRegistry.DEFAULT_TYPE_ID) {
+            console.warn('The normal bubble type cannot be removed');
+            return false;
+        }
+
+        const removed = this.types.delete(id);
+        this.updateTotalWeight();
+        return removed;
+    }
+
+    updateTotalWeight() {
+        this.totalWeight = 0;
+        for (const type of this.types.values()) {
+            this.totalWeight += type.weight;
+        }
+    }
+
+    /**
+     * Get a type by id, falling back to the normal type
+     */
+    get(id) {
+        return this.types.get(id) || this.types.get(BubbleTypeRegistry.DEFAULT_TYPE_ID);
+    }
+
+    /**
+     * Pick a type at random by spawn weight
+     */
+    pick(random) {
+        let roll = random.next() * this.totalWeight;
+
+        for (const type of this.types.values()) {
+            if (type.weight <= 0) continue;
+
+            roll -= type.weight;
+            if (roll < 0) {
+                return type;
+            }
+        }
+
+        return this.get(BubbleTypeRegistry.DEFAULT_TYPE_ID);
+    }
+
+    /**
+     * Get every registered type
+     */
+    getAll() {
+        return Array.from(this.types.values());
+    }
+
+    /**
+     * Registry with the built-in types
+     */
+    static createDefault() {
+        const registry = new BubbleTypeRegistry();
+        BubbleTypeRegistry.BUILT_IN_TYPES.forEach(type => registry.register(type));
+        return registry;
+    }
+}
+
+BubbleTypeRegistry.DEFAULT_TYPE_ID = 'normal';
+
+BubbleTypeRegistry.TYPE_DEFAULTS = {
+    name: '',
+    weight: 0,
+    score: 1,
+    hits: 1,
+    sizeScale: 1,
+    render: null,
+    onHit: null,
+    onPop: null
+};
+
+BubbleTypeRegistry.BUILT_IN_TYPES = [
+    {
+        id: 'normal',
+        name: 'Soap Bubble',
+        weight: 87
+    },
+    {
+        // Rare bubble worth bonus pops
+        id: 'golden',
+        name: 'Golden Bubble',
+        weight: 2,
+        score: 5,
+        sizeScale: 0.8,
+        render(ctx, bubble) {
+            // Warm glow over the theme colors
+            const glow = ctx.createRadialGradient(
+                bubble.x, bubble.y, bubble.radius * 0.2,
+                bubble.x, bubble.y, bubble.radius
+            );
+            glow.addColorStop(0, 'rgba(255, 235, 150, 0.05)');
+            glow.addColorStop(0.8, 'rgba(255, 215, 0, 0.25)');
+            glow.addColorStop(1, 'rgba(255, 190, 0, 0.45)');
+
+            ctx.fillStyle = glow;
+            ctx.beginPath();
+            ctx.arc(bubble.x, bubble.y, bubble.radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.strokeStyle = 'rgba(255, 200, 40, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(bubble.x, bubble.y, bubble.radius, 0, Math.PI * 2);
+            ctx.stroke();
+        },
+        onPop(bubble, game) {
+            // Extra shower of droplets
+            if (game.particleSystem) {
+                game.particleSystem.createSplashEffect(bubble.x, bubble.y, 1.5);
+            }
+        }
+    },
+    {
+        // Splits into smaller bubbles when popped
+        id: 'cluster',
+        name: 'Cluster Bubble',
+        weight: 5,
+        sizeScale: 1.2,
+        childCount: 3,
+        childScale: 0.45,
+        render(ctx, bubble) {
+            // Hint at the bubbles inside
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.lineWidth = 1;
+
+            for (let i = 0; i < 3; i++) {
+                const angle = (i / 3) * Math.PI * 2 + bubble.wobbleOffset;
+                const distance = bubble.radius * 0.4;
+
+                ctx.beginPath();
+                ctx.arc(
+                    bubble.x + Math.cos(angle) * distance,
+                    bubble.y + Math.sin(angle) * distance,
+                    bubble.radius * 0.25, 0, Math.PI * 2
+                );
+                ctx.stroke();
+            }
+        },
+        onPop(bubble, game) {
+            const childSize = Math.max(40, bubble.size * this.childScale);
+            const normal = game.bubbleTypes ? game.bubbleTypes.get(BubbleTypeRegistry.DEFAULT_TYPE_ID) : null;
+
+            for (let i = 0; i < this.childCount; i++) {
+                const angle = (i / this.childCount) * Math.PI * 2 + game.random.next() * 0.5;
+                const offset = bubble.radius * 0.4;
+                const lifetime = game.config.bubbleLifetime * 0.5;
+
+                const child = game.bubbleManager.createBubble(
+                    bubble.x + Math.cos(angle) * offset,
+                    bubble.y + Math.sin(angle) * offset,
+                    childSize, lifetime, bubble.theme, normal
+                );
+
+                // Drift apart gently
+                child.vx = bubble.vx + Math.cos(angle) * 0.4;
+                child.vy = bubble.vy + Math.sin(angle) * 0.4;
+            }
+        }
+    },
+    {
+        // Thick film that takes two touches
+        id: 'tough',
+        name: 'Tough Bubble',
+        weight: 6,
+        score: 2,
+        hits: 2,
+        render(ctx, bubble) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = bubble.hitsRemaining > 1 ? 4 : 2;
+            ctx.beginPath();
+            ctx.arc(bubble.x, bubble.y, bubble.radius - 2, 0, Math.PI * 2);
+            ctx.stroke();
+
+            // Cracks once it has been hit
+            if (bubble.hitsRemaining < bubble.type.hits) {
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                for (let i = 0; i < 4; i++) {
+                    const angle = (i / 4) * Math.PI * 2 + bubble.wobbleOffset;
+                    ctx.moveTo(bubble.x + Math.cos(angle) * bubble.radius * 0.3, bubble.y + Math.sin(angle) * bubble.radius * 0.3);
+                    ctx.lineTo(bubble.x + Math.cos(angle + 0.2) * bubble.radius, bubble.y + Math.sin(angle + 0.2) * bubble.radius);
+                }
+                ctx.stroke();
+            }
+        },
+        onHit(bubble, game) {
+            if (game.particleSystem) {
+                game.particleSystem.createSplashEffect(bubble.x, bubble.y, 0.5);
+            }
+        }
+    }
+];
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BubbleTypeRegistry };
+}
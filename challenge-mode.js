@@ -0,0 +1,311 @@
+/**
+ * Challenge Mode for Soap Bubbles
+ * Timed rounds (30/60/120 seconds) and a local top-10 leaderboard per round length and density
+ * Rounds played with chain reactions or merging (which multiply the score) get boards of their own
+ * Round time is counted in simulation steps, so pausing (hidden tab) pauses the clock
+ */
+
+class ChallengeMode {
+    constructor() {
+        this.duration = 0; // Round length in seconds
+        this.density = 0; // Density level the round started at (its leaderboard)
+        this.modifiers = { chainReactions: false, merging: false }; // Score-boosting settings used this round
+        this.elapsed = 0; // ms played this round
+        this.active = false;
+
+        // Round stats
+        this.pops = 0;
+        this.bubblesPopped = 0;
+        this.currentCombo = 0;
+        this.bestCombo = 0;
+        this.lastPopTime = -Infinity;
+        this.comboWindow = 800; // ms between pops that keeps a combo going
+    }
+
+    /**
+     * Start a round (at a density level and with the score-boosting settings on, which pick the leaderboard it goes on)
+     */
+    start(durationSeconds, density = 0, modifiers = {}) {
+        if (!ChallengeMode.DURATIONS.includes(durationSeconds)) {
+            console.warn(`Unsupported challenge length: ${durationSeconds}s`);
+            return false;
+        }
+
+        this.duration = durationSeconds;
+        this.density = density;
+        this.modifiers = {
+            chainReactions: !!modifiers.chainReactions,
+            merging: !!modifiers.merging
+        };
+        this.elapsed = 0;
+        this.active = true;
+        this.pops = 0;
+        this.bubblesPopped = 0;
+        this.currentCombo = 0;
+        this.bestCombo = 0;
+        this.lastPopTime = -Infinity;
+
+        console.log(`Challenge started: ${durationSeconds}s`);
+        return true;
+    }
+
+    /**
+     * A score-boosting setting was switched on mid-round - the round counts as played with it
+     */
+    useModifier(name) {
+        if (this.active && name in this.modifiers) {
+            this.modifiers[name] = true;
+        }
+    }
+
+    /**
+     * Abandon the current round without a result
+     */
+    cancel() {
+        this.active = false;
+    }
+
+    /**
+     * Advance the round clock; returns the summary on the step the round ends
+     */
+    update(deltaTime) {
+        if (!this.active) return null;
+
+        this.elapsed += deltaTime;
+
+        if (this.elapsed >= this.duration * 1000) {
+            this.elapsed = this.duration * 1000;
+            this.active = false;
+
+            const summary = this.getSummary();
+            console.log(`Challenge finished: ${summary.pops} pops (${summary.popsPerMinute}/min, best combo x${summary.bestCombo})`);
+            return summary;
+        }
+
+        return null;
+    }
+
+    /**
+     * Count a pop (points can be more than 1 for special bubbles and chain links)
+     * Pops that follow each other within the combo window build a combo
+     */
+    recordPop(points = 1) {
+        if (!this.active) return;
+
+        this.pops += points;
+        this.bubblesPopped++;
+
+        if (this.elapsed - this.lastPopTime <= this.comboWindow) {
+            this.currentCombo++;
+        } else {
+            this.currentCombo = 1;
+        }
+
+        this.lastPopTime = this.elapsed;
+        this.bestCombo = Math.max(this.bestCombo, this.currentCombo);
+    }
+
+    /**
+     * Whether a round is being played
+     */
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * ms left in the round
+     */
+    getTimeLeft() {
+        return Math.max(0, this.duration * 1000 - this.elapsed);
+    }
+
+    /**
+     * Round results
+     */
+    getSummary() {
+        const minutes = Math.max(this.elapsed, 1) / 60000;
+
+        return {
+            duration: this.duration,
+            density: this.density,
+            modifiers: { ...this.modifiers },
+            pops: this.pops,
+            bubblesPopped: this.bubblesPopped,
+            popsPerMinute: Math.round(this.pops / minutes),
+            bestCombo: this.bestCombo
+        };
+    }
+
+    /**
+     * Get round status for debugging and the headless API
+     */
+    getStatus() {
+        return {
+            active: this.active,
+            duration: this.duration,
+            timeLeft: this.getTimeLeft(),
+            ...this.getSummary()
+        };
+    }
+
+    /**
+     * Format ms as m:ss for the countdown
+     */
+    static formatTime(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+    }
+}
+
+// Round lengths offered on the start screen (seconds)
+ChallengeMode.DURATIONS = [30, 60, 120];
+
+/**
+ * Local leaderboard - top results per round length, density level and score-boosting settings
+ * Uses the same storage backends as the settings store
+ */
+class ChallengeLeaderboard {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'bubblebreak-leaderboard';
+        this.backend = options.backend || (typeof SettingsStore !== 'undefined' ? SettingsStore.getSharedBackend() : null);
+        this.boards = null;
+    }
+
+    /**
+     * Board key for a round length, density level and score-boosting settings
+     */
+    static boardKey(duration, density, modifiers = {}) {
+        const chain = modifiers.chainReactions ? '-chain' : '';
+        const merge = modifiers.merging ? '-merge' : '';
+        return `${duration}s-density${density}${chain}${merge}`;
+    }
+
+    /**
+     * Words for a board's score-boosting settings (' with chain reactions', or '' for none)
+     */
+    static describeModifiers(modifiers = {}) {
+        const names = [];
+        if (modifiers.chainReactions) names.push('chain reactions');
+        if (modifiers.merging) names.push('merging');
+        return names.length > 0 ? ` with ${names.join(' and ')}` : '';
+    }
+
+    /**
+     * Load boards from storage, dropping anything malformed
+     */
+    load() {
+        this.boards = {};
+
+        try {
+            const raw = this.backend ? this.backend.read(this.storageKey) : null;
+            if (!raw) return this.boards;
+
+            const payload = JSON.parse(raw);
+            if (payload.version !== ChallengeLeaderboard.FORMAT_VERSION) {
+                console.warn(`Leaderboard saved in an unknown format (${payload.version}), starting fresh`);
+                return this.boards;
+            }
+
+            Object.keys(payload.boards || {}).forEach(key => {
+                const entries = payload.boards[key];
+                if (Array.isArray(entries)) {
+                    this.boards[key] = entries
+                        .filter(entry => entry && typeof entry.pops === 'number')
+                        .slice(0, ChallengeLeaderboard.MAX_ENTRIES);
+                }
+            });
+        } catch (error) {
+            console.warn('Leaderboard could not be read, starting fresh:', error);
+            this.boards = {};
+        }
+
+        return this.boards;
+    }
+
+    /**
+     * Write boards to storage
+     */
+    save() {
+        if (!this.backend) return;
+
+        const payload = JSON.stringify({
+            version: ChallengeLeaderboard.FORMAT_VERSION,
+            boards: this.boards
+        });
+
+        try {
+            this.backend.write(this.storageKey, payload);
+        } catch (error) {
+            console.warn('Failed to save leaderboard:', error);
+        }
+    }
+
+    /**
+     * Top entries for a round length, density and score-boosting settings, best first
+     */
+    getEntries(duration, density, modifiers = {}) {
+        if (!this.boards) {
+            this.load();
+        }
+        return (this.boards[ChallengeLeaderboard.boardKey(duration, density, modifiers)] || []).slice();
+    }
+
+    /**
+     * Add a round result; returns its rank (1-10), or 0 if it didn't make the board
+     */
+    submit(summary, density, date = new Date()) {
+        if (!this.boards) {
+            this.load();
+        }
+
+        const key = ChallengeLeaderboard.boardKey(summary.duration, density, summary.modifiers);
+        const entries = this.boards[key] || [];
+        const entry = {
+            pops: summary.pops,
+            popsPerMinute: summary.popsPerMinute,
+            bestCombo: summary.bestCombo,
+            date: date.toISOString()
+        };
+
+        // Ties keep the earlier result ahead
+        let index = entries.findIndex(existing => entry.pops > existing.pops);
+        if (index === -1) {
+            index = entries.length;
+        }
+
+        if (index >= ChallengeLeaderboard.MAX_ENTRIES) {
+            return 0;
+        }
+
+        entries.splice(index, 0, entry);
+        this.boards[key] = entries.slice(0, ChallengeLeaderboard.MAX_ENTRIES);
+        this.save();
+
+        return index + 1;
+    }
+
+    /**
+     * Remove every result
+     */
+    clear() {
+        this.boards = {};
+
+        try {
+            if (this.backend) {
+                this.backend.remove(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Failed to clear leaderboard:', error);
+        }
+    }
+}
+
+ChallengeLeaderboard.FORMAT_VERSION = 1;
+ChallengeLeaderboard.MAX_ENTRIES = 10;
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChallengeMode, ChallengeLeaderboard };
+}
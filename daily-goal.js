@@ -0,0 +1,269 @@
+/**
+ * Daily Goal for Soap Bubbles
+ * Optional goal for each day (a number of pops or minutes of breaks) and a streak of days it was met
+ * Days follow the player's local calendar in their current time zone; everything is stored locally
+ */
+
+class DailyGoal {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'bubblebreak-goal';
+        this.backend = options.backend || (typeof SettingsStore !== 'undefined' ? SettingsStore.getSharedBackend() : null);
+        this.now = options.now || (() => Date.now());
+        this.timeZone = options.timeZone || undefined; // undefined = the browser's zone
+
+        this.goal = null; // { type: 'pops' | 'minutes', target }
+
+        // Today's progress
+        this.day = null; // YYYY-MM-DD
+        this.pops = 0;
+        this.playTime = 0; // ms
+        this.completed = false;
+
+        // Streak of days the goal was met
+        this.currentStreak = 0;
+        this.longestStreak = 0;
+        this.lastCompletedDay = null;
+
+        this.unsavedPlayTime = 0;
+    }
+
+    /**
+     * Parse a goal setting ('off', 'pops:200', 'minutes:5'); null when off or invalid
+     */
+    static parse(value) {
+        const match = /^(pops|minutes):(\d+)$/.exec(String(value));
+        if (!match || parseInt(match[2], 10) <= 0) return null;
+
+        return { type: match[1], target: parseInt(match[2], 10) };
+    }
+
+    /**
+     * Calendar day (YYYY-MM-DD) of a timestamp in a time zone
+     */
+    static dayKey(timestamp, timeZone) {
+        // Formatters are slow to create and this runs every frame, so keep one per zone
+        const zoneKey = timeZone || 'local';
+        let formatter = DailyGoal.dayFormatters.get(zoneKey);
+
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit'
+            });
+            DailyGoal.dayFormatters.set(zoneKey, formatter);
+        }
+
+        // Built from the parts, as the order and separators of formatted dates vary between ICU versions
+        const parts = {};
+        formatter.formatToParts(new Date(timestamp)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
+    /**
+     * The calendar day before a day key
+     */
+    static previousDay(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Restore progress and streak from storage
+     */
+    load() {
+        try {
+            const raw = this.backend ? this.backend.read(this.storageKey) : null;
+            if (raw) {
+                const payload = JSON.parse(raw);
+
+                if (payload.version === DailyGoal.FORMAT_VERSION) {
+                    this.day = typeof payload.day === 'string' ? payload.day : null;
+                    this.pops = Math.max(0, Number(payload.pops) || 0);
+                    this.playTime = Math.max(0, Number(payload.playTime) || 0);
+                    this.completed = !!payload.completed;
+                    this.currentStreak = Math.max(0, Number(payload.currentStreak) || 0);
+                    this.longestStreak = Math.max(0, Number(payload.longestStreak) || 0);
+                    this.lastCompletedDay = typeof payload.lastCompletedDay === 'string' ? payload.lastCompletedDay : null;
+                } else {
+                    console.warn(`Daily goal saved in an unknown format (${payload.version}), starting fresh`);
+                }
+            }
+        } catch (error) {
+            console.warn('Daily goal could not be read, starting fresh:', error);
+        }
+
+        this.rollover();
+        return this.getStatus();
+    }
+
+    /**
+     * Write progress and streak to storage
+     */
+    save() {
+        this.unsavedPlayTime = 0;
+        if (!this.backend) return;
+
+        const payload = JSON.stringify({
+            version: DailyGoal.FORMAT_VERSION,
+            day: this.day,
+            pops: this.pops,
+            playTime: Math.round(this.playTime),
+            completed: this.completed,
+            currentStreak: this.currentStreak,
+            longestStreak: this.longestStreak,
+            lastCompletedDay: this.lastCompletedDay
+        });
+
+        try {
+            this.backend.write(this.storageKey, payload);
+        } catch (error) {
+            console.warn('Failed to save daily goal:', error);
+        }
+    }
+
+    /**
+     * Set the goal from a setting value ('off', 'pops:200', 'minutes:5')
+     * Progress made today counts towards the new goal, but isn't celebrated until the next pop or minute
+     */
+    setGoal(value) {
+        this.goal = DailyGoal.parse(value);
+    }
+
+    /**
+     * Whether a goal is set
+     */
+    isEnabled() {
+        return this.goal !== null;
+    }
+
+    /**
+     * Start a fresh day's progress when the local date changes
+     */
+    rollover() {
+        const today = DailyGoal.dayKey(this.now(), this.timeZone);
+        if (this.day === today) return;
+
+        this.day = today;
+        this.pops = 0;
+        this.playTime = 0;
+        this.completed = false;
+        this.save();
+    }
+
+    /**
+     * Count pops; returns true when this completes today's goal
+     * Saved with play time every few seconds (and by the game when the page is hidden), not on every pop
+     */
+    recordPop(amount = 1) {
+        this.rollover();
+        this.pops += amount;
+
+        return this.checkCompletion();
+    }
+
+    /**
+     * Count time spent playing; returns true when this completes today's goal
+     */
+    addPlayTime(ms) {
+        this.rollover();
+        this.playTime += ms;
+        this.unsavedPlayTime += ms;
+
+        if (this.checkCompletion()) return true;
+
+        // Saving every frame would be wasteful, a few seconds lost on close is fine
+        if (this.unsavedPlayTime >= DailyGoal.SAVE_INTERVAL) {
+            this.save();
+        }
+        return false;
+    }
+
+    /**
+     * Mark today complete and extend the streak once the goal is reached
+     */
+    checkCompletion() {
+        if (!this.goal || this.completed || this.getProgress() < 1) {
+            return false;
+        }
+
+        this.completed = true;
+        this.currentStreak = this.lastCompletedDay === DailyGoal.previousDay(this.day) ? this.currentStreak + 1 : 1;
+        this.longestStreak = Math.max(this.longestStreak, this.currentStreak);
+        this.lastCompletedDay = this.day;
+        this.save();
+
+        console.log(`Daily goal reached! Streak: ${this.currentStreak} days`);
+        return true;
+    }
+
+    /**
+     * 0-1 progress towards today's goal
+     */
+    getProgress() {
+        if (!this.goal) return 0;
+        return Math.min(1, this.getProgressValue() / this.goal.target);
+    }
+
+    /**
+     * Pops or whole minutes done today, in the goal's unit
+     */
+    getProgressValue() {
+        if (!this.goal) return 0;
+        return this.goal.type === 'pops' ? this.pops : Math.floor(this.playTime / 60000);
+    }
+
+    /**
+     * Progress for the HUD, e.g. '120/200' or '3/5 min'
+     */
+    getProgressText() {
+        if (!this.goal) return '';
+
+        const text = `${Math.min(this.getProgressValue(), this.goal.target)}/${this.goal.target}`;
+        return this.goal.type === 'minutes' ? `${text} min` : text;
+    }
+
+    /**
+     * Days in a row the goal was met (still alive until today is over)
+     */
+    getStreak() {
+        const today = DailyGoal.dayKey(this.now(), this.timeZone);
+
+        if (this.lastCompletedDay === today || this.lastCompletedDay === DailyGoal.previousDay(today)) {
+            return this.currentStreak;
+        }
+        return 0;
+    }
+
+    /**
+     * Get goal status for the UI and debugging
+     */
+    getStatus() {
+        return {
+            goal: this.goal ? { ...this.goal } : null,
+            day: this.day,
+            pops: this.pops,
+            minutes: Math.floor(this.playTime / 60000),
+            progress: this.getProgress(),
+            completed: this.completed,
+            streak: this.getStreak(),
+            longestStreak: this.longestStreak
+        };
+    }
+}
+
+DailyGoal.FORMAT_VERSION = 1;
+
+// Save progress (play time and pops) at least this often while playing (ms of play)
+DailyGoal.SAVE_INTERVAL = 5000;
+
+DailyGoal.dayFormatters = new Map();
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DailyGoal };
+}
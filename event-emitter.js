@@ -0,0 +1,88 @@
+/**
+ * Event Emitter for Soap Bubbles
+ * Small synchronous event emitter - BubbleGame uses it to tell other scripts and plugins what happens
+ * A listener that throws is logged and skipped, so one misbehaving plugin can't stop the game loop
+ */
+
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // event name -> array of listeners
+    }
+
+    /**
+     * Listen for an event; returns a function that removes the listener
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            console.warn(`Listener for "${event}" must be a function`);
+            return () => {};
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Listen for the next time an event happens only
+     */
+    once(event, listener) {
+        const remove = this.on(event, (...args) => {
+            remove();
+            listener(...args);
+        });
+        return remove;
+    }
+
+    /**
+     * Remove a listener (or every listener for the event when none is given)
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        if (listener === undefined) {
+            this.listeners.delete(event);
+            return;
+        }
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Call every listener for an event with its details; returns whether anyone was listening
+     */
+    emit(event, detail = {}) {
+        const listeners = this.listeners.get(event);
+        if (!listeners || listeners.length === 0) return false;
+
+        // Copy so listeners can remove themselves while the event is being delivered
+        for (const listener of listeners.slice()) {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in "${event}" listener:`, error);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Number of listeners for an event
+     */
+    listenerCount(event) {
+        const listeners = this.listeners.get(event);
+        return listeners ? listeners.length : 0;
+    }
+}
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventEmitter };
+}
@@ -0,0 +1,238 @@
+/**
+ * Headless Simulation for Soap Bubbles
+ * Runs the real game rules (spawning, physics, popping, particles) with no canvas or window
+ * Used for Node tests and balance tooling - index.html does not load this file
+ *
+ * Usage (Node):
+ *   const { HeadlessSimulation } = require('./headless-simulation.js');
+ *   const sim = new HeadlessSimulation({ seed: 42, density: 7, physics: 'snowglobe' }).start();
+ *   sim.step(5000);
+ *   sim.pointerDown(400, 300);
+ *   console.log(sim.getState().popCount);
+ */
+
+// In Node, load the game scripts like index.html does and expose their classes as globals
+if (typeof module !== 'undefined' && module.exports && typeof BubbleGame === 'undefined') {
+    Object.assign(globalThis,
+        require('./random.js'),
+        require('./spatial-hash.js'),
+        require('./bubble-types.js'),
+        require('./playfield-entities.js'),
+        require('./physics-engine.js'),
+        require('./soft-body.js'),
+        require('./particle-system.js'),
+        require('./session-recorder.js'),
+        require('./challenge-mode.js'),
+        require('./breathing-guide.js'),
+        require('./event-emitter.js'),
+        require('./bubble-game.js'));
+}
+
+class HeadlessSimulation {
+    constructor(options = {}) {
+        this.options = {
+            width: 1280,
+            height: 720,
+            seed: SeededRandom.createSeed(),
+            fixedTimestep: 1000 / 60, // ms per simulation step
+            speed: 5, // Slider level 0-10
+            density: 5, // Slider level 0-10
+            theme: 'classic',
+            collisions: false,
+            chainReactions: false,
+            calmMode: false, // Slow pointers herd bubbles instead of popping them
+            merging: false, // Slow touching bubbles merge into bigger ones
+            physics: 'classic', // Physics preset id: 'classic', 'underwater', 'space', 'windy' or 'snowglobe'
+            breathing: 'off', // Breathing pattern id or 'off'
+            layout: null, // Playfield layout of obstacles, attractors and fans (see playfield-entities.js)
+            ...options
+        };
+
+        this.game = new BubbleGame();
+        this.game.initHeadless(this.options.width, this.options.height);
+
+        // Always deterministic so a seed reproduces a run exactly
+        this.seed = this.game.enableDeterministicMode(this.options.seed, this.options.fixedTimestep);
+
+        this.setSetting('speed', this.options.speed);
+        this.setSetting('density', this.options.density);
+        this.setSetting('theme', this.options.theme);
+        this.setSetting('collisions', this.options.collisions);
+        this.setSetting('chainReactions', this.options.chainReactions);
+        this.setSetting('calmMode', this.options.calmMode);
+        this.setSetting('merging', this.options.merging);
+        this.setSetting('physics', this.options.physics);
+        this.setSetting('breathing', this.options.breathing);
+        this.setSetting('layout', this.options.layout);
+
+        this.time = 0; // ms of simulated time
+        this.stepAccumulator = 0;
+    }
+
+    /**
+     * Start the game (spawns the initial bubbles, like pressing the start button)
+     * Pass '30', '60' or '120' to play a timed challenge round instead of zen
+     */
+    start(mode = 'zen') {
+        this.game.startGame(mode);
+        return this;
+    }
+
+    /**
+     * Advance the simulation by a number of milliseconds in fixed steps
+     * Time that doesn't fill a whole step carries over to the next call
+     */
+    step(ms) {
+        const step = this.game.config.fixedTimestep;
+        this.stepAccumulator += ms;
+
+        while (this.stepAccumulator >= step) {
+            this.game.update(step);
+            this.stepAccumulator -= step;
+            this.time += step;
+        }
+
+        return this;
+    }
+
+    /**
+     * Press a pointer at canvas coordinates (touch and pen pop on contact)
+     */
+    pointerDown(x, y, id = 1, type = 'touch') {
+        this.game.inputHandler.pointerDown(id, type, x, y);
+        return this;
+    }
+
+    /**
+     * Move a pointer to canvas coordinates (pops while a touch or pen is down)
+     */
+    pointerMove(x, y, id = 1, type = 'touch') {
+        this.game.inputHandler.pointerMove(id, type, x, y);
+        return this;
+    }
+
+    /**
+     * Release a pointer
+     */
+    pointerUp(id = 1, type = 'touch') {
+        this.game.inputHandler.pointerUp(id, type);
+        return this;
+    }
+
+    /**
+     * Hover the mouse at canvas coordinates - it pops whatever it touches on every step
+     */
+    hover(x, y) {
+        this.game.inputHandler.pointerMove('mouse', 'mouse', x, y);
+        return this;
+    }
+
+    /**
+     * Move the mouse off the canvas
+     */
+    leave() {
+        this.game.inputHandler.pointerLeave('mouse');
+        return this;
+    }
+
+    /**
+     * Change a setting through the same handlers as the settings panel
+     */
+    setSetting(key, value) {
+        this.game.applySetting(key, value);
+        return this;
+    }
+
+    /**
+     * Start a fresh session and record it (see SessionRecorder)
+     */
+    startRecording(seed = this.seed) {
+        this.seed = this.game.sessionRecorder.startRecording(seed);
+        this.time = 0;
+        this.stepAccumulator = 0;
+        return this;
+    }
+
+    /**
+     * Stop recording and return the recording
+     */
+    stopRecording() {
+        return this.game.sessionRecorder.stopRecording();
+    }
+
+    /**
+     * Replay a recording from its start - step() advances it like a live session
+     */
+    replay(recording) {
+        const session = SessionRecorder.parse(recording);
+        if (!session || !this.game.sessionRecorder.startReplay(session)) {
+            return false;
+        }
+
+        this.seed = session.seed;
+        this.time = 0;
+        this.stepAccumulator = 0;
+        return true;
+    }
+
+    /**
+     * Snapshot of the simulation - plain objects, safe to keep between steps
+     */
+    getState() {
+        const game = this.game;
+
+        const bubbles = game.bubbleManager.bubbles
+            .filter(bubble => bubble.isAlive)
+            .map(bubble => ({
+                x: bubble.x,
+                y: bubble.y,
+                vx: bubble.vx,
+                vy: bubble.vy,
+                size: bubble.size,
+                age: bubble.age,
+                lifetime: bubble.lifetime,
+                opacity: bubble.opacity,
+                hue: bubble.hue,
+                type: bubble.type ? bubble.type.id : 'normal',
+                hitsRemaining: bubble.hitsRemaining,
+                spawnDirection: bubble.spawnDirection
+            }));
+
+        const particles = game.particleSystem
+            ? game.particleSystem.particles
+                .filter(particle => particle.isAlive)
+                .map(particle => ({
+                    type: particle.type,
+                    x: particle.x,
+                    y: particle.y,
+                    vx: particle.vx,
+                    vy: particle.vy,
+                    size: particle.size,
+                    opacity: particle.opacity,
+                    age: particle.age,
+                    lifetime: particle.lifetime
+                }))
+            : [];
+
+        return {
+            time: this.time,
+            seed: this.seed,
+            popCount: game.popCount,
+            maxBubbles: game.getMaxBubbles(),
+            bubbles,
+            particles,
+            pointers: game.inputHandler.getActivePointers(),
+            spawnStats: { ...game.spawnStats },
+            mode: game.gameMode,
+            physics: game.physicsEngine ? game.physicsEngine.presetId : null,
+            layout: game.physicsEngine ? game.physicsEngine.getLayout() : null,
+            challenge: game.challenge ? game.challenge.getStatus() : null,
+            breathing: game.breathingGuide ? game.breathingGuide.getStatus() : null
+        };
+    }
+}
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeadlessSimulation };
+}
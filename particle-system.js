@@ -5,13 +5,18 @@
  */
 
 class ParticleSystem {
-    constructor(ctx) {
+    constructor(ctx, random = new MathRandom()) {
         this.ctx = ctx;
+        this.random = random;
         this.particles = [];
         this.particlePool = [];
         this.maxParticles = 200; // Total particle limit for performance
         this.activeParticles = 0;
 
+        // Area particles live in (off-screen droplets are removed)
+        this.width = typeof window !== 'undefined' ? window.innerWidth : 0;
+        this.height = typeof window !== 'undefined' ? window.innerHeight : 0;
+
         // Effect configuration
         this.config = {
             baseParticleCount: 8, // Base number of particles per pop
@@ -71,8 +76,8 @@ class ParticleSystem {
         particle.y = centerY;
 
         // Calculate ejection angle for even distribution
-        const angle = (Math.PI * 2 * index) / totalParticles + (Math.random() - 0.5) * 0.5;
-        const speed = 2 + Math.random() * 4; // Random speed 2-6 units
+        const angle = (Math.PI * 2 * index) / totalParticles + (this.random.next() - 0.5) * 0.5;
+        const speed = 2 + this.random.next() * 4; // Random speed 2-6 units
         const speedMultiplier = Math.sqrt(bubbleSize / 150); // Larger bubbles eject faster
 
         // Set initial velocity
@@ -80,15 +85,15 @@ class ParticleSystem {
         particle.vy = Math.sin(angle) * speed * speedMultiplier - 1; // Slight upward bias
 
         // Particle properties based on bubble size
-        const sizeFactor = 0.5 + Math.random() * 0.5; // 0.5 to 1.0
+        const sizeFactor = 0.5 + this.random.next() * 0.5; // 0.5 to 1.0
         particle.size = (this.config.minSize +
                         (this.config.maxSize - this.config.minSize) * sizeFactor) *
                        Math.sqrt(bubbleSize / 150);
 
         // Visual properties
-        particle.opacity = 0.8 + Math.random() * 0.2;
+        particle.opacity = 0.8 + this.random.next() * 0.2;
         particle.color = this.getDropletColor(bubbleSize);
-        particle.lifetime = this.config.particleLifetime + (Math.random() - 0.5) * 200;
+        particle.lifetime = this.config.particleLifetime + (this.random.next() - 0.5) * 200;
 
         // Add to active particles
         this.particles.push(particle);
@@ -145,7 +150,7 @@ class ParticleSystem {
         particle.isAlive = true;
         particle.type = 'droplet';
         particle.rotation = 0;
-        particle.rotationSpeed = (Math.random() - 0.5) * 0.2;
+        particle.rotationSpeed = (this.random.next() - 0.5) * 0.2;
     }
 
     /**
@@ -167,9 +172,9 @@ class ParticleSystem {
      */
     getDropletColor(bubbleSize) {
         // Vary color slightly based on size and randomness
-        const hue = 200 + Math.random() * 40; // Blue-ish tones
-        const saturation = 40 + Math.random() * 30;
-        const lightness = 70 + Math.random() * 20;
+        const hue = 200 + this.random.next() * 40; // Blue-ish tones
+        const saturation = 40 + this.random.next() * 30;
+        const lightness = 70 + this.random.next() * 20;
         return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
     }
 
@@ -242,8 +247,8 @@ class ParticleSystem {
 
         // Remove if too small or off screen
         if (particle.size < 0.5 ||
-            particle.x < -50 || particle.x > window.innerWidth + 50 ||
-            particle.y > window.innerHeight + 100) {
+            particle.x < -50 || particle.x > this.width + 50 ||
+            particle.y > this.height + 100) {
             particle.isAlive = false;
         }
     }
@@ -430,6 +435,21 @@ class ParticleSystem {
         this.qualityLevel = Math.max(0.1, Math.min(1.0, level));
     }
 
+    /**
+     * Update the area particles live in
+     */
+    setBounds(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Swap the random source
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+
     /**
      * Get particle system stats
      */
@@ -443,6 +463,37 @@ class ParticleSystem {
         };
     }
 
+    /**
+     * Create a colorful fountain of droplets to celebrate a milestone (daily goal reached)
+     */
+    createCelebrationEffect(x, y, intensity = 1.0) {
+        const particleCount = Math.floor(40 * intensity * this.qualityLevel);
+
+        for (let i = 0; i < particleCount; i++) {
+            const particle = this.getPooledParticle();
+            if (!particle) break;
+
+            // Mostly upward, fanning out
+            const angle = -Math.PI / 2 + (this.random.next() - 0.5) * Math.PI * 0.9;
+            const speed = 6 + this.random.next() * 6;
+
+            particle.x = x;
+            particle.y = y;
+            particle.vx = Math.cos(angle) * speed;
+            particle.vy = Math.sin(angle) * speed;
+            particle.size = 2 + this.random.next() * 3;
+            particle.lifetime = 1400 + this.random.next() * 800;
+            particle.color = `hsl(${Math.floor(this.random.next() * 360)}, 80%, 65%)`;
+            particle.opacity = 0.8 + this.random.next() * 0.2;
+
+            this.particles.push(particle);
+            this.activeParticles++;
+        }
+
+        // Ring where the fountain starts
+        this.createBurstEffect(x, y, 200);
+    }
+
     /**
      * Create splash effect (for future enhancement)
      */
@@ -455,16 +506,16 @@ class ParticleSystem {
             if (!particle) break;
 
             const angle = (Math.PI * 2 * i) / particleCount;
-            const speed = 3 + Math.random() * 2;
+            const speed = 3 + this.random.next() * 2;
 
             particle.x = x;
             particle.y = y;
             particle.vx = Math.cos(angle) * speed;
             particle.vy = Math.sin(angle) * speed - 2; // Upward bias
-            particle.size = 1 + Math.random() * 2;
-            particle.lifetime = 800 + Math.random() * 400;
+            particle.size = 1 + this.random.next() * 2;
+            particle.lifetime = 800 + this.random.next() * 400;
             particle.color = this.getDropletColor(30);
-            particle.opacity = 0.6 + Math.random() * 0.4;
+            particle.opacity = 0.6 + this.random.next() * 0.4;
 
             this.particles.push(particle);
             this.activeParticles++;
@@ -480,4 +531,9 @@ class ParticleSystem {
         this.particles = [];
         this.activeParticles = 0;
     }
-}
\ No newline at end of file
+}
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ParticleSystem };
+}
@@ -4,27 +4,64 @@
  */
 
 class PhysicsEngine {
-    constructor(width, height) {
+    constructor(width, height, random = new MathRandom()) {
         this.width = width;
         this.height = height;
+        this.random = random;
+        this.simulationTime = 0; // ms of simulated time, drives breeze pulses
 
         // Physics constants - reduced for slower, gentler movement
-        this.gravity = -0.05; // Much gentler upward buoyancy
-        this.airResistance = 0.995; // Less drag for smoother movement
         this.wobbleStrength = 0.1; // Reduced wobble
         this.breezeStrength = 0.2; // Gentler breeze
 
         // Environmental effects
         this.windForce = { x: 0, y: 0 };
         this.lastWindUpdate = 0;
-        this.windUpdateInterval = 3000; // Update wind every 3 seconds
         this.targetWind = { x: 0, y: 0 };
 
+        // Gravity, drag, wind and screen edges - all set from a preset (see PhysicsEngine.PRESETS)
+        this.presetId = null;
+        this.gravity = { x: 0, y: 0 }; // Buoyancy per 60fps frame, stronger for larger bubbles (negative y floats up)
+        this.airResistance = 1; // Velocity kept per 60fps frame
+        this.spawnMomentumScale = 1; // Share of the spawn push that keeps driving bubbles
+        this.breezeScale = 1; // Multiplier on local breeze zones
+        this.wind = null; // Gust generation, see generateNewWindPattern
+        this.windUpdateInterval = 0; // ms between new wind targets
+        this.edges = null; // { top, bottom, left, right } - 'bounce', 'wrap', 'exit' or 'pop'
+        this.bounce = null; // { margin, stiffness } of the soft push back from bouncing edges
+        this.popEdges = false; // Whether any edge pops bubbles
+        this.setPreset(PhysicsEngine.DEFAULT_PRESET);
+
         // Breeze zones (areas of varying wind)
         this.breezeZones = this.generateBreezeZones();
 
+        // Cursor wake - moving pointers stir a coarse grid of air currents that settle over time
+        this.wakeStrength = 0.5; // Share of the pointer's speed the air picks up (0 = off)
+        this.wakeRadius = 120; // px around the pointer that gets stirred
+        this.wakeHalfLife = 400; // ms for stirred air to lose half its speed
+        this.wakeField = this.createWakeField();
+
+        // Playfield entities - obstacles, attractors, repulsors and fans placed from a layout (see playfield-entities.js)
+        this.entityTypes = typeof PlayfieldEntityRegistry !== 'undefined' ? PlayfieldEntityRegistry.createDefault() : null;
+        this.layout = null; // Normalized layout the entities were placed from
+        this.entities = [];
+        this.forceEntities = []; // Entities that push bubbles
+        this.solidEntities = []; // Entities bubbles collide with
+
         // Performance optimization
         this.simplePhysics = false; // Switch to simpler physics if performance is low
+
+        // Bubble-to-bubble collisions (optional, off by default)
+        this.bubbleCollisions = false;
+        this.collisionSoftness = 0.25; // Fraction of overlap resolved per frame
+        this.collisionGrid = typeof SpatialHash !== 'undefined' ? new SpatialHash() : null;
+        this.collisionStats = { pairChecks: 0, collisions: 0, merges: 0 };
+
+        // Bubble merging (optional, off by default) - slow touching bubbles coalesce instead of bouncing
+        this.bubbleMerging = false;
+        this.mergeSpeed = PhysicsEngine.MERGE_SPEED;
+        this.maxMergeSize = PhysicsEngine.MAX_MERGE_SIZE;
+        this.merges = []; // [bubble1, bubble2] pairs found by the last resolveCollisions, for the caller to merge
     }
 
     /**
@@ -41,18 +78,36 @@ class PhysicsEngine {
         const graceFactor = isInGracePeriod ? 0.1 : 1.0; // Reduce physics forces by 90% during grace period
 
         // Apply physics forces (reduced during grace period)
+        // Soft-body bubbles remember the push from spawn momentum and moving air to deform with it
         this.applyBuoyancy(bubble, dt, graceFactor);
+        const beforeMomentumX = bubble.vx;
+        const beforeMomentumY = bubble.vy;
         this.applySpawnMomentum(bubble, dt, graceFactor);
+        const momentumX = bubble.vx - beforeMomentumX;
+        const momentumY = bubble.vy - beforeMomentumY;
         this.applyWobble(bubble, dt, graceFactor);
+        const beforeAirX = bubble.vx;
+        const beforeAirY = bubble.vy;
         this.applyBreeze(bubble, dt, graceFactor);
+        this.applyWake(bubble, dt, graceFactor);
+        this.applyEntityForces(bubble, dt, graceFactor);
+        const airX = bubble.vx - beforeAirX;
+        const airY = bubble.vy - beforeAirY;
         this.applyAirResistance(bubble, dt);
 
+        // Spawn momentum squashes a bubble as it is launched in, then it relaxes into shape
+        if (bubble.membrane) {
+            const launch = Math.max(0, 1 - bubble.age / PhysicsEngine.SQUASH_TIME);
+            this.deformBubble(bubble, dt, momentumX * launch, momentumY * launch, airX, airY);
+        }
+
         // Update position with speed multiplier
         bubble.x += bubble.vx * dt * speedMultiplier;
         bubble.y += bubble.vy * dt * speedMultiplier;
 
         // Apply boundary conditions
         this.handleBoundaries(bubble);
+        this.collideWithEntities(bubble);
 
         // Size-based physics adjustments
         this.applySizeEffects(bubble, dt);
@@ -84,8 +139,10 @@ class PhysicsEngine {
      */
     applyBuoyancy(bubble, dt, graceFactor = 1.0) {
         // Larger bubbles have more buoyancy
-        const buoyancyForce = this.gravity * (1 + bubble.size / 100) * graceFactor;
-        bubble.vy += buoyancyForce * dt;
+        const buoyancyX = this.gravity.x * (1 + bubble.size / 100) * graceFactor;
+        const buoyancyY = this.gravity.y * (1 + bubble.size / 100) * graceFactor;
+        bubble.vx += buoyancyX * dt;
+        bubble.vy += buoyancyY * dt;
     }
 
     /**
@@ -95,7 +152,7 @@ class PhysicsEngine {
         if (bubble.spawnMomentumX !== undefined && bubble.spawnMomentumY !== undefined) {
             // Apply continuous momentum force based on spawn direction
             // Stronger during grace period, gradually weakens over time
-            const momentumStrength = graceFactor > 0.5 ? 1.0 : 0.3; // Strong when young, weaker when older
+            const momentumStrength = (graceFactor > 0.5 ? 1.0 : 0.3) * this.spawnMomentumScale; // Strong when young, weaker when older
 
             // For side-spawned bubbles, maintain horizontal movement
             if (bubble.spawnDirection === 'left' || bubble.spawnDirection === 'right') {
@@ -138,14 +195,88 @@ class PhysicsEngine {
 
         // Local breeze effects - reduced
         const localBreeze = this.getLocalBreeze(bubble.x, bubble.y);
-        bubble.vx += localBreeze.x * 0.004 * dt * graceFactor;
-        bubble.vy += localBreeze.y * 0.003 * dt * graceFactor;
+        bubble.vx += localBreeze.x * 0.004 * dt * graceFactor * this.breezeScale;
+        bubble.vy += localBreeze.y * 0.003 * dt * graceFactor * this.breezeScale;
 
         // Size affects wind resistance - larger bubbles are more affected
         const windResistance = 0.5 + (bubble.size / 300);
         bubble.vx += this.windForce.x * 0.003 * windResistance * dt * graceFactor;
     }
 
+    /**
+     * Carry a bubble along with air stirred by the pointer
+     */
+    applyWake(bubble, dt, graceFactor = 1.0) {
+        if (!this.wakeField.active) return;
+
+        // Sample the middle and four points inside the edge, so a swipe past a big bubble still moves it
+        const reach = bubble.radius * 0.7;
+        let airX = 0;
+        let airY = 0;
+        for (const [ox, oy] of PhysicsEngine.WAKE_SAMPLES) {
+            const air = this.getLocalWake(bubble.x + ox * reach, bubble.y + oy * reach);
+            airX += air.x;
+            airY += air.y;
+        }
+        if (airX === 0 && airY === 0) return;
+
+        // Smaller bubbles are carried further, like with shockwaves
+        const sizeFactor = Math.min(2, 100 / bubble.size);
+        const push = PhysicsEngine.WAKE_PUSH * sizeFactor * dt * graceFactor / PhysicsEngine.WAKE_SAMPLES.length;
+
+        bubble.vx += airX * push;
+        bubble.vy += airY * push;
+    }
+
+    /**
+     * Push a bubble with the attractors, repulsors and fans on the playfield
+     */
+    applyEntityForces(bubble, dt, graceFactor = 1.0) {
+        for (const entity of this.forceEntities) {
+            entity.type.push(entity, bubble, dt, graceFactor);
+        }
+    }
+
+    /**
+     * Keep a bubble out of the obstacles on the playfield
+     */
+    collideWithEntities(bubble) {
+        for (const entity of this.solidEntities) {
+            entity.type.collide(entity, bubble);
+        }
+    }
+
+    /**
+     * Push every bubble back out of the obstacles - run last, as collisions and merges can move or grow bubbles into them
+     */
+    separateFromEntities(bubbles) {
+        if (this.solidEntities.length === 0) return;
+
+        for (const bubble of bubbles) {
+            if (bubble.isAlive) {
+                this.collideWithEntities(bubble);
+            }
+        }
+    }
+
+    /**
+     * Shape a soft-body bubble from this step's pushes and advance its membrane
+     * Spawn momentum squashes it along its travel and moving air stretches it along the flow
+     */
+    deformBubble(bubble, dt, momentumX, momentumY, airX, airY) {
+        // Ellipses are symmetric, so combine both as vectors on the doubled angle (squash = stretch at 90 degrees)
+        const squash = Math.sqrt(momentumX * momentumX + momentumY * momentumY) / dt * PhysicsEngine.SQUASH_GAIN;
+        const stretch = Math.sqrt(airX * airX + airY * airY) / dt * PhysicsEngine.STRETCH_GAIN;
+        const squashAngle = Math.atan2(momentumY, momentumX) * 2;
+        const stretchAngle = Math.atan2(airY, airX) * 2;
+
+        const shapeX = Math.cos(stretchAngle) * stretch - Math.cos(squashAngle) * squash;
+        const shapeY = Math.sin(stretchAngle) * stretch - Math.sin(squashAngle) * squash;
+
+        bubble.membrane.setStretch(Math.atan2(shapeY, shapeX) / 2, Math.sqrt(shapeX * shapeX + shapeY * shapeY));
+        bubble.membrane.step(dt);
+    }
+
     /**
      * Apply air resistance
      */
@@ -180,29 +311,76 @@ class PhysicsEngine {
         // Smaller bubbles are more affected by wobble
         if (sizeRatio < 0.8) {
             const extraWobble = (0.8 - sizeRatio) * 0.1;
-            bubble.vx += (Math.random() - 0.5) * extraWobble * dt;
+            bubble.vx += (this.random.next() - 0.5) * extraWobble * dt;
         }
     }
 
     /**
-     * Handle boundary conditions
+     * Handle boundary conditions for each edge's behavior in the preset
+     * 'exit' edges let bubbles float off, to be cleaned up once out of bounds (see isOutOfBounds)
+     * 'pop' edges are checked by the bubble manager (see touchesPopEdge)
      */
     handleBoundaries(bubble) {
-        const margin = 50;
+        const edges = this.edges;
+        const margin = this.bounce.margin;
+        const stiffness = this.bounce.stiffness;
 
         // Soft boundaries - gently push bubbles back
-        if (bubble.x < margin) {
-            bubble.vx += (margin - bubble.x) * 0.001;
-        } else if (bubble.x > this.width - margin) {
-            bubble.vx -= (bubble.x - (this.width - margin)) * 0.001;
+        if (bubble.x < margin && edges.left === 'bounce') {
+            bubble.vx += (margin - bubble.x) * stiffness;
+        } else if (bubble.x > this.width - margin && edges.right === 'bounce') {
+            bubble.vx -= (bubble.x - (this.width - margin)) * stiffness;
+        }
+
+        if (bubble.y < margin && edges.top === 'bounce') {
+            bubble.vy += (margin - bubble.y) * stiffness;
+        } else if (bubble.y > this.height - margin && edges.bottom === 'bounce') {
+            bubble.vy -= (bubble.y - (this.height - margin)) * stiffness;
         }
 
-        if (bubble.y < margin) {
-            bubble.vy += (margin - bubble.y) * 0.001;
+        // Wrapping edges - once a bubble has fully left heading out, it comes back in from the opposite side
+        // (spawns start beyond an edge heading in, so they don't wrap away)
+        const span = bubble.radius * 2;
+        if (edges.left === 'wrap' && bubble.vx < 0 && bubble.x < -bubble.radius) {
+            bubble.x += this.width + span;
+        } else if (edges.right === 'wrap' && bubble.vx > 0 && bubble.x > this.width + bubble.radius) {
+            bubble.x -= this.width + span;
         }
 
-        // Allow bubbles to float off the top naturally
-        // They will be cleaned up by the bubble manager based on lifetime
+        if (edges.top === 'wrap' && bubble.vy < 0 && bubble.y < -bubble.radius) {
+            bubble.y += this.height + span;
+        } else if (edges.bottom === 'wrap' && bubble.vy > 0 && bubble.y > this.height + bubble.radius) {
+            bubble.y -= this.height + span;
+        }
+    }
+
+    /**
+     * Whether a bubble has drifted too far off screen to keep (wrapping edges never lose bubbles)
+     */
+    isOutOfBounds(bubble) {
+        const reach = PhysicsEngine.EXIT_DISTANCE;
+        const edges = this.edges;
+
+        return (bubble.x < -reach && edges.left !== 'wrap') ||
+               (bubble.x > this.width + reach && edges.right !== 'wrap') ||
+               (bubble.y < -reach && edges.top !== 'wrap') ||
+               (bubble.y > this.height + reach && edges.bottom !== 'wrap');
+    }
+
+    /**
+     * Whether an on-screen bubble heading out has reached an edge that pops bubbles
+     */
+    touchesPopEdge(bubble) {
+        if (!this.popEdges) return false;
+
+        const edges = this.edges;
+        const radius = bubble.radius;
+
+        // The center must still be on screen - spawns start beyond the edges
+        return (edges.left === 'pop' && bubble.vx < 0 && bubble.x >= 0 && bubble.x - radius <= 0) ||
+               (edges.right === 'pop' && bubble.vx > 0 && bubble.x <= this.width && bubble.x + radius >= this.width) ||
+               (edges.top === 'pop' && bubble.vy < 0 && bubble.y >= 0 && bubble.y - radius <= 0) ||
+               (edges.bottom === 'pop' && bubble.vy > 0 && bubble.y <= this.height && bubble.y + radius >= this.height);
     }
 
     /**
@@ -226,17 +404,19 @@ class PhysicsEngine {
      * Generate new wind pattern
      */
     generateNewWindPattern() {
-        // Generate very gentle wind patterns
-        const windStrength = 0.1 + Math.random() * 0.2; // 0.1 to 0.3 (much gentler)
-        const windDirection = Math.random() * Math.PI * 2;
+        const wind = this.wind;
+
+        // Wind strength from the preset (0.1 to 0.3 for the gentle default)
+        const windStrength = wind.strength + this.random.next() * wind.variation;
+        const windDirection = this.random.next() * Math.PI * 2 * wind.spread + wind.heading;
 
         this.targetWind.x = Math.cos(windDirection) * windStrength;
-        this.targetWind.y = Math.sin(windDirection) * windStrength * 0.3; // Less vertical wind
+        this.targetWind.y = Math.sin(windDirection) * windStrength * wind.vertical; // Less vertical wind
 
-        // Occasionally create slightly stronger gusts (but still gentle)
-        if (Math.random() < 0.1) {
-            this.targetWind.x *= 1.5;
-            this.targetWind.y *= 1.2;
+        // Occasionally create stronger gusts
+        if (this.random.next() < wind.gustChance) {
+            this.targetWind.x *= wind.gust.x;
+            this.targetWind.y *= wind.gust.y;
         }
     }
 
@@ -245,17 +425,17 @@ class PhysicsEngine {
      */
     generateBreezeZones() {
         const zones = [];
-        const zoneCount = 4 + Math.floor(Math.random() * 3); // 4-6 zones
+        const zoneCount = 4 + Math.floor(this.random.next() * 3); // 4-6 zones
 
         for (let i = 0; i < zoneCount; i++) {
             zones.push({
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                radius: 150 + Math.random() * 250, // Larger, gentler zones
-                strength: 0.05 + Math.random() * 0.15, // Much gentler strength
-                direction: Math.random() * Math.PI * 2,
-                pulseSpeed: 0.0005 + Math.random() * 0.001, // Slower pulse
-                phase: Math.random() * Math.PI * 2
+                x: this.random.next() * this.width,
+                y: this.random.next() * this.height,
+                radius: 150 + this.random.next() * 250, // Larger, gentler zones
+                strength: 0.05 + this.random.next() * 0.15, // Much gentler strength
+                direction: this.random.next() * Math.PI * 2,
+                pulseSpeed: 0.0005 + this.random.next() * 0.001, // Slower pulse
+                phase: this.random.next() * Math.PI * 2
             });
         }
 
@@ -280,7 +460,7 @@ class PhysicsEngine {
                 const weight = influence * influence; // Quadratic falloff
 
                 // Add pulsing effect
-                const pulse = 1 + Math.sin(Date.now() * zone.pulseSpeed + zone.phase) * 0.3;
+                const pulse = 1 + Math.sin(this.simulationTime * zone.pulseSpeed + zone.phase) * 0.3;
                 const strength = zone.strength * pulse * weight;
 
                 // Calculate force direction
@@ -302,6 +482,157 @@ class PhysicsEngine {
         return totalForce;
     }
 
+    /**
+     * Empty grid of stirred air covering the playfield
+     */
+    createWakeField() {
+        const cellSize = PhysicsEngine.WAKE_CELL_SIZE;
+        const cols = Math.max(1, Math.ceil(this.width / cellSize));
+        const rows = Math.max(1, Math.ceil(this.height / cellSize));
+
+        return {
+            cols,
+            rows,
+            vx: new Float32Array(cols * rows), // Air velocity per cell in px/ms
+            vy: new Float32Array(cols * rows),
+            active: false // Whether any cell is still moving (the grid is skipped while the air is calm)
+        };
+    }
+
+    /**
+     * Stir the air around a moving pointer (velocity in px/ms, dt in 60fps frames)
+     * Cells blend toward the pointer's velocity rather than adding to it, so circling the same spot can't build a gale
+     */
+    stirAir(x, y, vx, vy, dt = 1) {
+        if (this.wakeStrength <= 0 || this.wakeRadius <= 0 || (vx === 0 && vy === 0)) return;
+
+        const field = this.wakeField;
+        const cellSize = PhysicsEngine.WAKE_CELL_SIZE;
+        const radius = this.wakeRadius;
+        const targetX = vx * this.wakeStrength;
+        const targetY = vy * this.wakeStrength;
+
+        const minCol = Math.max(0, Math.floor((x - radius) / cellSize));
+        const maxCol = Math.min(field.cols - 1, Math.floor((x + radius) / cellSize));
+        const minRow = Math.max(0, Math.floor((y - radius) / cellSize));
+        const maxRow = Math.min(field.rows - 1, Math.floor((y + radius) / cellSize));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const dx = (col + 0.5) * cellSize - x;
+                const dy = (row + 0.5) * cellSize - y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance >= radius) continue;
+
+                // Strongest right behind the pointer, fading to nothing at the edge (compounded per frame, so any frame rate blends alike)
+                const blend = 1 - Math.pow(distance / radius, dt);
+                const index = row * field.cols + col;
+                field.vx[index] += (targetX - field.vx[index]) * blend;
+                field.vy[index] += (targetY - field.vy[index]) * blend;
+                field.active = true;
+            }
+        }
+    }
+
+    /**
+     * Air velocity stirred by the pointer at a position (px/ms)
+     */
+    getLocalWake(x, y) {
+        const field = this.wakeField;
+        const col = Math.floor(x / PhysicsEngine.WAKE_CELL_SIZE);
+        const row = Math.floor(y / PhysicsEngine.WAKE_CELL_SIZE);
+
+        if (!field.active || col < 0 || row < 0 || col >= field.cols || row >= field.rows) {
+            return { x: 0, y: 0 };
+        }
+
+        const index = row * field.cols + col;
+        return { x: field.vx[index], y: field.vy[index] };
+    }
+
+    /**
+     * Let stirred air settle, halving its speed every wakeHalfLife ms
+     */
+    decayWake(deltaTime) {
+        const field = this.wakeField;
+        const factor = Math.pow(0.5, deltaTime / Math.max(1, this.wakeHalfLife));
+        let moving = false;
+
+        for (let i = 0; i < field.vx.length; i++) {
+            field.vx[i] *= factor;
+            field.vy[i] *= factor;
+
+            if (Math.abs(field.vx[i]) < PhysicsEngine.WAKE_REST && Math.abs(field.vy[i]) < PhysicsEngine.WAKE_REST) {
+                field.vx[i] = 0;
+                field.vy[i] = 0;
+            } else {
+                moving = true;
+            }
+        }
+
+        field.active = moving;
+    }
+
+    /**
+     * Tune the cursor wake (strength, radius, halfLife); returns the settings in use
+     */
+    configureWake(options = {}) {
+        const keys = { strength: 'wakeStrength', radius: 'wakeRadius', halfLife: 'wakeHalfLife' };
+
+        Object.keys(keys).forEach(key => {
+            const value = Number(options[key]);
+            if (key in options && !isNaN(value) && value >= 0) {
+                this[keys[key]] = value;
+            }
+        });
+
+        return this.getWakeSettings();
+    }
+
+    /**
+     * Current cursor wake settings
+     */
+    getWakeSettings() {
+        return {
+            strength: this.wakeStrength,
+            radius: this.wakeRadius,
+            halfLife: this.wakeHalfLife
+        };
+    }
+
+    /**
+     * Advance simulated time (called once per simulation step)
+     */
+    advanceTime(deltaTime) {
+        this.simulationTime += deltaTime;
+
+        // Air stirred by the pointer settles
+        if (this.wakeField.active) {
+            this.decayWake(deltaTime);
+        }
+
+        // Drop expired turbulence zones
+        for (let i = this.breezeZones.length - 1; i >= 0; i--) {
+            const zone = this.breezeZones[i];
+            if (zone.expiresAt !== undefined && zone.expiresAt <= this.simulationTime) {
+                this.breezeZones.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Swap the random source and regenerate anything derived from it
+     */
+    setRandom(random) {
+        this.random = random;
+        this.simulationTime = 0;
+        this.lastWindUpdate = 0;
+        this.windForce = { x: 0, y: 0 };
+        this.targetWind = { x: 0, y: 0 };
+        this.breezeZones = this.generateBreezeZones();
+        this.wakeField = this.createWakeField();
+    }
+
     /**
      * Update bounds when window is resized
      */
@@ -309,21 +640,115 @@ class PhysicsEngine {
         this.width = width;
         this.height = height;
 
-        // Regenerate breeze zones for new screen size
+        // Regenerate breeze zones and the wake grid, and move entities, for new screen size
         this.breezeZones = this.generateBreezeZones();
+        this.wakeField = this.createWakeField();
+        this.placeEntities();
     }
 
     /**
      * Enable simple physics mode for performance
      */
     enableSimplePhysics(enabled = true) {
+        // Quality tiers set this on every change, so only a real switch touches the air
+        if (enabled === this.simplePhysics) return;
+
         this.simplePhysics = enabled;
 
+        // Turbulence zones are left to blow out on their own
+        const turbulence = this.breezeZones.filter(zone => zone.expiresAt !== undefined);
+
         if (enabled) {
             // Reduce physics complexity
-            this.breezeZones = this.breezeZones.slice(0, 2); // Fewer breeze zones
-            this.windUpdateInterval = 5000; // Less frequent wind updates
+            const steady = this.breezeZones.filter(zone => zone.expiresAt === undefined);
+            this.breezeZones = steady.slice(0, 2).concat(turbulence); // Fewer breeze zones
+            this.windUpdateInterval = Math.max(5000, this.wind.interval); // Less frequent wind updates
+        } else {
+            // Restore full complexity
+            this.breezeZones = this.generateBreezeZones().concat(turbulence);
+            this.windUpdateInterval = this.wind.interval;
+        }
+    }
+
+    /**
+     * Switch gravity, drag, wind and edge behavior to a preset (see PhysicsEngine.PRESETS)
+     * Unknown ids keep the current preset; returns the id in use
+     */
+    setPreset(presetId) {
+        const preset = PhysicsEngine.PRESETS[presetId];
+        if (!preset) {
+            console.warn(`Unknown physics preset: ${presetId}`);
+            return this.presetId;
+        }
+
+        this.presetId = presetId;
+        this.gravity = { ...preset.gravity };
+        this.airResistance = preset.drag;
+        this.spawnMomentumScale = preset.momentum;
+        this.breezeScale = preset.breeze;
+        this.wind = preset.wind;
+        this.edges = preset.edges;
+        this.bounce = preset.bounce;
+        this.popEdges = Object.values(preset.edges).includes('pop');
+
+        // Gusts already blowing die down or build up toward the next target at the new interval
+        this.windUpdateInterval = this.simplePhysics ? Math.max(5000, preset.wind.interval) : preset.wind.interval;
+
+        return presetId;
+    }
+
+    /**
+     * Place playfield entities from a layout (object or JSON string, see playfield-entities.js) - null clears them
+     * Entries that can't be placed are skipped; returns the normalized layout in use, or null
+     */
+    loadLayout(layout) {
+        let source = layout;
+        if (typeof source === 'string') {
+            try {
+                source = JSON.parse(source);
+            } catch (error) {
+                console.warn('Playfield layout is not valid JSON:', error.message);
+                return this.getLayout();
+            }
         }
+
+        if (!source || !this.entityTypes) {
+            this.layout = null;
+        } else if (!Array.isArray(source.entities)) {
+            console.warn('Playfield layout needs an entities array');
+            return this.getLayout();
+        } else {
+            this.layout = {
+                name: typeof source.name === 'string' ? source.name : '',
+                entities: source.entities.map(spec => this.entityTypes.normalize(spec)).filter(Boolean)
+            };
+        }
+
+        this.placeEntities();
+        return this.getLayout();
+    }
+
+    /**
+     * Position the layout's entities on the current playfield
+     */
+    placeEntities() {
+        const specs = this.layout ? this.layout.entities : [];
+
+        this.entities = specs.map(spec => this.entityTypes.place(spec, this.width, this.height)).filter(Boolean);
+        this.forceEntities = this.entities.filter(entity => entity.type.push);
+        this.solidEntities = this.entities.filter(entity => entity.type.collide);
+    }
+
+    /**
+     * Copy of the layout in use (plain JSON, safe to save or record), or null
+     */
+    getLayout() {
+        if (!this.layout) return null;
+
+        return {
+            name: this.layout.name,
+            entities: this.layout.entities.map(spec => ({ ...spec }))
+        };
     }
 
     /**
@@ -334,6 +759,12 @@ class PhysicsEngine {
             windForce: this.windForce,
             breezeZoneCount: this.breezeZones.length,
             simplePhysics: this.simplePhysics,
+            preset: this.presetId,
+            entityCount: this.entities.length,
+            bubbleCollisions: this.bubbleCollisions,
+            bubbleMerging: this.bubbleMerging,
+            collisionStats: this.collisionStats,
+            wake: { ...this.getWakeSettings(), active: this.wakeField.active },
             nextWindUpdate: this.windUpdateInterval - this.lastWindUpdate
         };
     }
@@ -342,36 +773,144 @@ class PhysicsEngine {
      * Create turbulence effect (for special effects)
      */
     createTurbulence(x, y, radius, strength, duration = 2000) {
-        const turbulence = {
-            x, y, radius, strength,
-            startTime: Date.now(),
-            duration,
-            active: true
-        };
-
-        // Add temporary turbulence zone
+        // Add temporary turbulence zone, removed by advanceTime once it expires
+        // (simulated time rather than a timer, so seeded sessions stay reproducible)
         const tempZone = {
             x, y,
             radius,
             strength: strength * 2,
-            direction: Math.random() * Math.PI * 2,
+            direction: this.random.next() * Math.PI * 2,
             pulseSpeed: 0.01,
-            phase: 0
+            phase: 0,
+            expiresAt: this.simulationTime + duration
         };
 
         this.breezeZones.push(tempZone);
+        return tempZone;
+    }
+
+    /**
+     * Push bubbles away from a point, fading out from the inner radius to the outer edge
+     */
+    applyShockwave(bubbles, x, y, innerRadius, radius, strength) {
+        for (const bubble of bubbles) {
+            if (!bubble.isAlive) continue;
 
-        // Remove after duration
-        setTimeout(() => {
-            const index = this.breezeZones.indexOf(tempZone);
-            if (index > -1) {
-                this.breezeZones.splice(index, 1);
+            const dx = bubble.x - x;
+            const dy = bubble.y - y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0) continue;
+
+            // Measure from the shockwave source's edge to this bubble's edge
+            const gap = Math.max(0, distance - innerRadius - bubble.radius);
+            if (gap > radius) continue;
+
+            // Smaller bubbles get pushed further
+            const falloff = 1 - gap / radius;
+            const sizeFactor = Math.min(2, 100 / bubble.size);
+            const push = strength * falloff * sizeFactor;
+
+            bubble.vx += (dx / distance) * push;
+            bubble.vy += (dy / distance) * push;
+        }
+    }
+
+    /**
+     * Enable or disable soft bubble-to-bubble collisions
+     */
+    setBubbleCollisions(enabled) {
+        this.bubbleCollisions = enabled;
+        this.collisionStats.pairChecks = 0;
+        this.collisionStats.collisions = 0;
+    }
+
+    /**
+     * Enable or disable merging of slow touching bubbles
+     */
+    setBubbleMerging(enabled) {
+        this.bubbleMerging = enabled;
+        this.collisionStats.merges = 0;
+        this.merges = [];
+    }
+
+    /**
+     * Resolve collisions between all bubbles using the spatial hash broad phase
+     * With merging on, pairs slow enough to coalesce are collected in this.merges instead of pushed apart
+     */
+    resolveCollisions(bubbles) {
+        this.collisionStats.pairChecks = 0;
+        this.collisionStats.collisions = 0;
+        this.collisionStats.merges = 0;
+        if (this.merges.length > 0) {
+            this.merges = []; // Pairs nobody took are stale now
+        }
+
+        if ((!this.bubbleCollisions && !this.bubbleMerging) || bubbles.length < 2) return;
+
+        const candidates = bubbles.filter(bubble => bubble.isAlive);
+
+        if (this.collisionGrid) {
+            this.collisionGrid.rebuild(candidates);
+            this.collisionStats.pairChecks = this.collisionGrid.forEachPair((a, b) => {
+                this.handleCollisionPair(a, b);
+            });
+        } else {
+            // No broad phase available - check every pair
+            for (let i = 0; i < candidates.length; i++) {
+                for (let j = i + 1; j < candidates.length; j++) {
+                    this.handleCollisionPair(candidates[i], candidates[j]);
+                    this.collisionStats.pairChecks++;
+                }
             }
-        }, duration);
+        }
     }
 
     /**
-     * Simulate bubble collision (for future enhancement)
+     * Narrow phase for a single candidate pair
+     */
+    handleCollisionPair(bubble1, bubble2) {
+        if (!this.checkBubbleCollision(bubble1, bubble2)) return;
+
+        if (this.bubbleMerging && this.canMerge(bubble1, bubble2)) {
+            this.merges.push([bubble1, bubble2]);
+            this.collisionStats.merges++;
+        } else if (this.bubbleCollisions) {
+            this.resolveBubbleCollision(bubble1, bubble2, this.collisionSoftness);
+            this.collisionStats.collisions++;
+        }
+    }
+
+    /**
+     * Whether two touching bubbles drift together slowly enough to coalesce, without growing past the size cap
+     */
+    canMerge(bubble1, bubble2) {
+        const dvx = bubble1.vx - bubble2.vx;
+        const dvy = bubble1.vy - bubble2.vy;
+        if (Math.sqrt(dvx * dvx + dvy * dvy) > this.mergeSpeed) return false;
+
+        return PhysicsEngine.getMergedSize(bubble1.size, bubble2.size) <= this.maxMergeSize;
+    }
+
+    /**
+     * Hand over the pairs the last resolveCollisions found ready to merge
+     */
+    takeMerges() {
+        if (this.merges.length === 0) return this.merges;
+
+        const merges = this.merges;
+        this.merges = [];
+        return merges;
+    }
+
+    /**
+     * Diameter of the bubble two bubbles make when their volumes are combined
+     */
+    static getMergedSize(size1, size2) {
+        return Math.cbrt(size1 * size1 * size1 + size2 * size2 * size2);
+    }
+
+    /**
+     * Check whether two bubbles overlap
      */
     checkBubbleCollision(bubble1, bubble2) {
         const dx = bubble1.x - bubble2.x;
@@ -383,9 +922,9 @@ class PhysicsEngine {
     }
 
     /**
-     * Handle bubble-to-bubble physics (for future enhancement)
+     * Push overlapping bubbles apart (softness < 1 spreads the separation over several frames)
      */
-    resolveBubbleCollision(bubble1, bubble2) {
+    resolveBubbleCollision(bubble1, bubble2, softness = 1.0) {
         const dx = bubble1.x - bubble2.x;
         const dy = bubble1.y - bubble2.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
@@ -394,8 +933,8 @@ class PhysicsEngine {
         if (distance < minDistance && distance > 0) {
             // Calculate overlap
             const overlap = minDistance - distance;
-            const separationX = (dx / distance) * overlap * 0.5;
-            const separationY = (dy / distance) * overlap * 0.5;
+            const separationX = (dx / distance) * overlap * 0.5 * softness;
+            const separationY = (dy / distance) * overlap * 0.5 * softness;
 
             // Separate bubbles
             bubble1.x += separationX;
@@ -413,4 +952,102 @@ class PhysicsEngine {
             bubble2.vy += vyDiff * 0.1;
         }
     }
-}
\ No newline at end of file
+}
+
+// Cursor wake grid cell size in px - finer cells follow the pointer more closely but cost more to settle
+PhysicsEngine.WAKE_CELL_SIZE = 40;
+
+// How strongly stirred air pushes bubbles (per px/ms of air speed, per 60fps frame)
+PhysicsEngine.WAKE_PUSH = 0.5;
+
+// Points (in fractions of 0.7 radius) where a bubble feels the air
+PhysicsEngine.WAKE_SAMPLES = [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Air slower than this (px/ms) counts as still
+PhysicsEngine.WAKE_REST = 0.001;
+
+// Soft-body shape per px/frame² of push - spawn momentum squashes, breeze and stirred air stretch
+PhysicsEngine.SQUASH_GAIN = 0.8;
+PhysicsEngine.STRETCH_GAIN = 10;
+
+// ms after spawning that momentum keeps squashing a bubble
+PhysicsEngine.SQUASH_TIME = 1500;
+
+// Bubbles this far (px) past an edge they can't come back through are removed
+PhysicsEngine.EXIT_DISTANCE = 100;
+
+// Physics presets - how bubbles float, drift and meet the screen edges
+//   gravity   px per 60fps frame², scaled up with bubble size (negative y floats up, positive sinks)
+//   drag      velocity kept per 60fps frame
+//   momentum  share of the spawn push that keeps driving bubbles after they enter
+//   breeze    multiplier on the local breeze zones
+//   wind      gusts: strength + up to variation, blowing toward heading (radians, 0 = right) plus up to
+//             spread of a full turn, vertical share, new target every interval ms,
+//             and a gustChance of multiplying it by gust.x / gust.y
+//   edges     per edge: 'bounce' (soft push back), 'wrap' (come in the other side), 'exit' (float away) or 'pop'
+//   bounce    margin (px) where bouncing edges start pushing, and the push per px into it
+PhysicsEngine.PRESETS = {
+    classic: {
+        name: 'Gentle breeze',
+        gravity: { x: 0, y: -0.05 },
+        drag: 0.995,
+        momentum: 1,
+        breeze: 1,
+        wind: { strength: 0.1, variation: 0.2, heading: 0, spread: 1, vertical: 0.3, interval: 3000, gustChance: 0.1, gust: { x: 1.5, y: 1.2 } },
+        edges: { top: 'bounce', bottom: 'exit', left: 'bounce', right: 'bounce' },
+        bounce: { margin: 50, stiffness: 0.001 }
+    },
+    underwater: {
+        name: 'Underwater',
+        gravity: { x: 0, y: -0.01 }, // Slow rise
+        drag: 0.95, // Heavy water drag
+        momentum: 0,
+        breeze: 0.5, // Slow currents
+        wind: { strength: 0.02, variation: 0.04, heading: 0, spread: 1, vertical: 0.5, interval: 5000, gustChance: 0, gust: { x: 1, y: 1 } },
+        edges: { top: 'pop', bottom: 'exit', left: 'bounce', right: 'bounce' }, // Bubbles burst at the surface
+        bounce: { margin: 50, stiffness: 0.001 }
+    },
+    space: {
+        name: 'Space',
+        gravity: { x: 0, y: 0 },
+        drag: 0.999, // Bubbles keep drifting the way they came in
+        momentum: 0,
+        breeze: 0,
+        wind: { strength: 0, variation: 0, heading: 0, spread: 1, vertical: 0, interval: 3000, gustChance: 0, gust: { x: 1, y: 1 } },
+        edges: { top: 'wrap', bottom: 'wrap', left: 'wrap', right: 'wrap' },
+        bounce: { margin: 50, stiffness: 0.001 }
+    },
+    windy: {
+        name: 'Windy day',
+        gravity: { x: 0, y: -0.03 }, // Lighter lift, so the wind carries bubbles sideways
+        drag: 0.995,
+        momentum: 0.3,
+        breeze: 3,
+        wind: { strength: 1.5, variation: 2.5, heading: -Math.PI / 4, spread: 0.25, vertical: 0.4, interval: 1500, gustChance: 0.3, gust: { x: 2, y: 1.5 } },
+        edges: { top: 'bounce', bottom: 'exit', left: 'exit', right: 'exit' }, // Gusts carry bubbles off the sides
+        bounce: { margin: 50, stiffness: 0.001 }
+    },
+    snowglobe: {
+        name: 'Snow globe',
+        gravity: { x: 0, y: 0.01 }, // Bubbles drift down (and come in from the top)
+        drag: 0.97,
+        momentum: 0,
+        breeze: 0.3,
+        wind: { strength: 0.01, variation: 0.02, heading: 0, spread: 1, vertical: 1, interval: 4000, gustChance: 0, gust: { x: 1, y: 1 } },
+        edges: { top: 'bounce', bottom: 'bounce', left: 'bounce', right: 'bounce' },
+        bounce: { margin: 100, stiffness: 0.01 } // Firm floor, so bubbles settle on it
+    }
+};
+
+PhysicsEngine.DEFAULT_PRESET = 'classic';
+
+// Touching bubbles merge below this relative speed (px per 60fps frame)
+PhysicsEngine.MERGE_SPEED = 0.5;
+
+// Merges never grow a bubble wider than the largest spawn size (px), so bubbles stay "never too large"
+PhysicsEngine.MAX_MERGE_SIZE = 300;
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhysicsEngine };
+}
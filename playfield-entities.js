@@ -0,0 +1,374 @@
+/**
+ * Playfield Entities for Soap Bubbles
+ * Data-driven registry of things placed on the playfield - obstacles bubbles bounce off,
+ * attractor and repulsor points, and fans that blow in one direction
+ * PhysicsEngine.loadLayout places them from a layout; new kinds are added with registry.register({ id, ... })
+ *
+ * Layouts are plain JSON, so scenes can be saved, shared and recorded:
+ *   {
+ *     "name": "Bubble garden",
+ *     "entities": [
+ *       { "type": "obstacle", "x": 0.5, "y": 0.6, "radius": 60 },
+ *       { "type": "obstacle", "shape": "rect", "x": 0.2, "y": 0.4, "width": 200, "height": 30 },
+ *       { "type": "attractor", "x": 0.5, "y": 0.3, "radius": 250, "strength": 0.05 },
+ *       { "type": "fan", "x": 0, "y": 0.5, "angle": 0, "length": 500, "width": 160, "strength": 0.08 }
+ *     ]
+ *   }
+ * x and y are fractions of the playfield (so layouts fit any screen), sizes are px and angles degrees
+ *
+ * Entity type fields:
+ *   defaults   - spec values used when a layout leaves them out
+ *   place(entity)                         - work out anything derived from the spec once it is positioned
+ *   push(entity, bubble, dt, graceFactor) - forces, applied with the other forces on the bubble
+ *   collide(entity, bubble)               - after the bubble moves, to keep it out of solid entities
+ *   renderDebug(ctx, entity)              - drawn in debug mode
+ */
+
+class PlayfieldEntityRegistry {
+    constructor() {
+        this.types = new Map();
+    }
+
+    /**
+     * Add or replace an entity type
+     */
+    register(definition) {
+        if (!definition || !definition.id) {
+            console.warn('Playfield entity type needs an id:', definition);
+            return null;
+        }
+
+        const type = { ...PlayfieldEntityRegistry.TYPE_DEFAULTS, ...definition };
+        this.types.set(type.id, type);
+        return type;
+    }
+
+    /**
+     * Remove an entity type (entities already placed keep working)
+     */
+    unregister(id) {
+        return this.types.delete(id);
+    }
+
+    /**
+     * Get a type by id (null if unknown)
+     */
+    get(id) {
+        return this.types.get(id) || null;
+    }
+
+    /**
+     * Get every registered type
+     */
+    getAll() {
+        return Array.from(this.types.values());
+    }
+
+    /**
+     * Clean up one layout entry: known type, numbers where numbers belong, defaults filled in
+     * Returns null (with a warning) for entries that can't be placed
+     */
+    normalize(spec) {
+        const type = spec ? this.get(spec.type) : null;
+        if (!type) {
+            console.warn('Unknown playfield entity type:', spec && spec.type);
+            return null;
+        }
+
+        const normalized = { type: type.id, ...type.defaults };
+        const fields = ['x', 'y', ...Object.keys(type.defaults)];
+
+        for (const key of fields) {
+            if (!(key in spec)) continue;
+
+            const fallback = normalized[key];
+            const value = typeof fallback === 'string' ? String(spec[key]) : Number(spec[key]);
+            if (typeof value === 'number' && !isFinite(value)) {
+                console.warn(`Playfield entity ${type.id} has a bad ${key}:`, spec[key]);
+                continue;
+            }
+
+            // Zero or negative sizes would divide by zero or turn shapes inside out
+            if (PlayfieldEntityRegistry.SIZE_FIELDS.includes(key) && value < PlayfieldEntityRegistry.MIN_SIZE) {
+                console.warn(`Playfield entity ${type.id} has a ${key} below ${PlayfieldEntityRegistry.MIN_SIZE}px:`, spec[key]);
+                normalized[key] = PlayfieldEntityRegistry.MIN_SIZE;
+                continue;
+            }
+            normalized[key] = value;
+        }
+
+        if (normalized.x === undefined || normalized.y === undefined) {
+            console.warn(`Playfield entity ${type.id} needs an x and y`);
+            return null;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Place a normalized spec on a playfield of the given size
+     */
+    place(spec, width, height) {
+        const type = this.get(spec.type);
+        if (!type) return null;
+
+        const entity = { ...spec, type, spec, x: spec.x * width, y: spec.y * height };
+        if (type.place) {
+            type.place(entity);
+        }
+        return entity;
+    }
+
+    /**
+     * Pull a bubble toward (sign 1) or push it away from (sign -1) a point, fading out to the entity's radius
+     */
+    static pull(entity, bubble, dt, graceFactor, sign) {
+        const dx = entity.x - bubble.x;
+        const dy = entity.y - bubble.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < 1 || distance > entity.radius) return;
+
+        // Smaller bubbles are pulled further, like with shockwaves
+        const falloff = 1 - distance / entity.radius;
+        const sizeFactor = Math.min(2, 100 / bubble.size);
+        const force = sign * entity.strength * falloff * sizeFactor * dt * graceFactor;
+
+        bubble.vx += (dx / distance) * force;
+        bubble.vy += (dy / distance) * force;
+    }
+
+    /**
+     * Draw a point entity's reach with arrows pointing in (sign 1) or out (sign -1)
+     */
+    static renderField(ctx, entity, color, sign) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(entity.x, entity.y, entity.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(entity.x, entity.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.beginPath();
+        for (let i = 0; i < 8; i++) {
+            const angle = (i / 8) * Math.PI * 2;
+            const outer = entity.radius * 0.6;
+            const inner = entity.radius * 0.35;
+            const from = sign > 0 ? outer : inner;
+            const to = sign > 0 ? inner : outer;
+            const dirX = -sign * Math.cos(angle); // Way bubbles are moved
+            const dirY = -sign * Math.sin(angle);
+            const tipX = entity.x + Math.cos(angle) * to;
+            const tipY = entity.y + Math.sin(angle) * to;
+
+            ctx.moveTo(entity.x + Math.cos(angle) * from, entity.y + Math.sin(angle) * from);
+            ctx.lineTo(tipX, tipY);
+            ctx.moveTo(tipX - dirX * 8 - dirY * 5, tipY - dirY * 8 + dirX * 5);
+            ctx.lineTo(tipX, tipY);
+            ctx.lineTo(tipX - dirX * 8 + dirY * 5, tipY - dirY * 8 - dirX * 5);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Registry with the built-in types
+     */
+    static createDefault() {
+        const registry = new PlayfieldEntityRegistry();
+        PlayfieldEntityRegistry.BUILT_IN_TYPES.forEach(type => registry.register(type));
+        return registry;
+    }
+}
+
+// Spec fields that are sizes in px, kept at MIN_SIZE or more
+PlayfieldEntityRegistry.SIZE_FIELDS = ['radius', 'width', 'height', 'length'];
+PlayfieldEntityRegistry.MIN_SIZE = 1;
+
+PlayfieldEntityRegistry.TYPE_DEFAULTS = {
+    name: '',
+    defaults: {},
+    place: null,
+    push: null,
+    collide: null,
+    renderDebug: null
+};
+
+PlayfieldEntityRegistry.BUILT_IN_TYPES = [
+    {
+        // Solid circle or rectangle - bubbles are pushed out and bounce off
+        id: 'obstacle',
+        name: 'Obstacle',
+        defaults: { shape: 'circle', radius: 50, width: 100, height: 100, bounce: 0.5 },
+        collide(entity, bubble) {
+            let nx;
+            let ny;
+            let depth;
+
+            if (entity.shape === 'rect') {
+                const halfWidth = entity.width / 2;
+                const halfHeight = entity.height / 2;
+                const dx = bubble.x - entity.x;
+                const dy = bubble.y - entity.y;
+
+                // Nearest point of the rectangle to the bubble's center
+                const nearestX = Math.max(-halfWidth, Math.min(halfWidth, dx));
+                const nearestY = Math.max(-halfHeight, Math.min(halfHeight, dy));
+                const ox = dx - nearestX;
+                const oy = dy - nearestY;
+                const distance = Math.sqrt(ox * ox + oy * oy);
+
+                if (distance > 0) {
+                    if (distance >= bubble.radius) return;
+                    nx = ox / distance;
+                    ny = oy / distance;
+                    depth = bubble.radius - distance;
+                } else {
+                    // Center inside the rectangle - leave through the nearest side
+                    const outX = halfWidth - Math.abs(dx);
+                    const outY = halfHeight - Math.abs(dy);
+                    if (outX < outY) {
+                        nx = dx < 0 ? -1 : 1;
+                        ny = 0;
+                        depth = outX + bubble.radius;
+                    } else {
+                        nx = 0;
+                        ny = dy < 0 ? -1 : 1;
+                        depth = outY + bubble.radius;
+                    }
+                }
+            } else {
+                const dx = bubble.x - entity.x;
+                const dy = bubble.y - entity.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const minDistance = entity.radius + bubble.radius;
+                if (distance >= minDistance) return;
+
+                // A bubble dead on the center leaves upward
+                nx = distance > 0 ? dx / distance : 0;
+                ny = distance > 0 ? dy / distance : -1;
+                depth = minDistance - distance;
+            }
+
+            bubble.x += nx * depth;
+            bubble.y += ny * depth;
+
+            // Reflect the speed into the obstacle, losing some of it
+            const into = bubble.vx * nx + bubble.vy * ny;
+            if (into < 0) {
+                bubble.vx -= (1 + entity.bounce) * into * nx;
+                bubble.vy -= (1 + entity.bounce) * into * ny;
+            }
+        },
+        renderDebug(ctx, entity) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            if (entity.shape === 'rect') {
+                ctx.rect(entity.x - entity.width / 2, entity.y - entity.height / 2, entity.width, entity.height);
+            } else {
+                ctx.arc(entity.x, entity.y, entity.radius, 0, Math.PI * 2);
+            }
+            ctx.fill();
+            ctx.stroke();
+        }
+    },
+    {
+        // Draws bubbles in, strongest at the center
+        id: 'attractor',
+        name: 'Attractor',
+        defaults: { radius: 200, strength: 0.05 },
+        push(entity, bubble, dt, graceFactor) {
+            PlayfieldEntityRegistry.pull(entity, bubble, dt, graceFactor, 1);
+        },
+        renderDebug(ctx, entity) {
+            PlayfieldEntityRegistry.renderField(ctx, entity, 'rgba(120, 255, 160, 0.8)', 1);
+        }
+    },
+    {
+        // Keeps bubbles away, strongest at the center
+        id: 'repulsor',
+        name: 'Repulsor',
+        defaults: { radius: 200, strength: 0.05 },
+        push(entity, bubble, dt, graceFactor) {
+            PlayfieldEntityRegistry.pull(entity, bubble, dt, graceFactor, -1);
+        },
+        renderDebug(ctx, entity) {
+            PlayfieldEntityRegistry.renderField(ctx, entity, 'rgba(255, 120, 120, 0.8)', -1);
+        }
+    },
+    {
+        // Blows along a beam from its position, fading out toward the end (angle 0 blows right, 90 down)
+        id: 'fan',
+        name: 'Fan',
+        defaults: { angle: 0, length: 400, width: 150, strength: 0.08 },
+        place(entity) {
+            const radians = entity.angle * Math.PI / 180;
+            entity.dirX = Math.cos(radians);
+            entity.dirY = Math.sin(radians);
+        },
+        push(entity, bubble, dt, graceFactor) {
+            const dx = bubble.x - entity.x;
+            const dy = bubble.y - entity.y;
+            const along = dx * entity.dirX + dy * entity.dirY;
+            if (along < 0 || along > entity.length) return;
+
+            // Bubbles half inside the beam still catch it
+            const across = Math.abs(dx * entity.dirY - dy * entity.dirX);
+            if (across > entity.width / 2 + bubble.radius * 0.5) return;
+
+            const sizeFactor = Math.min(2, 100 / bubble.size);
+            const force = entity.strength * (1 - along / entity.length) * sizeFactor * dt * graceFactor;
+
+            bubble.vx += entity.dirX * force;
+            bubble.vy += entity.dirY * force;
+        },
+        renderDebug(ctx, entity) {
+            const halfWidth = entity.width / 2;
+            const endX = entity.x + entity.dirX * entity.length;
+            const endY = entity.y + entity.dirY * entity.length;
+
+            // Beam outline
+            ctx.strokeStyle = 'rgba(120, 200, 255, 0.8)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(entity.x - entity.dirY * halfWidth, entity.y + entity.dirX * halfWidth);
+            ctx.lineTo(endX - entity.dirY * halfWidth, endY + entity.dirX * halfWidth);
+            ctx.lineTo(endX + entity.dirY * halfWidth, endY - entity.dirX * halfWidth);
+            ctx.lineTo(entity.x + entity.dirY * halfWidth, entity.y - entity.dirX * halfWidth);
+            ctx.closePath();
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Fan blades and the direction it blows
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(entity.x - entity.dirY * halfWidth, entity.y + entity.dirX * halfWidth);
+            ctx.lineTo(entity.x + entity.dirY * halfWidth, entity.y - entity.dirX * halfWidth);
+            ctx.stroke();
+
+            const arrow = Math.min(80, entity.length / 2);
+            const tipX = entity.x + entity.dirX * arrow;
+            const tipY = entity.y + entity.dirY * arrow;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(entity.x, entity.y);
+            ctx.lineTo(tipX, tipY);
+            ctx.moveTo(tipX - entity.dirX * 10 - entity.dirY * 6, tipY - entity.dirY * 10 + entity.dirX * 6);
+            ctx.lineTo(tipX, tipY);
+            ctx.lineTo(tipX - entity.dirX * 10 + entity.dirY * 6, tipY - entity.dirY * 10 - entity.dirX * 6);
+            ctx.stroke();
+        }
+    }
+];
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlayfieldEntityRegistry };
+}
@@ -0,0 +1,192 @@
+/**
+ * Quality Governor for Soap Bubbles
+ * Steps rendering and simulation quality down when frames run over budget
+ * and back up when there is headroom, with hysteresis to avoid flip-flopping
+ */
+
+class QualityGovernor {
+    constructor(game, targetFPS = 60) {
+        this.game = game;
+
+        // Quality tiers, best first
+        this.tiers = [
+            {
+                name: 'high',
+                particleQuality: 1.0,
+                particlePerformanceMode: false,
+                maxBubblesScale: 1.0,
+                shimmer: true,
+                sparkle: true,
+                dprScale: 1.0,
+                audioVoices: 5,
+                simplePhysics: false,
+                softBodies: true
+            },
+            {
+                name: 'medium',
+                particleQuality: 0.7,
+                particlePerformanceMode: false,
+                maxBubblesScale: 0.85,
+                shimmer: true,
+                sparkle: false,
+                dprScale: 0.85,
+                audioVoices: 4,
+                simplePhysics: false,
+                softBodies: true
+            },
+            {
+                name: 'low',
+                particleQuality: 0.5,
+                particlePerformanceMode: true,
+                maxBubblesScale: 0.7,
+                shimmer: false,
+                sparkle: false,
+                dprScale: 0.7,
+                audioVoices: 3,
+                simplePhysics: true,
+                softBodies: false
+            },
+            {
+                name: 'minimal',
+                particleQuality: 0.3,
+                particlePerformanceMode: true,
+                maxBubblesScale: 0.5,
+                shimmer: false,
+                sparkle: false,
+                dprScale: 0.5,
+                audioVoices: 2,
+                simplePhysics: true,
+                softBodies: false
+            }
+        ];
+
+        // Hysteresis configuration
+        this.config = {
+            frameBudget: 1000 / targetFPS, // ms of work allowed per frame
+            stepDownRatio: 0.9, // Step down when average frame time exceeds 90% of budget
+            stepUpRatio: 0.5, // Step up when average frame time is under 50% of budget
+            stepDownSamples: 2, // Consecutive slow samples before stepping down
+            stepUpSamples: 5, // Consecutive fast samples before stepping up
+            cooldown: 3000 // ms to wait after a change before evaluating again
+        };
+
+        this.currentTier = 0;
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        this.lastChangeTime = 0;
+        this.enabled = true;
+    }
+
+    /**
+     * Evaluate a performance sample (called once per second by PerformanceMonitor)
+     */
+    evaluate(averageFrameTime, fps, now = performance.now()) {
+        if (!this.enabled) return;
+
+        if (now - this.lastChangeTime < this.config.cooldown) {
+            return;
+        }
+
+        const budget = this.config.frameBudget;
+
+        if (averageFrameTime > budget * this.config.stepDownRatio) {
+            this.slowSamples++;
+            this.fastSamples = 0;
+        } else if (averageFrameTime < budget * this.config.stepUpRatio) {
+            this.fastSamples++;
+            this.slowSamples = 0;
+        } else {
+            // Inside the hysteresis band - hold the current tier
+            this.slowSamples = 0;
+            this.fastSamples = 0;
+        }
+
+        if (this.slowSamples >= this.config.stepDownSamples && this.currentTier < this.tiers.length - 1) {
+            console.warn(`Frame time ${averageFrameTime.toFixed(1)}ms over budget (${fps} fps), lowering quality`);
+            this.setTier(this.currentTier + 1, now);
+        } else if (this.fastSamples >= this.config.stepUpSamples && this.currentTier > 0) {
+            console.log(`Frame time ${averageFrameTime.toFixed(1)}ms has headroom, raising quality`);
+            this.setTier(this.currentTier - 1, now);
+        }
+    }
+
+    /**
+     * Switch to a tier and apply it to the game systems
+     */
+    setTier(index, now = performance.now()) {
+        const clamped = Math.max(0, Math.min(this.tiers.length - 1, index));
+        const changed = clamped !== this.currentTier;
+
+        this.currentTier = clamped;
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        this.lastChangeTime = now;
+
+        this.applyTier(this.tiers[clamped]);
+        console.log(`Quality tier: ${this.tiers[clamped].name}`);
+
+        if (changed && typeof this.game.emit === 'function') {
+            this.game.emit('qualitychange', { tier: this.tiers[clamped].name, tierIndex: clamped });
+        }
+    }
+
+    /**
+     * Push a tier's settings into each system
+     */
+    applyTier(tier) {
+        const game = this.game;
+
+        if (game.particleSystem) {
+            game.particleSystem.enablePerformanceMode(tier.particlePerformanceMode);
+            game.particleSystem.setQualityLevel(tier.particleQuality);
+        }
+
+        if (game.physicsEngine) {
+            game.physicsEngine.enableSimplePhysics(tier.simplePhysics);
+        }
+
+        if (game.audioManager) {
+            game.audioManager.setMaxVoices(tier.audioVoices);
+        }
+
+        if (game.bubbleManager) {
+            game.bubbleManager.renderOptions.shimmer = tier.shimmer;
+            game.bubbleManager.renderOptions.sparkle = tier.sparkle;
+            if (game.bubbleManager.softBodies !== tier.softBodies) {
+                game.bubbleManager.setSoftBodies(tier.softBodies);
+            }
+        }
+
+        game.qualityBubbleScale = tier.maxBubblesScale;
+        game.setRenderScale(tier.dprScale);
+    }
+
+    /**
+     * Enable or disable automatic adjustment
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+    }
+
+    /**
+     * Get the current tier
+     */
+    getCurrentTier() {
+        return this.tiers[this.currentTier];
+    }
+
+    /**
+     * Get governor status for debugging
+     */
+    getStatus() {
+        return {
+            tier: this.tiers[this.currentTier].name,
+            tierIndex: this.currentTier,
+            tierCount: this.tiers.length,
+            enabled: this.enabled,
+            frameBudget: this.config.frameBudget
+        };
+    }
+}
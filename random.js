@@ -0,0 +1,70 @@
+/**
+ * Random Sources for Soap Bubbles
+ * Pluggable random number generators so a seed can reproduce a whole session
+ * Every system calls random.next() instead of Math.random() directly
+ */
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) - mulberry32, fast and good enough for gameplay
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Independent stream derived from this one, so systems don't shift each other's sequences
+     */
+    fork() {
+        return new SeededRandom(Math.floor(this.next() * 4294967296));
+    }
+
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Create a fresh seed for a new session
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
+
+/**
+ * Unseeded source backed by Math.random (the default outside deterministic mode)
+ */
+class MathRandom {
+    constructor() {
+        this.seed = null;
+    }
+
+    next() {
+        return Math.random();
+    }
+
+    fork() {
+        return this;
+    }
+
+    reset() {
+        // Nothing to reset
+    }
+}
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, MathRandom };
+}
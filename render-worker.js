@@ -0,0 +1,167 @@
+/**
+ * Render Worker for Soap Bubbles
+ * Runs the bubble simulation and draws it into an OffscreenCanvas, off the page's main thread
+ * Started by WorkerRenderer (worker-renderer.js), which documents the messages both ways
+ */
+
+importScripts(
+    'random.js',
+    'spatial-hash.js',
+    'bubble-types.js',
+    'playfield-entities.js',
+    'physics-engine.js',
+    'particle-system.js',
+    'sprite-cache.js',
+    'soft-body.js',
+    'quality-governor.js',
+    'breathing-guide.js',
+    'event-emitter.js',
+    'bubble-game.js'
+);
+
+// Browsers without animation frames in workers get a timer at the target frame rate
+if (typeof self.requestAnimationFrame !== 'function') {
+    self.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+}
+
+class RenderWorker {
+    constructor() {
+        this.game = null;
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Build the game around the canvas the page transferred
+     */
+    init(message) {
+        const game = new BubbleGame();
+        game.adZones = message.adZones;
+        game.initWorker(message.canvas, message.width, message.height, message.dpr);
+        this.game = game;
+
+        // Tell the page what it keeps score of (a Bubble can't be posted, so just what it needs)
+        game.on('pop', ({ bubble, type, score, depth }) => {
+            self.postMessage({
+                type: 'pop',
+                bubble: { x: bubble.x, y: bubble.y, size: bubble.size, merged: bubble.merged },
+                bubbleType: type,
+                score,
+                depth
+            });
+        });
+
+        game.on('combo', ({ combo }) => {
+            self.postMessage({ type: 'combo', combo });
+        });
+
+        game.on('qualitychange', ({ tier, tierIndex }) => {
+            self.postMessage({ type: 'qualitychange', tier, tierIndex });
+        });
+    }
+
+    /**
+     * Handle a message from the page
+     */
+    handleMessage(event) {
+        const message = event.data;
+
+        if (message.type === 'init') {
+            this.init(message);
+            return;
+        }
+
+        const game = this.game;
+        if (!game) return;
+
+        switch (message.type) {
+            case 'resize':
+                game.dpr = message.dpr;
+                game.setPlayfieldSize(message.width, message.height);
+                game.setupCanvas();
+                break;
+            case 'pointer':
+                this.handlePointer(message);
+                break;
+            case 'setting':
+                // Reward themes are only known to the page until it sends them
+                if (message.key === 'theme' && message.theme && !game.themes[message.value]) {
+                    game.themes[message.value] = message.theme;
+                }
+                game.applySetting(message.key, message.value);
+                break;
+            case 'background':
+                // Only the gradient is drawn on the canvas; other backgrounds show through from the page
+                game.currentBackground = message.background;
+                break;
+            case 'start':
+                game.gameStarted = true;
+                game.breakFade = null;
+                game.spawnInitialBubbles();
+                game.start();
+                game.resume();
+                break;
+            case 'stop':
+                game.stop();
+                break;
+            case 'pause':
+                game.pause();
+                break;
+            case 'resume':
+                game.resume();
+                break;
+            case 'reset':
+                game.resetSimulation();
+                game.breakFade = null;
+                break;
+            case 'breakFade':
+                game.breakFade = message.breakFade;
+                break;
+            case 'celebrateGoal':
+                game.celebrateGoal();
+                break;
+            case 'configureChainReaction':
+                game.configureChainReaction(message.options);
+                break;
+            case 'configureCursorWake':
+                game.configureCursorWake(message.options);
+                break;
+            case 'loadLayout':
+                game.loadLayout(message.layout);
+                break;
+            case 'toggleDebug':
+                game.performanceMonitor.toggleDebugMode();
+                break;
+            default:
+                console.warn(`Unknown render worker message: ${message.type}`);
+        }
+    }
+
+    /**
+     * Replay a page pointer event on the worker's input handler
+     */
+    handlePointer(message) {
+        const input = this.game.inputHandler;
+
+        switch (message.kind) {
+            case 'down':
+                input.pointerDown(message.id, message.pointerType, message.x, message.y);
+                break;
+            case 'move':
+                input.pointerMove(message.id, message.pointerType, message.x, message.y);
+                break;
+            case 'up':
+                input.pointerUp(message.id, message.pointerType);
+                break;
+            case 'leave':
+                input.pointerLeave(message.id);
+                break;
+        }
+    }
+}
+
+const renderWorker = new RenderWorker();
+self.addEventListener('message', renderWorker.handleMessage);
+
+// Scripts are loaded - the page can transfer its canvas now
+self.postMessage({ type: 'loaded' });
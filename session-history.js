@@ -0,0 +1,432 @@
+/**
+ * Session History for Soap Bubbles
+ * Keeps every play session on this device (IndexedDB, falling back to memory) and
+ * works out daily/weekly totals and streaks for the stats panel
+ * Nothing here leaves the browser - exports are files the player downloads themselves
+ */
+
+class SessionHistory {
+    constructor(options = {}) {
+        this.backend = options.backend || SessionHistory.createDefaultBackend();
+        this.now = options.now || (() => Date.now());
+        this.current = null; // Session being played
+        this.saving = Promise.resolve(); // Last save queued, so saves of one session never overlap
+    }
+
+    /**
+     * IndexedDB when it works, otherwise memory (history lasts for this visit)
+     */
+    static createDefaultBackend() {
+        if (IndexedDBHistoryBackend.isAvailable()) {
+            return new IndexedDBHistoryBackend();
+        }
+
+        console.warn('IndexedDB unavailable, session history will not be kept between visits');
+        return new MemoryHistoryBackend();
+    }
+
+    /**
+     * Start a new session; resolves once the previous one is saved
+     */
+    beginSession(details = {}) {
+        const previous = this.endSession();
+
+        this.current = {
+            startedAt: this.now(),
+            endedAt: null,
+            playTime: 0, // ms actually played - paused, hidden and break time don't count
+            pops: 0,
+            theme: details.theme || 'classic',
+            mode: details.mode || 'zen',
+            popsPerMinute: 0
+        };
+
+        return previous;
+    }
+
+    /**
+     * Count pops towards the current session
+     */
+    recordPop(amount = 1) {
+        if (this.current) {
+            this.current.pops += amount;
+        }
+    }
+
+    /**
+     * Keep the session's play time up to date (the game counts it in simulated time)
+     */
+    setPlayTime(playTime) {
+        if (this.current) {
+            this.current.playTime = playTime;
+        }
+    }
+
+    /**
+     * Keep the session's theme up to date (the last theme used is stored)
+     */
+    setTheme(theme) {
+        if (this.current) {
+            this.current.theme = theme;
+        }
+    }
+
+    /**
+     * Save the current session as it stands (called when the page is hidden)
+     */
+    async flush() {
+        return this.current ? this.save(this.current) : null;
+    }
+
+    /**
+     * Save and close the current session
+     */
+    async endSession() {
+        const session = this.current;
+        this.current = null;
+        return session ? this.save(session) : null;
+    }
+
+    /**
+     * Store a session with its end time and average pace
+     * Saves run one after another, so a session flushed twice while the first put is pending
+     * is updated under the id that put returned rather than stored again
+     */
+    save(session) {
+        const saved = this.saving.then(() => this.store(session));
+        this.saving = saved;
+        return saved;
+    }
+
+    /**
+     * Write a session to the backend (through save, never directly)
+     */
+    async store(session) {
+        session.endedAt = this.now();
+
+        const minutes = session.playTime / 60000;
+        session.popsPerMinute = minutes > 0 ? Math.round((session.pops / minutes) * 10) / 10 : 0;
+
+        // Brief sessions with nothing popped aren't worth keeping
+        if (session.pops === 0 && session.playTime < SessionHistory.MIN_EMPTY_SESSION) {
+            return null;
+        }
+
+        try {
+            session.id = await this.backend.put({ ...session });
+        } catch (error) {
+            console.warn('Failed to save session:', error);
+        }
+
+        return session;
+    }
+
+    /**
+     * Every stored session, oldest first
+     */
+    async getSessions() {
+        try {
+            const sessions = await this.backend.getAll();
+            return sessions.sort((a, b) => a.startedAt - b.startedAt);
+        } catch (error) {
+            console.warn('Failed to read session history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete every stored session
+     */
+    async clear() {
+        // Let pending saves land first, so they aren't written back after the clear
+        await this.saving;
+
+        try {
+            await this.backend.clear();
+        } catch (error) {
+            console.warn('Failed to clear session history:', error);
+        }
+
+        // The session in progress starts over so it isn't re-saved with old pops
+        if (this.current) {
+            this.current.startedAt = this.now();
+            this.current.playTime = 0;
+            this.current.pops = 0;
+            delete this.current.id;
+        }
+    }
+
+    /**
+     * Totals for today and the last 7 days, streaks, and pops per day for the chart
+     */
+    async getStats() {
+        const sessions = await this.getSessions();
+        const todayKey = SessionHistory.dayKey(this.now());
+
+        const days = new Map(); // day key -> { pops, sessions, minutes }
+        sessions.forEach(session => {
+            const key = SessionHistory.dayKey(session.startedAt);
+            const day = days.get(key) || { pops: 0, sessions: 0, minutes: 0 };
+            day.pops += session.pops;
+            day.sessions++;
+            day.minutes += SessionHistory.getPlayMinutes(session);
+            days.set(key, day);
+        });
+
+        // Last 7 days, oldest first
+        const daily = [];
+        for (let i = 6; i >= 0; i--) {
+            const key = SessionHistory.dayKey(SessionHistory.addDays(this.now(), -i));
+            daily.push({ day: key, ...(days.get(key) || { pops: 0, sessions: 0, minutes: 0 }) });
+        }
+
+        const week = daily.reduce((total, day) => ({
+            pops: total.pops + day.pops,
+            sessions: total.sessions + day.sessions,
+            minutes: total.minutes + day.minutes
+        }), { pops: 0, sessions: 0, minutes: 0 });
+
+        return {
+            today: days.get(todayKey) || { pops: 0, sessions: 0, minutes: 0 },
+            week,
+            daily,
+            currentStreak: this.getCurrentStreak(days),
+            longestStreak: SessionHistory.getLongestStreak(Array.from(days.keys())),
+            totalSessions: sessions.length
+        };
+    }
+
+    /**
+     * Minutes a session was played (sessions saved before play time was kept use their wall-clock length)
+     */
+    static getPlayMinutes(session) {
+        if (typeof session.playTime === 'number') {
+            return session.playTime / 60000;
+        }
+        return Math.max(0, (session.endedAt || session.startedAt) - session.startedAt) / 60000;
+    }
+
+    /**
+     * Days in a row with a session, up to today (a streak isn't broken until today is over)
+     */
+    getCurrentStreak(days) {
+        let date = this.now();
+        if (!days.has(SessionHistory.dayKey(date))) {
+            date = SessionHistory.addDays(date, -1);
+        }
+
+        let streak = 0;
+        while (days.has(SessionHistory.dayKey(date))) {
+            streak++;
+            date = SessionHistory.addDays(date, -1);
+        }
+        return streak;
+    }
+
+    /**
+     * Longest run of consecutive days among day keys
+     */
+    static getLongestStreak(dayKeys) {
+        const sorted = dayKeys.slice().sort();
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+
+        sorted.forEach(key => {
+            const date = SessionHistory.parseDayKey(key);
+            run = previous !== null && SessionHistory.dayKey(SessionHistory.addDays(previous, 1)) === key ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = date;
+        });
+
+        return longest;
+    }
+
+    /**
+     * Sessions as pretty-printed JSON
+     */
+    async exportJSON() {
+        const sessions = await this.getSessions();
+        return JSON.stringify({
+            exportedAt: new Date(this.now()).toISOString(),
+            sessions: sessions.map(SessionHistory.toExportRecord)
+        }, null, 2);
+    }
+
+    /**
+     * Sessions as CSV, one row each
+     */
+    async exportCSV() {
+        const sessions = await this.getSessions();
+        const columns = SessionHistory.EXPORT_COLUMNS;
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = sessions.map(session => {
+            const record = SessionHistory.toExportRecord(session);
+            return columns.map(column => escape(record[column])).join(',');
+        });
+
+        return [columns.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Session with readable timestamps for exports
+     */
+    static toExportRecord(session) {
+        return {
+            start: new Date(session.startedAt).toISOString(),
+            end: new Date(session.endedAt || session.startedAt).toISOString(),
+            pops: session.pops,
+            popsPerMinute: session.popsPerMinute,
+            theme: session.theme,
+            mode: session.mode
+        };
+    }
+
+    /**
+     * Local calendar day for a timestamp (YYYY-MM-DD)
+     */
+    static dayKey(timestamp) {
+        const date = new Date(timestamp);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Timestamp at local noon of a day key (noon keeps day arithmetic clear of DST changes)
+     */
+    static parseDayKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day, 12).getTime();
+    }
+
+    /**
+     * Same time of day, some calendar days later (or earlier)
+     */
+    static addDays(timestamp, days) {
+        const date = new Date(timestamp);
+        date.setDate(date.getDate() + days);
+        return date.getTime();
+    }
+}
+
+// Sessions shorter than this (ms) with no pops are not saved
+SessionHistory.MIN_EMPTY_SESSION = 10000;
+
+SessionHistory.EXPORT_COLUMNS = ['start', 'end', 'pops', 'popsPerMinute', 'theme', 'mode'];
+
+/**
+ * IndexedDB backend - one record per session, keyed by an auto-increment id
+ */
+class IndexedDBHistoryBackend {
+    constructor(databaseName = 'bubblebreak', storeName = 'sessions') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+    }
+
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (this.database) {
+            return this.database;
+        }
+
+        this.database = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, IndexedDBHistoryBackend.DATABASE_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Let a later call try again if opening failed
+        this.database.catch(() => {
+            this.database = null;
+        });
+
+        return this.database;
+    }
+
+    /**
+     * Run one request against the store and resolve with its result
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add or update a session; resolves with its id
+     */
+    put(record) {
+        if (record.id === undefined) {
+            delete record.id;
+        }
+        return this.run('readwrite', store => store.put(record));
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+IndexedDBHistoryBackend.DATABASE_VERSION = 1;
+
+/**
+ * In-memory backend used when IndexedDB is unavailable
+ */
+class MemoryHistoryBackend {
+    constructor() {
+        this.records = new Map();
+        this.nextId = 1;
+    }
+
+    async put(record) {
+        const id = record.id !== undefined ? record.id : this.nextId++;
+        this.records.set(id, { ...record, id });
+        return id;
+    }
+
+    async getAll() {
+        return Array.from(this.records.values()).map(record => ({ ...record }));
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+}
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionHistory, IndexedDBHistoryBackend, MemoryHistoryBackend };
+}
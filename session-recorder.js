@@ -0,0 +1,473 @@
+/**
+ * Session Recorder for Soap Bubbles
+ * Records a session (seed, settings changes and the pointer stream) and replays it exactly
+ * Events are keyed by simulation step rather than wall-clock time, so a replay reproduces
+ * the same bubbles and pops on any machine as long as it runs with the recorded timestep
+ */
+
+class SessionRecorder {
+    constructor(game) {
+        this.game = game;
+        this.mode = 'idle'; // 'idle', 'recording' or 'replaying'
+        this.stepCount = 0; // Simulation steps since the session began
+
+        // Recording state
+        this.recording = null;
+        this.pointerIndex = new Map(); // live pointer id -> index in recording.pointers
+
+        // Replay state
+        this.replay = null;
+        this.replayEventIndex = 0;
+        this.replayLoop = false;
+        this.replayInput = null;
+        this.liveInput = null;
+        this.liveHoverCallback = null;
+        this.liveSettings = null; // Player's settings, put back when the replay ends
+        this.liveSize = null; // Player's playfield size, also put back
+
+        // Player's quality, timestep and random source, put back when a recording or replay ends
+        this.liveState = null;
+    }
+
+    /**
+     * Start a fresh deterministic session and record it
+     */
+    startRecording(seed = SeededRandom.createSeed()) {
+        // Recordings re-run the simulation on this thread, so they can't follow a render worker
+        if (this.game.renderWorker) {
+            console.warn('Recording needs the main-thread renderer (remove ?renderer=worker)');
+            return null;
+        }
+
+        if (this.mode === 'replaying') {
+            this.stopReplay();
+        }
+
+        const game = this.game;
+        this.liveState = this.getLiveState();
+
+        const session = {
+            version: SessionRecorder.FORMAT_VERSION,
+            seed: seed >>> 0,
+            timestep: game.config.fixedTimestep > 0 ? game.config.fixedTimestep : 1000 / 60,
+            width: game.width,
+            height: game.height,
+            quality: {
+                bubbleScale: game.qualityBubbleScale,
+                simplePhysics: game.physicsEngine ? game.physicsEngine.simplePhysics : false,
+                softBodies: game.bubbleManager ? game.bubbleManager.softBodies : false
+            },
+            settings: this.getCurrentSettings(),
+            pointers: [], // Pointer types ('m'ouse, 't'ouch, 'p'en) by index
+            events: [], // [step, 'd'|'m', pointer, x, y], [step, 'u'|'l', pointer], [step, 's', key, value]
+            steps: 0
+        };
+
+        this.beginSession(session);
+
+        this.recording = session;
+        this.pointerIndex.clear();
+        this.mode = 'recording';
+
+        // A hovering mouse keeps popping, so start the recording with it in place
+        // Touches already in contact are dropped - the replay couldn't press them without popping
+        for (const pointer of game.inputHandler.getActivePointers()) {
+            if (pointer.type === 'mouse') {
+                this.recordPointer('move', pointer.id, pointer.type, pointer.x, pointer.y);
+            } else {
+                game.inputHandler.removePointer(pointer.id);
+            }
+        }
+        game.inputHandler.touchActive = false;
+
+        // Every pointer event from the canvas passes through the input handler
+        game.inputHandler.onPointerInput = (kind, id, type, x, y) => {
+            this.recordPointer(kind, id, type, x, y);
+        };
+
+        console.log(`Recording session (seed ${session.seed})`);
+        return session.seed;
+    }
+
+    /**
+     * Stop recording and return the recording
+     */
+    stopRecording() {
+        if (this.mode !== 'recording') {
+            console.warn('Not recording');
+            return null;
+        }
+
+        this.game.inputHandler.onPointerInput = null;
+        this.recording.steps = this.stepCount;
+        this.mode = 'idle';
+
+        this.restoreLiveState();
+
+        console.log(`Recording stopped: ${this.recording.steps} steps, ${this.recording.events.length} events`);
+        return this.recording;
+    }
+
+    /**
+     * Settings that change the simulation (volume and background don't)
+     */
+    getCurrentSettings() {
+        const game = this.game;
+
+        return {
+            speed: game.speedLevel,
+            density: game.densityLevel,
+            theme: game.currentTheme,
+            collisions: game.physicsEngine ? game.physicsEngine.bubbleCollisions : false,
+            chainReactions: game.config.chainReaction.enabled,
+            calmMode: game.config.calmMode.enabled,
+            merging: game.physicsEngine ? game.physicsEngine.bubbleMerging : false,
+            physics: game.physicsEngine ? game.physicsEngine.presetId : 'classic',
+            cursorWake: game.physicsEngine ? game.physicsEngine.getWakeSettings() : { strength: 0 },
+            layout: game.physicsEngine ? game.physicsEngine.getLayout() : null,
+            breathing: game.breathingGuide && game.breathingGuide.isActive() ? game.breathingGuide.pattern.id : 'off'
+        };
+    }
+
+    /**
+     * Put the game in the exact starting state described by a recording
+     * Recording and replay both go through here so their first steps match
+     */
+    beginSession(session) {
+        const game = this.game;
+
+        game.resetSimulation();
+
+        // Breeze zones and spawn positions depend on the playfield, so size it before seeding
+        game.setPlayfieldSize(session.width, session.height);
+
+        game.qualityBubbleScale = session.quality.bubbleScale;
+        if (game.physicsEngine) {
+            game.physicsEngine.enableSimplePhysics(session.quality.simplePhysics);
+        }
+
+        // Soft bodies change hit-testing; recordings from before them used circles
+        game.bubbleManager.setSoftBodies(session.quality.softBodies === true);
+
+        game.enableDeterministicMode(session.seed, session.timestep);
+
+        // Recordings from before chain reactions, breathing, calm mode, the cursor wake, merging,
+        // physics presets and playfield layouts existed had them off (or the classic physics)
+        const settings = {
+            chainReactions: false,
+            breathing: 'off',
+            calmMode: false,
+            merging: false,
+            physics: 'classic',
+            cursorWake: { strength: 0 },
+            layout: null,
+            ...session.settings
+        };
+        Object.keys(settings).forEach(key => {
+            game.applySetting(key, settings[key]);
+        });
+
+        // Sessions are recorded and replayed in zen mode
+        this.stepCount = 0;
+        game.startGame('zen');
+    }
+
+    /**
+     * Record a pointer event from the input handler
+     */
+    recordPointer(kind, id, type, x, y) {
+        let index = this.pointerIndex.get(id);
+        if (index === undefined) {
+            index = this.recording.pointers.length;
+            this.recording.pointers.push(SessionRecorder.POINTER_TYPES[type] || 't');
+            this.pointerIndex.set(id, index);
+        }
+
+        const code = SessionRecorder.EVENT_CODES[kind];
+        if (code === 'd' || code === 'm') {
+            this.recording.events.push([this.stepCount, code, index, x, y]);
+        } else {
+            this.recording.events.push([this.stepCount, code, index]);
+        }
+    }
+
+    /**
+     * Record a settings change (called by BubbleGame.saveSetting)
+     */
+    recordSetting(key, value) {
+        if (this.mode !== 'recording') return;
+        if (!SessionRecorder.SIMULATION_SETTINGS.includes(key)) return;
+
+        this.recording.events.push([this.stepCount, 's', key, value]);
+    }
+
+    /**
+     * Replay a recording (object or JSON string); live input is ignored until it ends
+     */
+    startReplay(recording, options = {}) {
+        if (this.game.renderWorker) {
+            console.warn('Replays need the main-thread renderer (remove ?renderer=worker)');
+            return false;
+        }
+
+        const session = SessionRecorder.parse(recording);
+        if (!session) {
+            return false;
+        }
+
+        if (this.mode === 'recording') {
+            this.stopRecording();
+        } else if (this.mode === 'replaying') {
+            this.stopReplay();
+        }
+
+        const game = this.game;
+        this.liveSettings = this.getCurrentSettings();
+        this.liveSize = { width: game.width, height: game.height };
+        this.liveState = this.getLiveState();
+
+        // Recorded pointers drive a canvas-less input handler in place of the live one
+        this.liveInput = game.inputHandler;
+        this.liveHoverCallback = this.liveInput.onBubbleHover;
+        this.liveInput.onBubbleHover = null;
+
+        this.replayInput = new InputHandler(null);
+        this.replayInput.onBubbleHover = this.liveHoverCallback;
+        game.inputHandler = this.replayInput;
+
+        this.replay = session;
+        this.replayLoop = !!options.loop;
+        this.mode = 'replaying';
+
+        this.restartReplay();
+
+        console.log(`Replaying session (seed ${session.seed}, ${session.steps} steps${this.replayLoop ? ', looping' : ''})`);
+        return true;
+    }
+
+    /**
+     * Start the current replay from its first step
+     */
+    restartReplay() {
+        this.replayEventIndex = 0;
+        this.replayInput.pointers.clear();
+        this.beginSession(this.replay);
+    }
+
+    /**
+     * End a replay and hand control back to the player
+     */
+    stopReplay() {
+        if (this.mode !== 'replaying') return;
+
+        const game = this.game;
+        game.inputHandler = this.liveInput;
+        this.liveInput.onBubbleHover = this.liveHoverCallback;
+
+        this.replay = null;
+        this.replayInput = null;
+        this.liveInput = null;
+        this.liveHoverCallback = null;
+        this.mode = 'idle';
+
+        // Put the player's own playfield and settings back
+        game.setPlayfieldSize(this.liveSize.width, this.liveSize.height);
+        this.liveSize = null;
+        this.restoreLiveState();
+
+        Object.keys(this.liveSettings).forEach(key => {
+            game.applySetting(key, this.liveSettings[key]);
+        });
+        this.liveSettings = null;
+
+        console.log('Replay finished');
+    }
+
+    /**
+     * What beginSession overrides besides settings: quality snapshot, timestep, seed and the quality governor
+     */
+    getLiveState() {
+        const game = this.game;
+
+        return {
+            seed: game.randomSeed,
+            timestep: game.config.fixedTimestep,
+            governor: game.qualityGovernor ? game.qualityGovernor.enabled : false,
+            bubbleScale: game.qualityBubbleScale,
+            simplePhysics: game.physicsEngine ? game.physicsEngine.simplePhysics : false,
+            softBodies: game.bubbleManager ? game.bubbleManager.softBodies : false
+        };
+    }
+
+    /**
+     * Put back the state saved by getLiveState (a seeded player restarts their seed)
+     */
+    restoreLiveState() {
+        const game = this.game;
+        const state = this.liveState;
+        if (!state) return;
+
+        game.qualityBubbleScale = state.bubbleScale;
+        if (game.physicsEngine) {
+            game.physicsEngine.enableSimplePhysics(state.simplePhysics);
+        }
+        game.bubbleManager.setSoftBodies(state.softBodies);
+
+        if (state.seed !== null) {
+            game.enableDeterministicMode(state.seed, state.timestep);
+        } else {
+            game.disableDeterministicMode();
+        }
+
+        if (game.qualityGovernor) {
+            game.qualityGovernor.setEnabled(state.governor);
+        }
+
+        this.liveState = null;
+    }
+
+    /**
+     * The window resized during a replay - remember the new size for when it ends
+     */
+    resizeLivePlayfield(width, height) {
+        this.liveSize = { width, height };
+        this.game.setPlayfieldSize(this.replay.width, this.replay.height);
+    }
+
+    /**
+     * Called at the start of every simulation step
+     */
+    update() {
+        if (this.mode === 'replaying') {
+            // Includes anything recorded after the last step, before recording stopped
+            this.applyReplayEvents();
+
+            if (this.stepCount >= this.replay.steps) {
+                if (this.replayLoop) {
+                    this.restartReplay();
+                    this.applyReplayEvents();
+                } else {
+                    this.stopReplay();
+                    return;
+                }
+            }
+        }
+
+        if (this.mode !== 'idle') {
+            this.stepCount++;
+        }
+    }
+
+    /**
+     * Feed every event recorded for the current step into the replay input
+     */
+    applyReplayEvents() {
+        const events = this.replay.events;
+
+        while (this.replayEventIndex < events.length && events[this.replayEventIndex][0] <= this.stepCount) {
+            const event = events[this.replayEventIndex++];
+            const code = event[1];
+
+            if (code === 's') {
+                this.game.applySetting(event[2], event[3]);
+                continue;
+            }
+
+            const id = event[2];
+            const type = SessionRecorder.POINTER_NAMES[this.replay.pointers[id]] || 'touch';
+
+            switch (code) {
+                case 'd':
+                    this.replayInput.pointerDown(id, type, event[3], event[4]);
+                    break;
+                case 'm':
+                    this.replayInput.pointerMove(id, type, event[3], event[4]);
+                    break;
+                case 'u':
+                    this.replayInput.pointerUp(id, type);
+                    break;
+                case 'l':
+                    this.replayInput.pointerLeave(id);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Whether a replay is driving the game
+     */
+    isReplaying() {
+        return this.mode === 'replaying';
+    }
+
+    /**
+     * Whether a session is being recorded
+     */
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    /**
+     * Serialize a recording to compact JSON
+     */
+    static serialize(recording) {
+        return JSON.stringify(recording);
+    }
+
+    /**
+     * Parse and validate a recording, returning null if it can't be replayed
+     */
+    static parse(recording) {
+        let session = recording;
+
+        try {
+            if (typeof recording === 'string') {
+                session = JSON.parse(recording);
+            }
+        } catch (error) {
+            console.warn('Recording is not valid JSON:', error);
+            return null;
+        }
+
+        if (!session || typeof session !== 'object') {
+            console.warn('Recording is empty');
+            return null;
+        }
+
+        if (session.version !== SessionRecorder.FORMAT_VERSION) {
+            console.warn(`Unsupported recording version: ${session.version}`);
+            return null;
+        }
+
+        const valid = typeof session.seed === 'number' &&
+                      session.timestep > 0 &&
+                      session.width > 0 && session.height > 0 &&
+                      session.quality && session.settings &&
+                      Array.isArray(session.pointers) &&
+                      Array.isArray(session.events) &&
+                      typeof session.steps === 'number';
+
+        if (!valid) {
+            console.warn('Recording is missing required fields');
+            return null;
+        }
+
+        return session;
+    }
+}
+
+// Bump when the recording shape changes
+SessionRecorder.FORMAT_VERSION = 1;
+
+// Settings that affect the simulation and are replayed
+SessionRecorder.SIMULATION_SETTINGS = ['speed', 'density', 'theme', 'collisions', 'chainReactions', 'calmMode', 'merging', 'physics', 'cursorWake', 'layout', 'breathing'];
+
+// Compact codes used in recordings
+SessionRecorder.EVENT_CODES = { down: 'd', move: 'm', up: 'u', leave: 'l' };
+SessionRecorder.POINTER_TYPES = { mouse: 'm', touch: 't', pen: 'p' };
+SessionRecorder.POINTER_NAMES = { m: 'mouse', t: 'touch', p: 'pen' };
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionRecorder };
+}
@@ -0,0 +1,349 @@
+/**
+ * Settings Store for Soap Bubbles
+ * Persists player settings between visits using a versioned schema
+ * Falls back to in-memory storage when localStorage is unavailable (private windows, blocked storage)
+ */
+
+class SettingsStore {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'bubblebreak-settings';
+        this.backend = options.backend || SettingsStore.getSharedBackend();
+        this.settings = null;
+    }
+
+    /**
+     * Pick localStorage when it actually works, otherwise keep settings in memory
+     */
+    static createDefaultBackend() {
+        if (LocalStorageBackend.isAvailable()) {
+            return new LocalStorageBackend();
+        }
+
+        console.warn('localStorage unavailable - settings and progress will only last for this visit');
+        return new MemoryStorageBackend();
+    }
+
+    /**
+     * The default backend, created once and shared by every store on the page (so the warning shows once)
+     */
+    static getSharedBackend() {
+        if (!SettingsStore.sharedBackend) {
+            SettingsStore.sharedBackend = SettingsStore.createDefaultBackend();
+        }
+        return SettingsStore.sharedBackend;
+    }
+
+    /**
+     * Default values, matching the controls in index.html
+     */
+    static getDefaults() {
+        return {
+            volume: 5, // Slider level 0-10
+            speed: 5, // Slider level 0-10
+            density: 5, // Slider level 0-10
+            theme: 'classic',
+            background: 'gradient',
+            collisions: false, // Soft bubble-to-bubble collisions
+            chainReactions: false, // Pops set off nearby bubbles
+            calmMode: false, // Slow pointers herd bubbles instead of popping them
+            merging: false, // Slow touching bubbles merge into bigger ones
+            physics: 'classic', // Physics preset id (see PhysicsEngine.PRESETS)
+            breathingCue: false, // Chime at each breathing phase
+            dailyGoal: 'off' // 'off', 'pops:<count>' or 'minutes:<count>'
+        };
+    }
+
+    /**
+     * Load settings from the backend, migrating older payloads to the current schema
+     */
+    load() {
+        let stored = null;
+
+        try {
+            const raw = this.backend.read(this.storageKey);
+            if (raw) {
+                stored = JSON.parse(raw);
+            }
+        } catch (error) {
+            console.warn('Stored settings could not be read, using defaults:', error);
+            stored = null;
+        }
+
+        const migrated = stored ? this.migrate(stored) : null;
+        this.settings = this.sanitize(migrated ? migrated.settings : {});
+
+        // Rewrite migrated payloads so the next load skips the migration
+        if (stored && stored.version !== SettingsStore.SCHEMA_VERSION) {
+            this.save();
+        }
+
+        return this.getAll();
+    }
+
+    /**
+     * Run schema migrations until the payload reaches the current version
+     */
+    migrate(payload) {
+        let version = typeof payload.version === 'number' ? payload.version : 0;
+        let data = payload;
+
+        if (version > SettingsStore.SCHEMA_VERSION) {
+            console.warn(`Settings saved by a newer version (${version}), using defaults`);
+            return null;
+        }
+
+        while (version < SettingsStore.SCHEMA_VERSION) {
+            const migration = SettingsStore.MIGRATIONS[version];
+            if (!migration) {
+                console.warn(`No settings migration from version ${version}, using defaults`);
+                return null;
+            }
+
+            data = migration(data);
+            version++;
+        }
+
+        return data;
+    }
+
+    /**
+     * Clamp and validate settings so bad stored data can't break the game
+     */
+    sanitize(settings) {
+        const defaults = SettingsStore.getDefaults();
+        const clean = { ...defaults };
+        const source = settings || {};
+
+        ['volume', 'speed', 'density'].forEach(key => {
+            const level = parseInt(source[key], 10);
+            if (!isNaN(level)) {
+                clean[key] = Math.max(0, Math.min(10, level));
+            }
+        });
+
+        ['theme', 'background', 'physics'].forEach(key => {
+            if (typeof source[key] === 'string' && source[key]) {
+                clean[key] = source[key];
+            }
+        });
+
+        ['collisions', 'chainReactions', 'calmMode', 'merging', 'breathingCue'].forEach(key => {
+            if (typeof source[key] === 'boolean') {
+                clean[key] = source[key];
+            }
+        });
+
+        if (typeof source.dailyGoal === 'string' && /^(off|(pops|minutes):\d+)$/.test(source.dailyGoal)) {
+            clean.dailyGoal = source.dailyGoal;
+        }
+
+        return clean;
+    }
+
+    /**
+     * Get a single setting
+     */
+    get(key) {
+        if (!this.settings) {
+            this.load();
+        }
+        return this.settings[key];
+    }
+
+    /**
+     * Get a copy of all settings
+     */
+    getAll() {
+        if (!this.settings) {
+            this.load();
+        }
+        return { ...this.settings };
+    }
+
+    /**
+     * Update a single setting and persist it
+     */
+    set(key, value) {
+        if (!this.settings) {
+            this.load();
+        }
+
+        if (!(key in this.settings)) {
+            console.warn(`Unknown setting: ${key}`);
+            return;
+        }
+
+        this.settings = this.sanitize({ ...this.settings, [key]: value });
+        this.save();
+    }
+
+    /**
+     * Write current settings to the backend
+     */
+    save() {
+        const payload = JSON.stringify({
+            version: SettingsStore.SCHEMA_VERSION,
+            settings: this.settings
+        });
+
+        try {
+            this.backend.write(this.storageKey, payload);
+        } catch (error) {
+            // Quota errors or storage revoked mid-session - keep working in memory
+            console.warn('Failed to save settings, switching to in-memory storage:', error);
+            this.backend = new MemoryStorageBackend();
+            this.backend.write(this.storageKey, payload);
+        }
+    }
+
+    /**
+     * Reset all settings to defaults
+     */
+    reset() {
+        this.settings = SettingsStore.getDefaults();
+
+        try {
+            this.backend.remove(this.storageKey);
+        } catch (error) {
+            console.warn('Failed to clear stored settings:', error);
+        }
+
+        return this.getAll();
+    }
+}
+
+// Bump when the stored shape changes and add a migration from the previous version
+SettingsStore.SCHEMA_VERSION = 8;
+
+// Default backend shared by every store (see getSharedBackend)
+SettingsStore.sharedBackend = null;
+
+// Each migration upgrades a payload from version N to N + 1
+SettingsStore.MIGRATIONS = {
+    // Version 0 → 1: unversioned payload with settings stored at the top level
+    0: (payload) => ({
+        version: 1,
+        settings: {
+            volume: payload.volume,
+            speed: payload.speed,
+            density: payload.density,
+            theme: payload.theme,
+            background: payload.background
+        }
+    }),
+
+    // Version 1 → 2: add the bubble collisions toggle
+    1: (payload) => ({
+        version: 2,
+        settings: {
+            ...payload.settings,
+            collisions: false
+        }
+    }),
+
+    // Version 2 → 3: add the chain reactions toggle
+    2: (payload) => ({
+        version: 3,
+        settings: {
+            ...payload.settings,
+            chainReactions: false
+        }
+    }),
+
+    // Version 3 → 4: add the breathing cue toggle
+    3: (payload) => ({
+        version: 4,
+        settings: {
+            ...payload.settings,
+            breathingCue: false
+        }
+    }),
+
+    // Version 4 → 5: add the daily goal
+    4: (payload) => ({
+        version: 5,
+        settings: {
+            ...payload.settings,
+            dailyGoal: 'off'
+        }
+    }),
+
+    // Version 5 → 6: add the calm mode toggle
+    5: (payload) => ({
+        version: 6,
+        settings: {
+            ...payload.settings,
+            calmMode: false
+        }
+    }),
+
+    // Version 6 → 7: add the bubble merging toggle
+    6: (payload) => ({
+        version: 7,
+        settings: {
+            ...payload.settings,
+            merging: false
+        }
+    }),
+
+    // Version 7 → 8: add the physics preset
+    7: (payload) => ({
+        version: 8,
+        settings: {
+            ...payload.settings,
+            physics: 'classic'
+        }
+    })
+};
+
+/**
+ * localStorage backend
+ */
+class LocalStorageBackend {
+    /**
+     * Check localStorage is present and writable (Safari private mode throws on write)
+     */
+    static isAvailable() {
+        try {
+            const testKey = '__bubblebreak_storage_test__';
+            window.localStorage.setItem(testKey, '1');
+            window.localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    read(key) {
+        return window.localStorage.getItem(key);
+    }
+
+    write(key, value) {
+        window.localStorage.setItem(key, value);
+    }
+
+    remove(key) {
+        window.localStorage.removeItem(key);
+    }
+}
+
+/**
+ * In-memory backend used when localStorage is unavailable
+ */
+class MemoryStorageBackend {
+    constructor() {
+        this.data = new Map();
+    }
+
+    read(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    write(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    remove(key) {
+        this.data.delete(key);
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * Soft Body for Soap Bubbles
+ * Models a bubble's surface as a ring of control points on springs, so bubbles can squash, stretch and jiggle
+ *
+ * Each point only moves along its own spoke - offsets are fractions of the bubble's radius, 0 is a perfect circle
+ * Points are pulled toward a target shape (an ellipse set by the forces on the bubble), smoothed against
+ * their neighbours and nudged back toward the bubble's area, so a dent on one side bulges the others
+ * A membrane close enough to round is drawn and hit-tested as a plain circle
+ */
+
+class BubbleMembrane {
+    constructor(pointCount = BubbleMembrane.POINT_COUNT) {
+        this.count = pointCount;
+        this.angles = new Float32Array(pointCount);
+        this.offsets = new Float32Array(pointCount); // Fraction of the radius each point sits out (+) or in (-)
+        this.velocities = new Float32Array(pointCount);
+        this.targets = new Float32Array(pointCount); // Shape the springs pull toward
+
+        for (let i = 0; i < pointCount; i++) {
+            this.angles[i] = (i / pointCount) * Math.PI * 2;
+        }
+
+        // Quadratic curves through the midpoints sit a little inside the control points, so push them out to match
+        const c = Math.cos(Math.PI / pointCount);
+        this.curveScale = 4 / (3 * c + 1);
+
+        this.deformed = false; // Visibly out of round (otherwise drawn and hit-tested as a circle)
+        this.collapsing = false; // Popped - snapping inward with no springs to hold it
+    }
+
+    /**
+     * Back to a round, still surface (bubbles are pooled, so membranes are too)
+     */
+    reset() {
+        this.offsets.fill(0);
+        this.velocities.fill(0);
+        this.targets.fill(0);
+        this.deformed = false;
+        this.collapsing = false;
+    }
+
+    /**
+     * Set the target shape: stretched along an angle (amount > 0) or squashed along it (amount < 0)
+     */
+    setStretch(angle, amount) {
+        const stretch = Math.max(-BubbleMembrane.MAX_STRETCH, Math.min(BubbleMembrane.MAX_STRETCH, amount));
+
+        for (let i = 0; i < this.count; i++) {
+            this.targets[i] = stretch * Math.cos(2 * (this.angles[i] - angle));
+        }
+    }
+
+    /**
+     * Push the surface in on the side facing an angle (a passing cursor, say)
+     */
+    poke(angle, strength) {
+        const width = BubbleMembrane.POKE_WIDTH;
+
+        for (let i = 0; i < this.count; i++) {
+            // Angular distance to the poke, wrapped to -PI..PI
+            let delta = this.angles[i] - angle;
+            delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+            this.velocities[i] -= strength * Math.exp(-(delta * delta) / (2 * width * width));
+        }
+    }
+
+    /**
+     * Snap inward after a pop - unevenly, so the film looks like it tears rather than shrinks
+     */
+    pop() {
+        this.collapsing = true;
+        this.targets.fill(-1);
+
+        for (let i = 0; i < this.count; i++) {
+            this.velocities[i] = -BubbleMembrane.POP_SPEED * (1 + 0.4 * Math.cos(3 * this.angles[i]));
+        }
+    }
+
+    /**
+     * Advance the springs (dt in 60fps frames, like PhysicsEngine)
+     */
+    step(dt) {
+        const count = this.count;
+        const offsets = this.offsets;
+        const velocities = this.velocities;
+        const damping = Math.pow(BubbleMembrane.DAMPING, dt);
+
+        for (let i = 0; i < count; i++) {
+            const previous = offsets[(i + count - 1) % count];
+            const next = offsets[(i + 1) % count];
+
+            const spring = (this.targets[i] - offsets[i]) * BubbleMembrane.STIFFNESS;
+            const tension = (previous + next - 2 * offsets[i]) * BubbleMembrane.TENSION;
+
+            velocities[i] = (velocities[i] + (spring + tension) * dt) * damping;
+        }
+
+        let total = 0;
+        let largest = 0;
+
+        for (let i = 0; i < count; i++) {
+            offsets[i] += velocities[i] * dt;
+
+            if (this.collapsing) {
+                offsets[i] = Math.max(-1, offsets[i]);
+            } else {
+                offsets[i] = Math.max(-BubbleMembrane.MAX_OFFSET, Math.min(BubbleMembrane.MAX_OFFSET, offsets[i]));
+                total += offsets[i] - this.targets[i];
+            }
+        }
+
+        // Keep roughly the same area - what is pushed in on one side comes out elsewhere
+        const drift = this.collapsing ? 0 : (total / count) * BubbleMembrane.VOLUME_KEEP;
+
+        for (let i = 0; i < count; i++) {
+            offsets[i] -= drift;
+            largest = Math.max(largest, Math.abs(offsets[i]));
+        }
+
+        this.deformed = this.collapsing || largest > BubbleMembrane.ROUND_THRESHOLD;
+    }
+
+    /**
+     * Radius multiplier of the surface in a direction (1 = round)
+     */
+    getRadiusScale(angle) {
+        const position = (((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2)) / (Math.PI * 2) * this.count;
+        const index = Math.floor(position) % this.count;
+        const next = (index + 1) % this.count;
+        const blend = position - Math.floor(position);
+
+        return 1 + this.offsets[index] * (1 - blend) + this.offsets[next] * blend;
+    }
+
+    /**
+     * Add the surface outline to the current path (smooth curves through the control points)
+     */
+    trace(ctx, x, y, radius) {
+        const count = this.count;
+        const scale = radius * this.curveScale;
+        const pointX = (i) => x + Math.cos(this.angles[i]) * scale * Math.max(0, 1 + this.offsets[i]);
+        const pointY = (i) => y + Math.sin(this.angles[i]) * scale * Math.max(0, 1 + this.offsets[i]);
+
+        // Start halfway between the last and first points, then curve through each point to the next midpoint
+        ctx.moveTo((pointX(count - 1) + pointX(0)) / 2, (pointY(count - 1) + pointY(0)) / 2);
+
+        for (let i = 0; i < count; i++) {
+            const next = (i + 1) % count;
+            ctx.quadraticCurveTo(
+                pointX(i), pointY(i),
+                (pointX(i) + pointX(next)) / 2, (pointY(i) + pointY(next)) / 2
+            );
+        }
+
+        ctx.closePath();
+    }
+}
+
+// Control points around the surface - more look smoother but cost more to step and draw
+BubbleMembrane.POINT_COUNT = 16;
+
+// Spring pull toward the target shape and neighbour smoothing, per 60fps frame
+BubbleMembrane.STIFFNESS = 0.12;
+BubbleMembrane.TENSION = 0.1;
+
+// Velocity kept per 60fps frame - lower settles faster, higher jiggles longer
+BubbleMembrane.DAMPING = 0.86;
+
+// Share of the area drift put back each frame
+BubbleMembrane.VOLUME_KEEP = 0.5;
+
+// Limits as fractions of the radius
+BubbleMembrane.MAX_STRETCH = 0.2; // Target shape
+BubbleMembrane.MAX_OFFSET = 0.3; // Any point, jiggles included
+
+// Deformation below this (fraction of the radius) is drawn and hit-tested as a circle
+BubbleMembrane.ROUND_THRESHOLD = 0.02;
+
+// Spread of a poke around the surface (radians)
+BubbleMembrane.POKE_WIDTH = 0.6;
+
+// Inward speed of the surface on pop (radii per 60fps frame)
+BubbleMembrane.POP_SPEED = 0.06;
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BubbleMembrane };
+}
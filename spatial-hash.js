@@ -0,0 +1,220 @@
+/**
+ * Spatial Hash for Soap Bubbles
+ * Uniform grid broad phase so neighbour lookups stay near-linear at high bubble density
+ * Items are bucketed by their center; the cell size must be at least the largest item diameter
+ * Supports full rebuilds (physics broad phase) and incremental updates (hit-testing index)
+ */
+
+class SpatialHash {
+    constructor(cellSize = 300) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.itemKeys = new Map(); // item -> key of the cell holding it
+        this.maxItemRadius = 0; // Largest radius inserted since the last clear
+    }
+
+    /**
+     * Cell key for grid coordinates
+     */
+    key(cx, cy) {
+        return cx + ',' + cy;
+    }
+
+    /**
+     * Grid coordinate for a world coordinate
+     */
+    cellCoord(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.cells.clear();
+        this.itemKeys.clear();
+        this.maxItemRadius = 0;
+    }
+
+    /**
+     * Change the cell size (clears the grid)
+     */
+    setCellSize(cellSize) {
+        this.cellSize = Math.max(1, cellSize);
+        this.clear();
+    }
+
+    /**
+     * Add an item at its center position
+     */
+    insert(item) {
+        const k = this.key(this.cellCoord(item.x), this.cellCoord(item.y));
+        let cell = this.cells.get(k);
+
+        if (!cell) {
+            cell = [];
+            this.cells.set(k, cell);
+        }
+
+        cell.push(item);
+        this.itemKeys.set(item, k);
+        this.maxItemRadius = Math.max(this.maxItemRadius, item.radius || 0);
+    }
+
+    /**
+     * Remove an item from whichever cell holds it
+     */
+    remove(item) {
+        const k = this.itemKeys.get(item);
+        if (k === undefined) return false;
+
+        const cell = this.cells.get(k);
+        if (cell) {
+            const index = cell.indexOf(item);
+            if (index > -1) {
+                // Swap-remove, order inside a cell doesn't matter
+                cell[index] = cell[cell.length - 1];
+                cell.pop();
+            }
+            if (cell.length === 0) {
+                this.cells.delete(k);
+            }
+        }
+
+        this.itemKeys.delete(item);
+        return true;
+    }
+
+    /**
+     * Move an item to a new cell if its center crossed a cell boundary
+     */
+    update(item) {
+        const k = this.key(this.cellCoord(item.x), this.cellCoord(item.y));
+        const currentKey = this.itemKeys.get(item);
+
+        if (currentKey === k) {
+            this.maxItemRadius = Math.max(this.maxItemRadius, item.radius || 0);
+            return;
+        }
+
+        if (currentKey !== undefined) {
+            this.remove(item);
+        }
+        this.insert(item);
+    }
+
+    /**
+     * Whether an item is currently indexed
+     */
+    has(item) {
+        return this.itemKeys.has(item);
+    }
+
+    /**
+     * Rebuild the grid from a list of items, sizing cells to the largest one
+     */
+    rebuild(items, getDiameter = item => item.size) {
+        let maxDiameter = 0;
+        for (const item of items) {
+            maxDiameter = Math.max(maxDiameter, getDiameter(item));
+        }
+
+        this.cellSize = Math.max(1, maxDiameter || this.cellSize);
+        this.clear();
+
+        for (const item of items) {
+            this.insert(item);
+        }
+    }
+
+    /**
+     * Call back once for every pair of items in the same or adjacent cells
+     * Returns the number of pairs visited
+     */
+    forEachPair(callback) {
+        // Half of the 3x3 neighbourhood so each pair of cells is visited once
+        const forwardNeighbours = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+        let pairCount = 0;
+
+        for (const [k, cell] of this.cells) {
+            const comma = k.indexOf(',');
+            const cx = parseInt(k.slice(0, comma), 10);
+            const cy = parseInt(k.slice(comma + 1), 10);
+
+            // Pairs inside this cell
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    callback(cell[i], cell[j]);
+                    pairCount++;
+                }
+            }
+
+            // Pairs with forward neighbour cells
+            for (const [dx, dy] of forwardNeighbours) {
+                const neighbour = this.cells.get(this.key(cx + dx, cy + dy));
+                if (!neighbour) continue;
+
+                for (const a of cell) {
+                    for (const b of neighbour) {
+                        callback(a, b);
+                        pairCount++;
+                    }
+                }
+            }
+        }
+
+        return pairCount;
+    }
+
+    /**
+     * Items that overlap a circle (distance between centers within both radii)
+     * A radius of 0 gives a point query
+     */
+    queryRadius(x, y, radius, results = []) {
+        // An item's center can sit up to its own radius away from the area it covers
+        const reachPadding = radius + this.maxItemRadius;
+        const minX = this.cellCoord(x - reachPadding);
+        const maxX = this.cellCoord(x + reachPadding);
+        const minY = this.cellCoord(y - reachPadding);
+        const maxY = this.cellCoord(y + reachPadding);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const cell = this.cells.get(this.key(cx, cy));
+                if (!cell) continue;
+
+                for (const item of cell) {
+                    const dx = item.x - x;
+                    const dy = item.y - y;
+                    const reach = radius + (item.radius || 0);
+                    if (dx * dx + dy * dy <= reach * reach) {
+                        results.push(item);
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Get grid stats for debugging
+     */
+    getStats() {
+        let itemCount = 0;
+        for (const cell of this.cells.values()) {
+            itemCount += cell.length;
+        }
+
+        return {
+            cellSize: this.cellSize,
+            cellCount: this.cells.size,
+            itemCount
+        };
+    }
+}
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialHash };
+}
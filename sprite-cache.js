@@ -0,0 +1,219 @@
+/**
+ * Bubble Sprite Cache for Soap Bubbles
+ * Pre-renders the gradient layers of themed bubbles (body and highlight) to small canvases and reuses them,
+ * so a full screen of bubbles costs one drawImage per layer instead of building gradients every frame
+ *
+ * Sprites are keyed by theme, size (rounded to SIZE_STEP) and hue (rounded to HUE_STEP)
+ * and drawn scaled to each bubble's exact size. Animated layers - the oil slick shimmer, stars, sparkles,
+ * outlines and bubble type overlays - are drawn live over them, so a bubble's sprites don't change as it animates
+ * The least recently drawn sprites are dropped once the cache goes over its pixel or sprite budget
+ */
+
+class BubbleSpriteCache {
+    constructor(options = {}) {
+        this.maxPixels = options.maxPixels || BubbleSpriteCache.MAX_PIXELS;
+        this.maxSprites = options.maxSprites || BubbleSpriteCache.MAX_SPRITES;
+
+        this.sprites = new Map(); // key -> { canvas, radius, center, pixels }, least recently used first
+        this.pixels = 0;
+        this.pixelRatio = 1; // Canvas pixels per CSS pixel, read from the context each frame
+        this.canvasSupported = true;
+
+        this.themeIds = new WeakMap(); // Theme object -> short id for keys
+        this.nextThemeId = 1;
+
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * Create a canvas for a sprite (null where there is nothing to draw on, e.g. Node)
+     */
+    static createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+
+        return null;
+    }
+
+    /**
+     * Match sprite resolution to the canvas being drawn on (call once per frame)
+     * Sprites made for another resolution would look blurry or waste memory, so they are dropped
+     */
+    beginFrame(ctx) {
+        const ratio = typeof ctx.getTransform === 'function' ? ctx.getTransform().a : 1;
+        if (ratio > 0 && Math.abs(ratio - this.pixelRatio) > 0.001) {
+            this.pixelRatio = ratio;
+            this.clear();
+        }
+    }
+
+    /**
+     * Draw a themed bubble's body at a position; returns false if it has to be drawn live instead
+     */
+    drawBody(ctx, theme, hue, x, y, radius) {
+        const hueKey = BubbleSpriteCache.quantizeHue(hue);
+        const sizeKey = BubbleSpriteCache.quantizeSize(radius);
+
+        const sprite = this.getSprite(`b${this.getThemeId(theme)}:${sizeKey}:${hueKey}`, sizeKey, (spriteCtx, center, r) => {
+            Bubble.fillBody(spriteCtx, center, center, r, Bubble.getThemeColors(theme, hueKey * BubbleSpriteCache.HUE_STEP));
+        });
+
+        return this.drawSprite(ctx, sprite, x, y, radius);
+    }
+
+    /**
+     * Draw a themed bubble's highlight at a position; returns false if it has to be drawn live instead
+     */
+    drawHighlight(ctx, theme, x, y, radius) {
+        const sizeKey = BubbleSpriteCache.quantizeSize(radius);
+
+        const sprite = this.getSprite(`h${this.getThemeId(theme)}:${sizeKey}`, sizeKey, (spriteCtx, center, r) => {
+            Bubble.fillHighlight(spriteCtx, center, center, r, theme.highlight);
+        });
+
+        return this.drawSprite(ctx, sprite, x, y, radius);
+    }
+
+    /**
+     * Find a sprite, or render it with draw(ctx, center, radius) in a new canvas
+     */
+    getSprite(key, sizeKey, draw) {
+        const cached = this.sprites.get(key);
+        if (cached) {
+            // Move to the most recently used end
+            this.sprites.delete(key);
+            this.sprites.set(key, cached);
+            this.stats.hits++;
+            return cached;
+        }
+
+        if (!this.canvasSupported) return null;
+
+        const radius = BubbleSpriteCache.getSizeRadius(sizeKey);
+        const side = Math.ceil(radius * 2 * this.pixelRatio) + 2; // 1px margin for antialiasing
+        const canvas = BubbleSpriteCache.createCanvas(side, side);
+        if (!canvas) {
+            this.canvasSupported = false;
+            return null;
+        }
+
+        const spriteCtx = canvas.getContext('2d');
+        const center = side / 2 / this.pixelRatio;
+        spriteCtx.scale(this.pixelRatio, this.pixelRatio);
+        draw(spriteCtx, center, radius);
+
+        const sprite = { canvas, radius, center, pixels: side * side };
+        this.sprites.set(key, sprite);
+        this.pixels += sprite.pixels;
+        this.stats.misses++;
+
+        this.evict();
+        return sprite;
+    }
+
+    /**
+     * Draw a sprite scaled from its rounded size to the bubble's exact radius
+     */
+    drawSprite(ctx, sprite, x, y, radius) {
+        if (!sprite) return false;
+
+        const scale = radius / sprite.radius;
+        const half = sprite.center * scale;
+        ctx.drawImage(sprite.canvas, x - half, y - half, half * 2, half * 2);
+        return true;
+    }
+
+    /**
+     * Drop least recently used sprites until the cache is within budget
+     */
+    evict() {
+        while (this.sprites.size > 1 &&
+               (this.pixels > this.maxPixels || this.sprites.size > this.maxSprites)) {
+            const [key, sprite] = this.sprites.entries().next().value;
+            this.sprites.delete(key);
+            this.pixels -= sprite.pixels;
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Short id for a theme object (reward themes and themes sent to the render worker have no name key)
+     */
+    getThemeId(theme) {
+        let id = this.themeIds.get(theme);
+        if (!id) {
+            id = this.nextThemeId++;
+            this.themeIds.set(theme, id);
+        }
+        return id;
+    }
+
+    /**
+     * Drop every sprite
+     */
+    clear() {
+        this.sprites.clear();
+        this.pixels = 0;
+    }
+
+    /**
+     * Get cache status for debugging
+     */
+    getStatus() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            sprites: this.sprites.size,
+            megapixels: Number((this.pixels / 1e6).toFixed(2)),
+            maxMegapixels: Number((this.maxPixels / 1e6).toFixed(2)),
+            hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : 0,
+            evictions: this.stats.evictions,
+            pixelRatio: this.pixelRatio
+        };
+    }
+
+    /**
+     * Hue bucket (0 to 360 / HUE_STEP - 1)
+     */
+    static quantizeHue(hue) {
+        const steps = 360 / BubbleSpriteCache.HUE_STEP;
+        const normalized = ((hue % 360) + 360) % 360;
+        return Math.round(normalized / BubbleSpriteCache.HUE_STEP) % steps;
+    }
+
+    /**
+     * Size bucket - sizes grow by SIZE_STEP each, so the error is the same for small and large bubbles
+     */
+    static quantizeSize(radius) {
+        return Math.round(Math.log(Math.max(1, radius)) / Math.log(1 + BubbleSpriteCache.SIZE_STEP));
+    }
+
+    /**
+     * Radius a size bucket is rendered at
+     */
+    static getSizeRadius(sizeKey) {
+        return Math.pow(1 + BubbleSpriteCache.SIZE_STEP, sizeKey);
+    }
+}
+
+// Hue rounding in degrees - bubbles drift through hues, so finer steps mean more sprites
+BubbleSpriteCache.HUE_STEP = 12;
+
+// Relative size rounding (0.06 = sizes within about 3% share a sprite)
+BubbleSpriteCache.SIZE_STEP = 0.06;
+
+// Budgets - about 16MB of sprites at 4 bytes per pixel
+BubbleSpriteCache.MAX_PIXELS = 4 * 1024 * 1024;
+BubbleSpriteCache.MAX_SPRITES = 600;
+
+// Export for Node (headless simulation, tests and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BubbleSpriteCache };
+}
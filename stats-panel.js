@@ -0,0 +1,204 @@
+/**
+ * Stats Panel for Soap Bubbles
+ * Shows the session history kept on this device: today and this week, streaks,
+ * a 7-day chart drawn on a small canvas, and export/clear actions
+ */
+
+class StatsPanel {
+    constructor(history) {
+        this.history = history;
+        this.isOpen = false;
+
+        // UI elements
+        this.toggleButton = document.getElementById('statsToggle');
+        this.panel = document.getElementById('statsPanel');
+        this.chart = document.getElementById('statsChart');
+        this.closeButton = document.getElementById('statsCloseButton');
+        this.exportJSONButton = document.getElementById('exportJSONButton');
+        this.exportCSVButton = document.getElementById('exportCSVButton');
+        this.clearButton = document.getElementById('clearHistoryButton');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.toggle();
+            });
+        }
+
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => {
+                this.close();
+            });
+        }
+
+        if (this.exportJSONButton) {
+            this.exportJSONButton.addEventListener('click', async () => {
+                this.download('bubble-break-sessions.json', await this.history.exportJSON(), 'application/json');
+            });
+        }
+
+        if (this.exportCSVButton) {
+            this.exportCSVButton.addEventListener('click', async () => {
+                this.download('bubble-break-sessions.csv', await this.history.exportCSV(), 'text/csv');
+            });
+        }
+
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', async () => {
+                if (window.confirm('Delete all of your session history from this device?')) {
+                    await this.history.clear();
+                    await this.refresh();
+                }
+            });
+        }
+    }
+
+    /**
+     * Open or close the panel
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Save the session in progress, then show the latest stats
+     */
+    async open() {
+        if (!this.panel) return;
+
+        this.isOpen = true;
+        this.panel.style.display = 'flex';
+        this.panel.classList.remove('hidden');
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', 'true');
+        }
+
+        await this.history.flush();
+        await this.refresh();
+
+        if (this.closeButton) {
+            this.closeButton.focus();
+        }
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (!this.panel) return;
+
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        this.panel.style.display = 'none';
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', 'false');
+        }
+    }
+
+    /**
+     * Fill in the numbers and redraw the chart
+     */
+    async refresh() {
+        const stats = await this.history.getStats();
+
+        const values = {
+            statsTodayPops: stats.today.pops,
+            statsTodayMinutes: Math.round(stats.today.minutes),
+            statsWeekPops: stats.week.pops,
+            statsWeekMinutes: Math.round(stats.week.minutes),
+            statsCurrentStreak: stats.currentStreak,
+            statsLongestStreak: stats.longestStreak
+        };
+
+        Object.keys(values).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = values[id];
+            }
+        });
+
+        this.renderChart(stats.daily);
+        return stats;
+    }
+
+    /**
+     * Bar chart of pops for each of the last 7 days
+     */
+    renderChart(daily) {
+        if (!this.chart) return;
+
+        const ctx = this.chart.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.chart.clientWidth || 300;
+        const height = this.chart.clientHeight || 120;
+
+        this.chart.width = width * dpr;
+        this.chart.height = height * dpr;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const labelHeight = 18;
+        const chartHeight = height - labelHeight - 14;
+        const slot = width / daily.length;
+        const barWidth = slot * 0.6;
+        const maxPops = Math.max(1, ...daily.map(day => day.pops));
+
+        ctx.textAlign = 'center';
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+        daily.forEach((day, index) => {
+            const x = slot * index + (slot - barWidth) / 2;
+            const barHeight = Math.max(2, (day.pops / maxPops) * chartHeight);
+            const y = 14 + chartHeight - barHeight;
+            const isToday = index === daily.length - 1;
+
+            ctx.fillStyle = isToday ? '#4a90e2' : 'rgba(74, 144, 226, 0.45)';
+            ctx.beginPath();
+            if (ctx.roundRect) {
+                ctx.roundRect(x, y, barWidth, barHeight, 4);
+            } else {
+                ctx.rect(x, y, barWidth, barHeight);
+            }
+            ctx.fill();
+
+            // Pops above the bar, weekday below
+            ctx.fillStyle = '#2c3e50';
+            if (day.pops > 0) {
+                ctx.fillText(day.pops, x + barWidth / 2, y - 3);
+            }
+
+            const date = new Date(SessionHistory.parseDayKey(day.day));
+            ctx.fillStyle = '#7f8c8d';
+            ctx.fillText(date.toLocaleDateString(undefined, { weekday: 'short' }), x + barWidth / 2, height - 4);
+        });
+    }
+
+    /**
+     * Save text as a file on the player's device
+     */
+    download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+        }, 1000);
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * Worker Renderer for Soap Bubbles
+ * Moves the bubble simulation and drawing into a Web Worker (render-worker.js) through an OffscreenCanvas,
+ * so a busy page can't make the bubbles stutter - opt in with ?renderer=worker
+ *
+ * The page keeps input listeners, audio, score, settings, challenges, goals and achievements
+ * Pointer input, simulation settings and pause/resume are forwarded to the worker; pops come back as messages
+ * Browsers without OffscreenCanvas, or a worker that fails to load, keep drawing on the main thread
+ *
+ * With a render worker, 'pop' events carry a plain { x, y, size, merged } bubble; 'spawn' and 'merge' events stay in the worker
+ *
+ * Page -> worker:
+ *   { type: 'init', canvas, width, height, dpr, adZones }
+ *   { type: 'resize', width, height, dpr }
+ *   { type: 'pointer', kind, id, pointerType, x, y }   kind is 'down', 'move', 'up' or 'leave'
+ *   { type: 'setting', key, value, theme }             theme is sent along so reward themes work
+ *   { type: 'background', background }
+ *   { type: 'start' | 'stop' | 'pause' | 'resume' | 'reset' | 'celebrateGoal' | 'toggleDebug' }
+ *   { type: 'breakFade', breakFade }
+ *   { type: 'configureChainReaction', options }
+ *   { type: 'configureCursorWake', options }
+ *   { type: 'loadLayout', layout }
+ * Worker -> page:
+ *   { type: 'loaded' }                                 scripts are in, the canvas can be transferred
+ *   { type: 'pop', bubble, bubbleType, score, depth }
+ *   { type: 'combo', combo }
+ *   { type: 'qualitychange', tier, tierIndex }
+ */
+
+class WorkerRenderer {
+    constructor(game, scriptUrl = WorkerRenderer.SCRIPT_URL) {
+        this.game = game;
+        this.scriptUrl = scriptUrl;
+        this.worker = null;
+        this.removeListeners = [];
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Whether this browser can hand a page canvas to a worker
+     */
+    static isSupported(canvas) {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            !!canvas && typeof canvas.transferControlToOffscreen === 'function';
+    }
+
+    /**
+     * Load the worker, then transfer the canvas to it (before the page takes a 2D context, which blocks the transfer)
+     * Resolves false without touching the canvas if the worker doesn't load, so the game can carry on as before
+     * Call listen() once the game's systems exist
+     */
+    async start() {
+        const game = this.game;
+
+        let worker;
+        try {
+            worker = new Worker(this.scriptUrl);
+        } catch (error) {
+            console.warn('Render worker could not be created:', error);
+            return false;
+        }
+
+        const loaded = await WorkerRenderer.waitForLoad(worker);
+        if (!loaded) {
+            worker.terminate();
+            return false;
+        }
+
+        let canvas;
+        try {
+            canvas = game.canvas.transferControlToOffscreen();
+        } catch (error) {
+            console.warn('Canvas could not be transferred to the render worker:', error);
+            worker.terminate();
+            return false;
+        }
+
+        this.worker = worker;
+        worker.onmessage = this.handleMessage;
+        worker.onerror = (event) => {
+            console.error('Render worker error:', event.message);
+        };
+
+        worker.postMessage({
+            type: 'init',
+            canvas,
+            width: game.width,
+            height: game.height,
+            dpr: game.dpr,
+            adZones: game.adZones
+        }, [canvas]);
+
+        return true;
+    }
+
+    /**
+     * Resolve true once the worker says its scripts loaded, false if it fails or takes too long
+     */
+    static waitForLoad(worker) {
+        return new Promise(resolve => {
+            const finish = (loaded) => {
+                clearTimeout(timer);
+                worker.onmessage = null;
+                worker.onerror = null;
+                resolve(loaded);
+            };
+
+            const timer = setTimeout(() => {
+                console.warn('Render worker took too long to load');
+                finish(false);
+            }, WorkerRenderer.LOAD_TIMEOUT);
+
+            worker.onmessage = (event) => {
+                if (event.data && event.data.type === 'loaded') {
+                    finish(true);
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                console.warn('Render worker failed to load:', event.message);
+                finish(false);
+            };
+        });
+    }
+
+    /**
+     * Forward game events and pointer input to the worker
+     */
+    listen() {
+        const game = this.game;
+
+        this.removeListeners = [
+            game.on('settingschange', ({ key, value }) => {
+                this.sendSetting(key, value);
+            }),
+            game.on('backgroundchange', ({ background }) => {
+                this.send('background', { background });
+            }),
+            game.on('start', () => {
+                this.send('start');
+            }),
+            game.on('pause', () => {
+                this.send('pause');
+            }),
+            game.on('resume', () => {
+                this.send('resume');
+            })
+        ];
+
+        // The page's input handler still listens to the canvas; the bubbles it hits are in the worker
+        game.inputHandler.onPointerInput = (kind, id, type, x, y) => {
+            this.send('pointer', { kind, id, pointerType: type, x, y });
+        };
+    }
+
+    /**
+     * Forward a setting that changes the simulation (volume, goals and the like stay on the page)
+     */
+    sendSetting(key, value) {
+        if (!WorkerRenderer.SIMULATION_SETTINGS.includes(key)) return;
+
+        const message = { key, value };
+        if (key === 'theme') {
+            message.theme = this.game.themes[value];
+        }
+        this.send('setting', message);
+    }
+
+    /**
+     * Tell the worker the canvas's new size
+     */
+    resize(width, height, dpr) {
+        this.send('resize', { width, height, dpr });
+    }
+
+    /**
+     * Post a message to the worker
+     */
+    send(type, data = {}) {
+        if (!this.worker) return;
+        this.worker.postMessage({ type, ...data });
+    }
+
+    /**
+     * Handle a message from the worker
+     */
+    handleMessage(event) {
+        const message = event.data;
+        if (!message) return;
+
+        switch (message.type) {
+            case 'pop':
+                this.game.countPop(message.bubble, message.bubbleType, message.score, message.depth);
+                break;
+            case 'combo':
+                this.game.recordAchievements({ longestChain: message.combo });
+                break;
+            case 'qualitychange':
+                this.game.emit('qualitychange', { tier: message.tier, tierIndex: message.tierIndex });
+                break;
+            default:
+                console.warn(`Unknown render worker message: ${message.type}`);
+        }
+    }
+
+    /**
+     * Stop the worker (the canvas stays with it, so the game can't draw again after this)
+     */
+    destroy() {
+        this.removeListeners.forEach(remove => remove());
+        this.removeListeners = [];
+
+        if (this.game.inputHandler) {
+            this.game.inputHandler.onPointerInput = null;
+        }
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+WorkerRenderer.SCRIPT_URL = 'render-worker.js';
+
+// ms to wait for the worker's scripts before drawing on the main thread instead
+WorkerRenderer.LOAD_TIMEOUT = 5000;
+
+// Settings the worker's simulation needs (applied there with BubbleGame.applySetting)
+WorkerRenderer.SIMULATION_SETTINGS = ['speed', 'density', 'theme', 'collisions', 'chainReactions', 'calmMode', 'merging', 'physics', 'breathing'];